@@ -0,0 +1,47 @@
+// Storage backends for DatabaseService. Each adapter is a SQL client:
+//
+//   await sql(query, params)                      -> rows
+//   await sql.transaction([[query, params], ...]) -> [rows, ...], all or nothing
+//   await sql.end()                               -> release connections
+//
+// DB_ADAPTER picks the backend:
+//   neon - Netlify Neon over HTTP (NETLIFY_DATABASE_URL_UNPOOLED or NETLIFY_DATABASE_URL)
+//   pg   - any Postgres over TCP (DATABASE_URL), e.g. a local server for offline work
+// Without DB_ADAPTER, Neon is used when its URL is set and Postgres otherwise.
+const { createNeonAdapter } = require('./neon-adapter');
+const { createPgAdapter } = require('./pg-adapter');
+
+const ADAPTERS = {
+  neon: {
+    url: env => env.NETLIFY_DATABASE_URL_UNPOOLED || env.NETLIFY_DATABASE_URL,
+    variable: 'NETLIFY_DATABASE_URL',
+    create: createNeonAdapter
+  },
+  pg: {
+    url: env => env.DATABASE_URL,
+    variable: 'DATABASE_URL',
+    create: createPgAdapter
+  }
+};
+
+// Pick and build the adapter configured in the environment
+function createAdapter(env = process.env) {
+  const name = env.DB_ADAPTER || (ADAPTERS.neon.url(env) ? 'neon' : 'pg');
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown DB_ADAPTER "${name}". Use ${Object.keys(ADAPTERS).join(' or ')}.`);
+  }
+
+  const url = adapter.url(env);
+  if (!url) {
+    throw new Error(`Database URL not found in environment variables (set ${adapter.variable})`);
+  }
+
+  return adapter.create(url);
+}
+
+module.exports = {
+  createAdapter,
+  createNeonAdapter,
+  createPgAdapter
+};
@@ -0,0 +1,20 @@
+// Neon serverless adapter (HTTP), used on Netlify
+
+// Build a SQL client for a Neon connection string.
+// sql(query, params) resolves to rows; sql.transaction([[query, params], ...])
+// runs the queries atomically and resolves to one row array per query
+function createNeonAdapter(connectionString) {
+  // Required here so the package is only needed when Neon is actually used
+  const { neon } = require('@netlify/neon');
+  const client = neon(connectionString);
+
+  const sql = (query, params = []) => client(query, params);
+  sql.transaction = queries => client.transaction(queries.map(([query, params = []]) => client(query, params)));
+  // HTTP queries hold no connection open
+  sql.end = async () => {};
+  sql.adapterName = 'Netlify Neon';
+
+  return sql;
+}
+
+module.exports = { createNeonAdapter };
@@ -0,0 +1,36 @@
+// node-postgres adapter for a plain Postgres, e.g. a local server for offline
+// development and tests. Exposes the same interface as the Neon adapter.
+
+// Build a SQL client backed by a connection pool
+function createPgAdapter(connectionString, options = {}) {
+  // Required here so the package is only needed when Postgres is actually used
+  const { Pool } = require('pg');
+  const pool = options.pool || new Pool({ connectionString, max: options.max || 5 });
+
+  const sql = async (query, params = []) => (await pool.query(query, params)).rows;
+
+  sql.transaction = async queries => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const results = [];
+      for (const [query, params = []] of queries) {
+        results.push((await client.query(query, params)).rows);
+      }
+      await client.query('COMMIT');
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  sql.end = () => pool.end();
+  sql.adapterName = 'Postgres';
+
+  return sql;
+}
+
+module.exports = { createPgAdapter };
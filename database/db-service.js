@@ -1,71 +1,294 @@
-// Database service for Canadian Diaper Pricer using Netlify Neon
-const { neon } = require('@netlify/neon');
+// Database service for Canadian Diaper Pricer
+// Storage is pluggable: Netlify Neon in production, plain Postgres offline (see ./adapters)
+const { createAdapter } = require('./adapters');
+const { scoreConfidence } = require('../server/scrapers/provenance');
+
+// Write an unchanged price to price_history at least this often
+const PRICE_HISTORY_HEARTBEAT_HOURS = parseFloat(process.env.PRICE_HISTORY_HEARTBEAT_HOURS) || 24;
+
+// Rows per statement in batchUpsertDiapers
+const BATCH_UPSERT_CHUNK_SIZE = 500;
+
+// Rows of $1, a JSON array in the shape toUpsertRow() builds
+const UPSERT_INPUT = `
+  jsonb_to_recordset($1::jsonb) AS r(
+    ord INTEGER, brand TEXT, type TEXT, size TEXT, count INTEGER, retailer TEXT, retailer_product_id TEXT,
+    price NUMERIC, price_per_diaper NUMERIC, url TEXT, in_stock BOOLEAN,
+    count_source TEXT, title_source TEXT, confidence NUMERIC,
+    regular_price NUMERIC, sale_price NUMERIC, promo_text TEXT, promo_ends_at TIMESTAMPTZ
+  )
+`;
+
+// The upsert itself, reading an `input` CTE; $2 is the heartbeat interval in
+// hours. A sale starting or ending, or new promo details, also count as a
+// change. Every CTE reads the same snapshot, so `existing` holds the values
+// from before the upsert and can tell updated rows from unchanged ones.
+const UPSERT_CTES = `
+  existing AS (
+    SELECT d.id, d.brand, d.type, d.size, d.price, d.price_per_diaper, d.url, d.in_stock,
+           d.count_source, d.title_source, d.confidence,
+           d.regular_price, d.sale_price, d.promo_text, d.promo_ends_at
+    FROM diapers d
+    JOIN input i ON d.retailer = i.retailer AND d.retailer_product_id = i.retailer_product_id AND d.count = i.count
+  ),
+  upserted AS (
+    INSERT INTO diapers (brand, type, size, count, retailer, retailer_product_id, price, price_per_diaper, url,
+                         in_stock, count_source, title_source, confidence,
+                         regular_price, sale_price, promo_text, promo_ends_at, last_scraped)
+    SELECT brand, type, size, count, retailer, retailer_product_id, price, price_per_diaper, url,
+           in_stock, count_source, title_source, confidence,
+           regular_price, sale_price, promo_text, promo_ends_at, CURRENT_TIMESTAMP
+    FROM input
+    ON CONFLICT (retailer, retailer_product_id, count) 
+    DO UPDATE SET 
+      brand = EXCLUDED.brand,
+      type = EXCLUDED.type,
+      size = EXCLUDED.size,
+      price = EXCLUDED.price,
+      price_per_diaper = EXCLUDED.price_per_diaper,
+      url = EXCLUDED.url,
+      in_stock = EXCLUDED.in_stock,
+      count_source = EXCLUDED.count_source,
+      title_source = EXCLUDED.title_source,
+      confidence = EXCLUDED.confidence,
+      regular_price = EXCLUDED.regular_price,
+      sale_price = EXCLUDED.sale_price,
+      promo_text = EXCLUDED.promo_text,
+      promo_ends_at = EXCLUDED.promo_ends_at,
+      updated_at = CURRENT_TIMESTAMP,
+      last_scraped = CURRENT_TIMESTAMP,
+      last_seen = CURRENT_TIMESTAMP,
+      missed_runs = 0,
+      archived_at = NULL
+    RETURNING id, brand, type, size, count, retailer, retailer_product_id, price, price_per_diaper, url,
+              in_stock, count_source, title_source, confidence,
+              regular_price, sale_price, promo_text, promo_ends_at
+  ),
+  latest AS (
+    SELECT DISTINCT ON (ph.diaper_id) ph.diaper_id, ph.price, ph.price_per_diaper, ph.in_stock,
+           ph.regular_price, ph.promo_text, ph.promo_ends_at, ph.recorded_at
+    FROM price_history ph
+    JOIN upserted u ON ph.diaper_id = u.id
+    ORDER BY ph.diaper_id, ph.recorded_at DESC
+  ),
+  history AS (
+    INSERT INTO price_history (diaper_id, price, price_per_diaper, in_stock,
+                               regular_price, sale_price, promo_text, promo_ends_at, reason)
+    SELECT u.id, u.price, u.price_per_diaper, u.in_stock,
+           u.regular_price, u.sale_price, u.promo_text, u.promo_ends_at,
+           CASE
+             WHEN l.recorded_at IS NULL THEN 'initial'
+             WHEN l.price IS DISTINCT FROM u.price
+               OR l.price_per_diaper IS DISTINCT FROM u.price_per_diaper
+               OR l.in_stock IS DISTINCT FROM u.in_stock
+               OR l.regular_price IS DISTINCT FROM u.regular_price
+               OR l.promo_text IS DISTINCT FROM u.promo_text
+               OR l.promo_ends_at IS DISTINCT FROM u.promo_ends_at THEN 'change'
+             ELSE 'heartbeat'
+           END
+    FROM upserted u
+    LEFT JOIN latest l ON l.diaper_id = u.id
+    WHERE l.recorded_at IS NULL
+       OR l.price IS DISTINCT FROM u.price
+       OR l.price_per_diaper IS DISTINCT FROM u.price_per_diaper
+       OR l.in_stock IS DISTINCT FROM u.in_stock
+       OR l.regular_price IS DISTINCT FROM u.regular_price
+       OR l.promo_text IS DISTINCT FROM u.promo_text
+       OR l.promo_ends_at IS DISTINCT FROM u.promo_ends_at
+       OR l.recorded_at <= CURRENT_TIMESTAMP - $2::numeric * INTERVAL '1 hour'
+    RETURNING diaper_id, reason
+  )
+`;
+
+// One result row per input row, in input order
+const UPSERT_RESULTS = `
+  SELECT i.ord, u.id, u.brand, u.type, u.size, u.count, u.retailer, u.retailer_product_id, u.price, u.price_per_diaper, u.confidence,
+         CASE
+           WHEN e.id IS NULL THEN 'inserted'
+           WHEN e.brand IS NOT DISTINCT FROM u.brand
+            AND e.type IS NOT DISTINCT FROM u.type
+            AND e.size IS NOT DISTINCT FROM u.size
+            AND e.price IS NOT DISTINCT FROM u.price
+            AND e.price_per_diaper IS NOT DISTINCT FROM u.price_per_diaper
+            AND e.url IS NOT DISTINCT FROM u.url
+            AND e.in_stock IS NOT DISTINCT FROM u.in_stock
+            AND e.count_source IS NOT DISTINCT FROM u.count_source
+            AND e.title_source IS NOT DISTINCT FROM u.title_source
+            AND e.confidence IS NOT DISTINCT FROM u.confidence
+            AND e.regular_price IS NOT DISTINCT FROM u.regular_price
+            AND e.sale_price IS NOT DISTINCT FROM u.sale_price
+            AND e.promo_text IS NOT DISTINCT FROM u.promo_text
+            AND e.promo_ends_at IS NOT DISTINCT FROM u.promo_ends_at THEN 'unchanged'
+           ELSE 'updated'
+         END AS outcome,
+         h.reason AS history_reason
+  FROM input i
+  JOIN upserted u ON u.retailer = i.retailer AND u.retailer_product_id = i.retailer_product_id AND u.count = i.count
+  LEFT JOIN existing e ON e.id = u.id
+  LEFT JOIN history h ON h.diaper_id = u.id
+  ORDER BY i.ord
+`;
+
+const BATCH_UPSERT_QUERY = `
+  WITH input AS (SELECT * FROM ${UPSERT_INPUT}),
+  ${UPSERT_CTES}
+  ${UPSERT_RESULTS}
+`;
+
+// Release a quarantined record ($3) in one statement: the claim gates the
+// upsert, so of two concurrent releases only the one whose claim returns a
+// row publishes. A record scraped before the offer's last scrape ($4) is
+// stale and only marked released. Returns no row when the claim failed, and
+// a row without an id when the record was stale.
+const RELEASE_QUARANTINED_QUERY = `
+  WITH claimed AS (
+    UPDATE price_quarantine
+    SET status = 'released', resolved_at = CURRENT_TIMESTAMP
+    WHERE id = $3 AND status = 'pending'
+    RETURNING id
+  ),
+  input AS (
+    SELECT r.*
+    FROM ${UPSERT_INPUT}
+    WHERE EXISTS (SELECT 1 FROM claimed)
+      AND NOT EXISTS (
+        SELECT 1 FROM diapers d
+        WHERE d.retailer = r.retailer AND d.retailer_product_id = r.retailer_product_id AND d.count = r.count
+          AND d.last_scraped > $4::timestamptz
+      )
+  ),
+  ${UPSERT_CTES},
+  results AS (${UPSERT_RESULTS})
+  SELECT c.id AS quarantine_id, results.*
+  FROM claimed c
+  LEFT JOIN results ON true
+`;
+
+// Map a scraper record onto a row of BATCH_UPSERT_QUERY's input. ord is its
+// position in the batch
+function toUpsertRow(diaper, ord) {
+  return {
+    ord,
+    brand: diaper.brand,
+    type: diaper.type,
+    size: diaper.size,
+    count: diaper.count,
+    retailer: diaper.retailer,
+    retailer_product_id: String(diaper.id),
+    price: diaper.price,
+    price_per_diaper: diaper.pricePerDiaper,
+    url: diaper.url,
+    in_stock: diaper.inStock !== undefined ? diaper.inStock : true,
+    count_source: diaper.countSource || null,
+    title_source: diaper.titleSource || null,
+    // Without a known count source the count is untrusted, so it scores 0
+    confidence: diaper.confidence !== undefined ? diaper.confidence : scoreConfidence(diaper.countSource, diaper.titleSource),
+    regular_price: diaper.regularPrice || null,
+    sale_price: diaper.salePrice || null,
+    promo_text: diaper.promoText || null,
+    promo_ends_at: diaper.promoEndsAt || null
+  };
+}
+
+// Columns returned by the diaper listing queries
+const DIAPER_LIST_COLUMNS = `
+  id, brand, type, size, count, retailer, price,
+  price_per_diaper, url, in_stock, count_source, title_source,
+  confidence, regular_price, sale_price, promo_text, promo_ends_at,
+  updated_at, last_scraped, last_seen, missed_runs
+`;
+
+// Listing sort keys, with the column and the type a cursor value is cast to
+const DIAPER_SORT_COLUMNS = {
+  pricePerDiaper: { column: 'price_per_diaper', type: 'numeric' },
+  price: { column: 'price', type: 'numeric' },
+  count: { column: 'count', type: 'integer' },
+  brand: { column: 'brand', type: 'text' },
+  updated: { column: 'updated_at', type: 'timestamptz' }
+};
+
+// Filters that take several values, with the single-value name older callers
+// use and the order of their facet values (numbered sizes after N, Newborn...)
+const DIAPER_LIST_FILTERS = [
+  { column: 'brand', single: 'brand', list: 'brands', order: 'brand' },
+  { column: 'size', single: 'size', list: 'sizes', order: "CASE WHEN size ~ '^[0-9]+$' THEN size::integer ELSE -1 END, size" },
+  { column: 'retailer', single: 'retailer', list: 'retailers', order: 'retailer' }
+];
+
+// Build the WHERE conditions for the diaper listing filters. Archived offers
+// are always left out; inStock defaults to true, and null matches both.
+function buildDiaperConditions(filters = {}) {
+  const conditions = ['archived_at IS NULL'];
+  const params = [];
+
+  const inStock = filters.inStock === undefined ? true : filters.inStock;
+  if (inStock !== null) {
+    params.push(inStock);
+    conditions.push(`in_stock = $${params.length}`);
+  }
+
+  // Hide records whose count or title was guessed
+  if (filters.minConfidence !== undefined && filters.minConfidence !== null) {
+    params.push(filters.minConfidence);
+    conditions.push(`confidence >= $${params.length}`);
+  }
+
+  for (const { column, single, list } of DIAPER_LIST_FILTERS) {
+    const values = filters[list] ||
+      (filters[single] && filters[single] !== 'all' ? [filters[single]] : []);
+    if (values.length > 0) {
+      params.push(values);
+      conditions.push(`${column} = ANY($${params.length})`);
+    }
+  }
+
+  if (filters.minPricePerDiaper !== undefined && filters.minPricePerDiaper !== null) {
+    params.push(filters.minPricePerDiaper);
+    conditions.push(`price_per_diaper >= $${params.length}`);
+  }
+  if (filters.maxPricePerDiaper !== undefined && filters.maxPricePerDiaper !== null) {
+    params.push(filters.maxPricePerDiaper);
+    conditions.push(`price_per_diaper <= $${params.length}`);
+  }
+
+  return { conditions, params };
+}
 
 class DatabaseService {
-  constructor() {
-    // Initialize Neon connection with Netlify environment variable
-    // Use unpooled connection for serverless functions (better performance)
-    const dbUrl = process.env.NETLIFY_DATABASE_URL_UNPOOLED || process.env.NETLIFY_DATABASE_URL;
-    if (!dbUrl) {
-      throw new Error('Database URL not found in environment variables');
+  constructor(options = {}) {
+    // Connect on first query, so requiring a function never fails just
+    // because the database isn't configured
+    this.adapter = options.adapter || null;
+  }
+
+  // SQL client from the configured adapter
+  get sql() {
+    if (!this.adapter) {
+      this.adapter = createAdapter();
+      console.log(`Database service initialized with ${this.adapter.adapterName}`);
     }
-    this.sql = neon(dbUrl);
-    console.log('Database service initialized with Netlify Neon');
+    return this.adapter;
   }
 
-  // Get all diapers with optional filtering
+  // Release pooled connections (needed by scripts using the pg adapter)
+  async close() {
+    if (this.adapter) {
+      await this.adapter.end();
+    }
+  }
+
+  // Get all diapers with optional filtering; see buildDiaperConditions
   async getAllDiapers(filters = {}) {
     try {
-      let query = `
-        SELECT id, brand, type, size, count, retailer, price, 
-               price_per_diaper, url, in_stock, updated_at, last_scraped
+      const { conditions, params } = buildDiaperConditions(filters);
+      const { column } = DIAPER_SORT_COLUMNS[filters.sortBy] || DIAPER_SORT_COLUMNS.pricePerDiaper;
+      const direction = filters.sortOrder === 'desc' ? 'DESC' : 'ASC';
+      const query = `
+        SELECT ${DIAPER_LIST_COLUMNS}
         FROM diapers
-        WHERE in_stock = true
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${column} ${direction}, id ${direction}
       `;
-      const params = [];
-      let paramIndex = 1;
-
-      // Add brand filter
-      if (filters.brand && filters.brand !== 'all') {
-        query += ` AND brand = $${paramIndex}`;
-        params.push(filters.brand);
-        paramIndex++;
-      }
-
-      // Add size filter
-      if (filters.size && filters.size !== 'all') {
-        query += ` AND size = $${paramIndex}`;
-        params.push(filters.size);
-        paramIndex++;
-      }
-
-      // Add retailer filter
-      if (filters.retailer && filters.retailer !== 'all') {
-        query += ` AND retailer = $${paramIndex}`;
-        params.push(filters.retailer);
-        paramIndex++;
-      }
-
-      // Add sorting
-      const sortBy = filters.sortBy || 'pricePerDiaper';
-      const sortOrder = filters.sortOrder || 'asc';
-      
-      switch(sortBy) {
-        case 'pricePerDiaper':
-          query += ` ORDER BY price_per_diaper ${sortOrder.toUpperCase()}`;
-          break;
-        case 'price':
-          query += ` ORDER BY price ${sortOrder.toUpperCase()}`;
-          break;
-        case 'brand':
-          query += ` ORDER BY brand ${sortOrder.toUpperCase()}`;
-          break;
-        case 'updated':
-          query += ` ORDER BY updated_at ${sortOrder.toUpperCase()}`;
-          break;
-        default:
-          query += ` ORDER BY price_per_diaper ASC`;
-      }
 
       console.log('Executing query:', query, 'with params:', params);
       const results = await this.sql(query, params);
@@ -78,53 +301,113 @@ class DatabaseService {
     }
   }
 
-  // Insert or update diaper data (upsert)
-  async upsertDiaper(diaperData) {
+  // Get one page of diapers and the total matching the filters. With a cursor
+  // ({ value, id } of the previous page's last row) rows after it are
+  // returned and page is ignored. Each row carries peer_avg_price_per_diaper,
+  // the average over in-stock offers of the same brand and size at other
+  // retailers, for the savings tag.
+  async getDiaperPage(filters = {}, { sortBy = 'pricePerDiaper', sortOrder = 'asc', page = 1, limit = 24, cursor = null } = {}) {
     try {
-      const {
-        brand, type, size, count, retailer, price, 
-        pricePerDiaper, url, inStock = true
-      } = diaperData;
+      const { column, type } = DIAPER_SORT_COLUMNS[sortBy] || DIAPER_SORT_COLUMNS.pricePerDiaper;
+      const direction = sortOrder === 'desc' ? 'DESC' : 'ASC';
+      const { conditions, params } = buildDiaperConditions(filters);
+      const countQuery = `SELECT COUNT(*)::integer AS total FROM diapers WHERE ${conditions.join(' AND ')}`;
 
-      const query = `
-        INSERT INTO diapers (brand, type, size, count, retailer, price, price_per_diaper, url, in_stock, last_scraped)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
-        ON CONFLICT (brand, type, size, retailer) 
-        DO UPDATE SET 
-          count = EXCLUDED.count,
-          price = EXCLUDED.price,
-          price_per_diaper = EXCLUDED.price_per_diaper,
-          url = EXCLUDED.url,
-          in_stock = EXCLUDED.in_stock,
-          updated_at = CURRENT_TIMESTAMP,
-          last_scraped = CURRENT_TIMESTAMP
-        RETURNING id, brand, type, retailer, price, price_per_diaper
+      // Ties on the sort column are broken by id, so the order is stable
+      const pageConditions = [...conditions];
+      const pageParams = [...params];
+      if (cursor) {
+        pageParams.push(cursor.value, cursor.id);
+        pageConditions.push(
+          `(${column}, id) ${direction === 'ASC' ? '>' : '<'} ($${pageParams.length - 1}::${type}, $${pageParams.length}::integer)`
+        );
+      }
+      pageParams.push(filters.peerMinConfidence || 0, limit + 1, cursor ? 0 : (page - 1) * limit);
+      const pageQuery = `
+        SELECT ${DIAPER_LIST_COLUMNS}, peers.avg_price_per_diaper AS peer_avg_price_per_diaper,
+               ${column}::text AS sort_key
+        FROM diapers d
+        LEFT JOIN LATERAL (
+          SELECT AVG(p.price_per_diaper) AS avg_price_per_diaper
+          FROM diapers p
+          WHERE p.brand = d.brand AND p.size = d.size AND p.retailer <> d.retailer
+            AND p.in_stock = true AND p.archived_at IS NULL AND p.confidence >= $${pageParams.length - 2}
+        ) peers ON true
+        WHERE ${pageConditions.join(' AND ')}
+        ORDER BY ${column} ${direction}, id ${direction}
+        LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
       `;
 
-      const params = [brand, type, size, count, retailer, price, pricePerDiaper, url, inStock];
-      const results = await this.sql(query, params);
-      
-      console.log(`Upserted diaper: ${brand} ${type} from ${retailer}`);
-      return results[0];
+      // One transaction so the total and the page come from the same snapshot
+      const [[{ total }], results] = await this.sql.transaction([[countQuery, params], [pageQuery, pageParams]]);
+
+      // One extra row was fetched to tell whether another page follows
+      const rows = results.slice(0, limit);
+      // The cursor takes the sort key as Postgres prints it: a JS Date would
+      // drop the microseconds of updated_at and repeat rows on the next page
+      const last = rows[rows.length - 1];
+      const next = results.length > limit ? { value: last.sort_key, id: last.id } : null;
+
+      console.log(`Retrieved ${rows.length} of ${total} diapers from database`);
+      return { rows, total, next };
 
     } catch (error) {
-      console.error('Error upserting diaper:', error);
+      console.error('Error getting diaper page from database:', error);
       throw error;
     }
   }
 
-  // Batch upsert multiple diapers (more efficient for scraped data)
+  // Insert or update one diaper; see batchUpsertDiapers
+  async upsertDiaper(diaperData) {
+    const [result] = await this.batchUpsertDiapers([diaperData]);
+    return result;
+  }
+
+  // Insert or update many diapers in one transaction. An offer is identified
+  // by retailer, the retailer's product id (`id` on scraper records) and pack
+  // count, so one product line can have several packs. Rows go in as a JSON
+  // array, one statement per chunk, so a failure rolls the whole batch back.
+  // A price_history row is added when price, price per diaper or stock
+  // changes, plus a heartbeat row once the latest one is older than
+  // PRICE_HISTORY_HEARTBEAT_HOURS. Returns one row per input, in order, with
+  // outcome 'inserted', 'updated', 'unchanged' or 'duplicate' (an earlier
+  // copy of an offer sent again later in the same batch).
   async batchUpsertDiapers(diapersData) {
     try {
       console.log(`Starting batch upsert of ${diapersData.length} diapers`);
-      const results = [];
-      
-      for (const diaperData of diapersData) {
-        const result = await this.upsertDiaper(diaperData);
-        results.push(result);
+
+      const missingId = diapersData.find(diaper => !diaper.id);
+      if (missingId) {
+        throw new Error(`${missingId.retailer} offer ${missingId.brand} ${missingId.type} has no retailer product id`);
+      }
+
+      // Postgres can't update the same row twice in one statement, so the
+      // last copy of each offer wins
+      const offerKey = diaper => [diaper.retailer, diaper.id, diaper.count].join('|');
+      const rows = [];
+      const latestIndex = new Map();
+      diapersData.forEach((diaper, index) => latestIndex.set(offerKey(diaper), index));
+      diapersData.forEach((diaper, index) => {
+        if (latestIndex.get(offerKey(diaper)) !== index) return;
+        rows.push(toUpsertRow(diaper, index));
+      });
+
+      const chunks = [];
+      for (let i = 0; i < rows.length; i += BATCH_UPSERT_CHUNK_SIZE) {
+        chunks.push([BATCH_UPSERT_QUERY, [JSON.stringify(rows.slice(i, i + BATCH_UPSERT_CHUNK_SIZE)), PRICE_HISTORY_HEARTBEAT_HOURS]]);
+      }
+      const chunkResults = chunks.length > 0 ? await this.sql.transaction(chunks) : [];
+
+      const results = diapersData.map(() => ({ outcome: 'duplicate' }));
+      for (const row of chunkResults.flat()) {
+        results[row.ord] = row;
       }
 
-      console.log(`Completed batch upsert of ${results.length} diapers`);
+      const tally = { inserted: 0, updated: 0, unchanged: 0, duplicate: 0 };
+      results.forEach(result => tally[result.outcome]++);
+      const historyRows = results.filter(result => result.history_reason).length;
+      console.log(`Completed batch upsert of ${diapersData.length} diapers: ${tally.inserted} inserted, ` +
+        `${tally.updated} updated, ${tally.unchanged} unchanged (${historyRows} price history rows)`);
       return results;
 
     } catch (error) {
@@ -133,16 +416,213 @@ class DatabaseService {
     }
   }
 
-  // Record price history for a diaper
-  async recordPriceHistory(diaperId, price, pricePerDiaper, inStock) {
+  // Count a missed run against every active offer of a retailer that isn't in
+  // seenIds. Offers reaching unavailableAfter misses are marked out of stock
+  // (with a price_history row), and those reaching archiveAfter are archived.
+  async reconcileRetailerOffers(retailer, seenIds, { unavailableAfter, archiveAfter }) {
     try {
       const query = `
-        INSERT INTO price_history (diaper_id, price, price_per_diaper, in_stock)
-        VALUES ($1, $2, $3, $4)
+        WITH stale AS (
+          SELECT id, in_stock
+          FROM diapers
+          WHERE retailer = $1 AND archived_at IS NULL AND NOT (id = ANY($2::int[]))
+        ),
+        missed AS (
+          UPDATE diapers d
+          SET missed_runs = d.missed_runs + 1,
+              in_stock = CASE WHEN d.missed_runs + 1 >= $3 THEN false ELSE d.in_stock END,
+              archived_at = CASE WHEN d.missed_runs + 1 >= $4 THEN CURRENT_TIMESTAMP ELSE NULL END
+          FROM stale s
+          WHERE d.id = s.id
+          RETURNING d.id, d.price, d.price_per_diaper, d.in_stock, d.archived_at, s.in_stock AS was_in_stock
+        ),
+        history AS (
+          INSERT INTO price_history (diaper_id, price, price_per_diaper, in_stock, reason)
+          SELECT id, price, price_per_diaper, false, 'change'
+          FROM missed
+          WHERE was_in_stock AND NOT in_stock
+          RETURNING diaper_id
+        )
+        SELECT COUNT(*)::int AS missed,
+               COUNT(*) FILTER (WHERE was_in_stock AND NOT in_stock)::int AS marked_unavailable,
+               COUNT(archived_at)::int AS archived
+        FROM missed
+      `;
+
+      const [result] = await this.sql(query, [retailer, seenIds, unavailableAfter, archiveAfter]);
+      console.log(`Reconciled ${retailer}: ${result.missed} offers missed, ` +
+        `${result.marked_unavailable} marked unavailable, ${result.archived} archived`);
+      return result;
+
+    } catch (error) {
+      console.error('Error reconciling offers:', error);
+      throw error;
+    }
+  }
+
+  // Price per diaper baselines for outlier checks: the published value of
+  // each incoming offer that already exists, and the median of published
+  // in-stock offers per size
+  async getOutlierBaselines(records) {
+    try {
+      const keys = records.map(record => ({
+        retailer: record.retailer,
+        retailer_product_id: String(record.id),
+        count: record.count
+      }));
+
+      const previous = await this.sql(`
+        SELECT d.id, d.retailer, d.retailer_product_id, d.count, d.price_per_diaper
+        FROM diapers d
+        JOIN jsonb_to_recordset($1::jsonb) AS k(retailer TEXT, retailer_product_id TEXT, count INTEGER)
+          ON d.retailer = k.retailer AND d.retailer_product_id = k.retailer_product_id AND d.count = k.count
+      `, [JSON.stringify(keys)]);
+
+      const peers = await this.sql(`
+        SELECT size,
+               percentile_cont(0.5) WITHIN GROUP (ORDER BY price_per_diaper) AS median,
+               COUNT(*)::int AS count
+        FROM diapers
+        WHERE in_stock = true AND archived_at IS NULL
+        GROUP BY size
+      `);
+
+      return { previous, peers };
+
+    } catch (error) {
+      console.error('Error getting outlier baselines:', error);
+      throw error;
+    }
+  }
+
+  // Hold records back from diapers for review. entries are
+  // { record, reasons, diaperId, previous, peerMedian }; a pending row for
+  // the same offer is replaced rather than duplicated
+  async quarantineRecords(jobId, entries) {
+    try {
+      const rows = entries.map(entry => ({
+        diaper_id: entry.diaperId || null,
+        retailer: entry.record.retailer,
+        retailer_product_id: String(entry.record.id),
+        count: entry.record.count,
+        record: entry.record,
+        reasons: entry.reasons,
+        previous_price_per_diaper: entry.previous,
+        peer_median_price_per_diaper: entry.peerMedian
+      }));
+
+      const query = `
+        INSERT INTO price_quarantine (job_id, diaper_id, retailer, retailer_product_id, count, record, reasons,
+                                      previous_price_per_diaper, peer_median_price_per_diaper)
+        SELECT $2, diaper_id, retailer, retailer_product_id, count, record, reasons,
+               previous_price_per_diaper, peer_median_price_per_diaper
+        FROM jsonb_to_recordset($1::jsonb) AS r(
+          diaper_id INTEGER, retailer TEXT, retailer_product_id TEXT, count INTEGER, record JSONB, reasons JSONB,
+          previous_price_per_diaper NUMERIC, peer_median_price_per_diaper NUMERIC
+        )
+        ON CONFLICT (retailer, retailer_product_id, count) WHERE status = 'pending'
+        DO UPDATE SET
+          job_id = EXCLUDED.job_id,
+          diaper_id = EXCLUDED.diaper_id,
+          record = EXCLUDED.record,
+          reasons = EXCLUDED.reasons,
+          previous_price_per_diaper = EXCLUDED.previous_price_per_diaper,
+          peer_median_price_per_diaper = EXCLUDED.peer_median_price_per_diaper,
+          created_at = CURRENT_TIMESTAMP
+        RETURNING id
+      `;
+
+      const results = await this.sql(query, [JSON.stringify(rows), jobId]);
+      console.log(`Quarantined ${results.length} records`);
+      return results;
+
+    } catch (error) {
+      console.error('Error quarantining records:', error);
+      throw error;
+    }
+  }
+
+  // List quarantined records, newest first
+  async getQuarantinedRecords({ status = 'pending', limit = 100 } = {}) {
+    try {
+      const query = `
+        SELECT id, job_id, diaper_id, retailer, retailer_product_id, count, record, reasons,
+               previous_price_per_diaper, peer_median_price_per_diaper, status, created_at, resolved_at
+        FROM price_quarantine
+        WHERE status = $1
+        ORDER BY created_at DESC
+        LIMIT $2
+      `;
+
+      return await this.sql(query, [status, limit]);
+
+    } catch (error) {
+      console.error('Error getting quarantined records:', error);
+      throw error;
+    }
+  }
+
+  // Publish a pending quarantined record as if it had passed the checks.
+  // Returns { id, result } with the upsert result, or null when there is no
+  // pending record with that id. result is null when the offer has been
+  // scraped since the record was, so its snapshot would overwrite newer data
+  async releaseQuarantinedRecord(quarantineId) {
+    try {
+      const [pending] = await this.sql(`
+        SELECT id, record, created_at
+        FROM price_quarantine
+        WHERE id = $1 AND status = 'pending'
+      `, [quarantineId]);
+      if (!pending) return null;
+
+      // Claiming and publishing are one statement, so a failure leaves the
+      // record pending and a concurrent release can't publish it twice
+      const scrapedAt = pending.record.lastUpdated || pending.created_at;
+      const [released] = await this.sql(RELEASE_QUARANTINED_QUERY, [
+        JSON.stringify([toUpsertRow(pending.record, 0)]),
+        PRICE_HISTORY_HEARTBEAT_HOURS,
+        quarantineId,
+        scrapedAt
+      ]);
+      if (!released) return null;
+
+      const { quarantine_id: id, ...result } = released;
+      return { id, result: result.id === null ? null : result };
+
+    } catch (error) {
+      console.error('Error releasing quarantined record:', error);
+      throw error;
+    }
+  }
+
+  // Drop a pending quarantined record. Returns false when there is no
+  // pending record with that id
+  async discardQuarantinedRecord(quarantineId) {
+    try {
+      const results = await this.sql(`
+        UPDATE price_quarantine
+        SET status = 'discarded', resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING id
+      `, [quarantineId]);
+      return results.length > 0;
+
+    } catch (error) {
+      console.error('Error discarding quarantined record:', error);
+      throw error;
+    }
+  }
+
+  // Record price history for a diaper (upsertDiaper does this automatically)
+  async recordPriceHistory(diaperId, price, pricePerDiaper, inStock, reason = 'manual') {
+    try {
+      const query = `
+        INSERT INTO price_history (diaper_id, price, price_per_diaper, in_stock, reason)
+        VALUES ($1, $2, $3, $4, $5)
         RETURNING id, recorded_at
       `;
 
-      const results = await this.sql(query, [diaperId, price, pricePerDiaper, inStock]);
+      const results = await this.sql(query, [diaperId, price, pricePerDiaper, inStock, reason]);
       console.log(`Recorded price history for diaper ID ${diaperId}`);
       return results[0];
 
@@ -171,6 +651,161 @@ class DatabaseService {
     }
   }
 
+  // Open a scrape job; retailer runs are logged against the returned id
+  async createScrapeJob(options = {}) {
+    try {
+      const query = `
+        INSERT INTO scrape_jobs (options)
+        VALUES ($1)
+        RETURNING id, started_at
+      `;
+
+      const results = await this.sql(query, [JSON.stringify(options)]);
+      console.log(`Started scrape job ${results[0].id}`);
+      return results[0];
+
+    } catch (error) {
+      console.error('Error creating scrape job:', error);
+      throw error;
+    }
+  }
+
+  // Open a scrape job unless another run holds the slot: a job still running
+  // that started less than runningMs ago, or a succeeded or partial one that
+  // started less than intervalMs ago. Returns the job, or null to back off.
+  // The advisory lock serializes concurrent claims, and the insert runs as a
+  // second statement so it sees any job the previous lock holder committed
+  async claimScrapeJob(options = {}, { runningMs, intervalMs }) {
+    try {
+      const [, results] = await this.sql.transaction([
+        [`SELECT pg_advisory_xact_lock(hashtext('scrape_jobs'))`, []],
+        [`
+          INSERT INTO scrape_jobs (options)
+          SELECT $1::jsonb
+          WHERE NOT EXISTS (
+            SELECT 1 FROM scrape_jobs
+            WHERE (status = 'running' AND started_at > CURRENT_TIMESTAMP - $2::numeric * INTERVAL '1 millisecond')
+               OR (status IN ('succeeded', 'partial') AND started_at > CURRENT_TIMESTAMP - $3::numeric * INTERVAL '1 millisecond')
+          )
+          RETURNING id, started_at
+        `, [JSON.stringify(options), runningMs, intervalMs]]
+      ]);
+      if (results.length === 0) return null;
+
+      console.log(`Started scrape job ${results[0].id}`);
+      return results[0];
+
+    } catch (error) {
+      console.error('Error claiming scrape job:', error);
+      throw error;
+    }
+  }
+
+  // Log one retailer's part of a scrape job
+  async logRetailerRun(jobId, retailer, run) {
+    try {
+      const query = `
+        INSERT INTO scraping_logs (
+          job_id, retailer, scrape_started, scrape_completed, products_found, records_rejected,
+          requests_made, pages_blocked, queries, success, error_message, error_details, execution_time_ms
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING id
+      `;
+
+      const results = await this.sql(query, [
+        jobId,
+        retailer,
+        run.startedAt,
+        run.finishedAt,
+        run.found,
+        run.rejected,
+        run.requestsMade,
+        run.pagesBlocked,
+        JSON.stringify(run.queries || []),
+        run.success,
+        run.error,
+        JSON.stringify({ errors: run.errors || [], skipped: run.skipped || [], rejections: run.rejections || [] }),
+        run.finishedAt - run.startedAt
+      ]);
+      console.log(`Logged ${retailer} run for scrape job ${jobId}: ${run.success ? 'SUCCESS' : 'FAILED'}`);
+      return results[0];
+
+    } catch (error) {
+      console.error('Error logging retailer run:', error);
+      throw error;
+    }
+  }
+
+  // Get the most recently started scrape job, or null before the first run
+  async getLatestScrapeJob() {
+    try {
+      const query = `
+        SELECT id, started_at, completed_at, status
+        FROM scrape_jobs
+        ORDER BY started_at DESC
+        LIMIT 1
+      `;
+
+      const results = await this.sql(query);
+      return results[0] || null;
+
+    } catch (error) {
+      console.error('Error getting latest scrape job:', error);
+      throw error;
+    }
+  }
+
+  // Close a scrape job with its totals
+  async finishScrapeJob(jobId, summary) {
+    try {
+      const query = `
+        UPDATE scrape_jobs
+        SET completed_at = CURRENT_TIMESTAMP, status = $2, retailers_run = $3,
+            records_found = $4, records_accepted = $5, records_rejected = $6, error_message = $7
+        WHERE id = $1
+        RETURNING id, started_at, completed_at, status
+      `;
+
+      const results = await this.sql(query, [
+        jobId,
+        summary.status,
+        summary.retailersRun || 0,
+        summary.found || 0,
+        summary.accepted || 0,
+        summary.rejected || 0,
+        summary.error || null
+      ]);
+      console.log(`Finished scrape job ${jobId}: ${summary.status}`);
+      return results[0];
+
+    } catch (error) {
+      console.error('Error finishing scrape job:', error);
+      throw error;
+    }
+  }
+
+  // Fingerprint of the published catalog for HTTP caching. Every scrape,
+  // release and manual upsert moves last_modified; reconciling doesn't touch
+  // the timestamps, so missed runs and the row count are included too
+  async getCatalogVersion() {
+    try {
+      const query = `
+        SELECT MAX(GREATEST(updated_at, last_scraped)) AS last_modified,
+               COUNT(*)::int AS offers,
+               COALESCE(SUM(missed_runs), 0)::int AS missed_runs
+        FROM diapers
+      `;
+
+      const [result] = await this.sql(query);
+      return result;
+
+    } catch (error) {
+      console.error('Error getting catalog version:', error);
+      throw error;
+    }
+  }
+
   // Get unique brands for filter options
   async getBrands() {
     try {
@@ -207,17 +842,94 @@ class DatabaseService {
     }
   }
 
-  // Get price history for a specific diaper
+  // Get the brand, size and retailer values of active offers, each with how
+  // many offers match the filters. A facet ignores its own filter, so with
+  // Pampers selected the other brands still show what selecting them adds.
+  // Values with no matching offers come back with a count of 0.
+  async getFacets(filters = {}) {
+    try {
+      const queries = DIAPER_LIST_FILTERS.map(({ column, single, list, order }) => {
+        const { conditions, params } = buildDiaperConditions({ ...filters, [single]: undefined, [list]: [] });
+        const query = `
+          SELECT ${column} AS value, (COUNT(*) FILTER (WHERE ${conditions.join(' AND ')}))::integer AS count
+          FROM diapers
+          WHERE archived_at IS NULL
+          GROUP BY ${column}
+          ORDER BY ${order}
+        `;
+        return [query, params];
+      });
+      const { conditions, params } = buildDiaperConditions(filters);
+      queries.push([`SELECT COUNT(*)::integer AS total FROM diapers WHERE ${conditions.join(' AND ')}`, params]);
+
+      // One transaction so every facet counts the same snapshot
+      const [brands, sizes, retailers, [{ total }]] = await this.sql.transaction(queries);
+      return { brands, sizes, retailers, total };
+
+    } catch (error) {
+      console.error('Error getting facets:', error);
+      throw error;
+    }
+  }
+
+  // Get a single diaper by id, or null when it doesn't exist
+  async getDiaperById(diaperId) {
+    try {
+      const query = `
+        SELECT id, brand, type, size, count, retailer, price, price_per_diaper, url, in_stock,
+               retailer_product_id, count_source, title_source, confidence,
+               regular_price, sale_price, promo_text, promo_ends_at, updated_at, last_scraped,
+               last_seen, missed_runs, archived_at
+        FROM diapers
+        WHERE id = $1
+      `;
+
+      const results = await this.sql(query, [diaperId]);
+      return results[0] || null;
+
+    } catch (error) {
+      console.error('Error getting diaper:', error);
+      throw error;
+    }
+  }
+
+  // Get the active offers for a product line (same brand, type and size)
+  // across retailers and pack counts: in-stock first, then cheapest per diaper
+  async getProductOffers(brand, type, size) {
+    try {
+      const query = `
+        SELECT ${DIAPER_LIST_COLUMNS}
+        FROM diapers
+        WHERE brand = $1 AND type = $2 AND size = $3 AND archived_at IS NULL
+        ORDER BY in_stock DESC, price_per_diaper ASC, id ASC
+      `;
+
+      return await this.sql(query, [brand, type, size]);
+
+    } catch (error) {
+      console.error('Error getting product offers:', error);
+      throw error;
+    }
+  }
+
+  // Get price history for a specific diaper. Days already rolled up into
+  // price_history_daily appear as their closing sample
   async getPriceHistory(diaperId, dayLimit = 30) {
     try {
       const query = `
-        SELECT price, price_per_diaper, in_stock, recorded_at
+        SELECT price, price_per_diaper, in_stock, recorded_at,
+               regular_price, sale_price, promo_text, promo_ends_at
         FROM price_history 
-        WHERE diaper_id = $1 AND recorded_at >= CURRENT_DATE - INTERVAL '${dayLimit} days'
+        WHERE diaper_id = $1 AND recorded_at >= CURRENT_DATE - make_interval(days => $2)
+        UNION ALL
+        SELECT close_price, close_price_per_diaper, in_stock, close_recorded_at,
+               close_regular_price, close_sale_price, close_promo_text, close_promo_ends_at
+        FROM price_history_daily
+        WHERE diaper_id = $1 AND day >= CURRENT_DATE - make_interval(days => $2)
         ORDER BY recorded_at DESC
       `;
 
-      const results = await this.sql(query, [diaperId]);
+      const results = await this.sql(query, [diaperId, parseInt(dayLimit, 10)]);
       console.log(`Retrieved ${results.length} price history records for diaper ${diaperId}`);
       return results;
 
@@ -227,25 +939,189 @@ class DatabaseService {
     }
   }
 
-  // Initialize database with schema (run once)
-  async initializeDatabase() {
+  // Get daily min/max/avg/close prices for a diaper between two UTC days
+  // (inclusive), from raw rows and daily rollups alike. Min, max and avg only
+  // count in-stock samples; close is the day's last sample
+  async getDailyPriceHistory(diaperId, fromDay, toDay) {
+    try {
+      const query = `
+        WITH raw AS (
+          SELECT (recorded_at AT TIME ZONE 'UTC')::date AS day,
+                 MIN(price) FILTER (WHERE in_stock) AS min_price,
+                 MAX(price) FILTER (WHERE in_stock) AS max_price,
+                 SUM(price) FILTER (WHERE in_stock) AS sum_price,
+                 (ARRAY_AGG(price ORDER BY recorded_at DESC))[1] AS close_price,
+                 MIN(price_per_diaper) FILTER (WHERE in_stock) AS min_price_per_diaper,
+                 MAX(price_per_diaper) FILTER (WHERE in_stock) AS max_price_per_diaper,
+                 SUM(price_per_diaper) FILTER (WHERE in_stock) AS sum_price_per_diaper,
+                 (ARRAY_AGG(price_per_diaper ORDER BY recorded_at DESC))[1] AS close_price_per_diaper,
+                 BOOL_OR(in_stock) AS in_stock,
+                 COUNT(*) AS samples,
+                 COUNT(*) FILTER (WHERE in_stock) AS in_stock_samples,
+                 MAX(recorded_at) AS close_recorded_at,
+                 (ARRAY_AGG(regular_price ORDER BY recorded_at DESC))[1] AS close_regular_price,
+                 (ARRAY_AGG(sale_price ORDER BY recorded_at DESC))[1] AS close_sale_price,
+                 (ARRAY_AGG(promo_text ORDER BY recorded_at DESC))[1] AS close_promo_text,
+                 (ARRAY_AGG(promo_ends_at ORDER BY recorded_at DESC))[1] AS close_promo_ends_at
+          FROM price_history
+          WHERE diaper_id = $1
+            AND recorded_at >= $2::date AT TIME ZONE 'UTC'
+            AND recorded_at < ($3::date + 1) AT TIME ZONE 'UTC'
+          GROUP BY 1
+        ),
+        rolled AS (
+          SELECT day, min_price, max_price, avg_price * in_stock_samples, close_price,
+                 min_price_per_diaper, max_price_per_diaper, avg_price_per_diaper * in_stock_samples,
+                 close_price_per_diaper, in_stock, samples, in_stock_samples, close_recorded_at,
+                 close_regular_price, close_sale_price, close_promo_text, close_promo_ends_at
+          FROM price_history_daily
+          WHERE diaper_id = $1 AND day BETWEEN $2::date AND $3::date
+        ),
+        combined AS (
+          SELECT * FROM raw
+          UNION ALL
+          SELECT * FROM rolled
+        )
+        SELECT day::text AS day,
+               MIN(min_price) AS min_price,
+               MAX(max_price) AS max_price,
+               ROUND(SUM(sum_price) / NULLIF(SUM(in_stock_samples), 0), 2) AS avg_price,
+               (ARRAY_AGG(close_price ORDER BY close_recorded_at DESC))[1] AS close_price,
+               MIN(min_price_per_diaper) AS min_price_per_diaper,
+               MAX(max_price_per_diaper) AS max_price_per_diaper,
+               ROUND(SUM(sum_price_per_diaper) / NULLIF(SUM(in_stock_samples), 0), 4) AS avg_price_per_diaper,
+               (ARRAY_AGG(close_price_per_diaper ORDER BY close_recorded_at DESC))[1] AS close_price_per_diaper,
+               BOOL_OR(in_stock) AS in_stock,
+               SUM(samples) AS samples,
+               (ARRAY_AGG(close_regular_price ORDER BY close_recorded_at DESC))[1] AS close_regular_price,
+               (ARRAY_AGG(close_sale_price ORDER BY close_recorded_at DESC))[1] AS close_sale_price,
+               (ARRAY_AGG(close_promo_text ORDER BY close_recorded_at DESC))[1] AS close_promo_text,
+               (ARRAY_AGG(close_promo_ends_at ORDER BY close_recorded_at DESC))[1] AS close_promo_ends_at
+        FROM combined
+        GROUP BY day
+        ORDER BY day
+      `;
+
+      const results = await this.sql(query, [diaperId, fromDay, toDay]);
+      console.log(`Retrieved ${results.length} days of price history for diaper ${diaperId}`);
+      return results;
+
+    } catch (error) {
+      console.error('Error getting daily price history:', error);
+      throw error;
+    }
+  }
+
+  // Fold raw price_history rows recorded before beforeDay (UTC) into
+  // price_history_daily and delete them, in one statement. Each diaper's
+  // latest row stays raw because upserts compare against it. Days that
+  // already have a rollup are merged.
+  async rollupPriceHistory(beforeDay) {
+    try {
+      const query = `
+        WITH rolled AS (
+          DELETE FROM price_history ph
+          WHERE ph.recorded_at < $1::date AT TIME ZONE 'UTC'
+            AND EXISTS (
+              SELECT 1 FROM price_history newer
+              WHERE newer.diaper_id = ph.diaper_id AND newer.recorded_at > ph.recorded_at
+            )
+          RETURNING ph.diaper_id, ph.price, ph.price_per_diaper, ph.in_stock, ph.recorded_at,
+                    ph.regular_price, ph.sale_price, ph.promo_text, ph.promo_ends_at
+        ),
+        daily AS (
+          INSERT INTO price_history_daily AS pd (
+            diaper_id, day, min_price, max_price, avg_price, close_price,
+            min_price_per_diaper, max_price_per_diaper, avg_price_per_diaper, close_price_per_diaper,
+            in_stock, samples, in_stock_samples, close_recorded_at,
+            close_regular_price, close_sale_price, close_promo_text, close_promo_ends_at
+          )
+          SELECT diaper_id, (recorded_at AT TIME ZONE 'UTC')::date,
+                 MIN(price) FILTER (WHERE in_stock),
+                 MAX(price) FILTER (WHERE in_stock),
+                 AVG(price) FILTER (WHERE in_stock),
+                 (ARRAY_AGG(price ORDER BY recorded_at DESC))[1],
+                 MIN(price_per_diaper) FILTER (WHERE in_stock),
+                 MAX(price_per_diaper) FILTER (WHERE in_stock),
+                 AVG(price_per_diaper) FILTER (WHERE in_stock),
+                 (ARRAY_AGG(price_per_diaper ORDER BY recorded_at DESC))[1],
+                 BOOL_OR(in_stock),
+                 COUNT(*),
+                 COUNT(*) FILTER (WHERE in_stock),
+                 MAX(recorded_at),
+                 (ARRAY_AGG(regular_price ORDER BY recorded_at DESC))[1],
+                 (ARRAY_AGG(sale_price ORDER BY recorded_at DESC))[1],
+                 (ARRAY_AGG(promo_text ORDER BY recorded_at DESC))[1],
+                 (ARRAY_AGG(promo_ends_at ORDER BY recorded_at DESC))[1]
+          FROM rolled
+          GROUP BY 1, 2
+          ON CONFLICT (diaper_id, day) DO UPDATE SET
+            min_price = LEAST(pd.min_price, EXCLUDED.min_price),
+            max_price = GREATEST(pd.max_price, EXCLUDED.max_price),
+            avg_price = (COALESCE(pd.avg_price * pd.in_stock_samples, 0) + COALESCE(EXCLUDED.avg_price * EXCLUDED.in_stock_samples, 0))
+                        / NULLIF(pd.in_stock_samples + EXCLUDED.in_stock_samples, 0),
+            close_price = CASE WHEN EXCLUDED.close_recorded_at >= pd.close_recorded_at THEN EXCLUDED.close_price ELSE pd.close_price END,
+            min_price_per_diaper = LEAST(pd.min_price_per_diaper, EXCLUDED.min_price_per_diaper),
+            max_price_per_diaper = GREATEST(pd.max_price_per_diaper, EXCLUDED.max_price_per_diaper),
+            avg_price_per_diaper = (COALESCE(pd.avg_price_per_diaper * pd.in_stock_samples, 0) + COALESCE(EXCLUDED.avg_price_per_diaper * EXCLUDED.in_stock_samples, 0))
+                                   / NULLIF(pd.in_stock_samples + EXCLUDED.in_stock_samples, 0),
+            close_price_per_diaper = CASE WHEN EXCLUDED.close_recorded_at >= pd.close_recorded_at THEN EXCLUDED.close_price_per_diaper ELSE pd.close_price_per_diaper END,
+            in_stock = pd.in_stock OR EXCLUDED.in_stock,
+            samples = pd.samples + EXCLUDED.samples,
+            in_stock_samples = pd.in_stock_samples + EXCLUDED.in_stock_samples,
+            close_regular_price = CASE WHEN EXCLUDED.close_recorded_at >= pd.close_recorded_at THEN EXCLUDED.close_regular_price ELSE pd.close_regular_price END,
+            close_sale_price = CASE WHEN EXCLUDED.close_recorded_at >= pd.close_recorded_at THEN EXCLUDED.close_sale_price ELSE pd.close_sale_price END,
+            close_promo_text = CASE WHEN EXCLUDED.close_recorded_at >= pd.close_recorded_at THEN EXCLUDED.close_promo_text ELSE pd.close_promo_text END,
+            close_promo_ends_at = CASE WHEN EXCLUDED.close_recorded_at >= pd.close_recorded_at THEN EXCLUDED.close_promo_ends_at ELSE pd.close_promo_ends_at END,
+            close_recorded_at = GREATEST(pd.close_recorded_at, EXCLUDED.close_recorded_at)
+          RETURNING diaper_id
+        )
+        SELECT (SELECT COUNT(*) FROM rolled)::int AS raw_rows,
+               (SELECT COUNT(*) FROM daily)::int AS days
+      `;
+
+      const [result] = await this.sql(query, [beforeDay]);
+      console.log(`Rolled up ${result.raw_rows} price history rows into ${result.days} daily rows`);
+      return result;
+
+    } catch (error) {
+      console.error('Error rolling up price history:', error);
+      throw error;
+    }
+  }
+
+  // Delete daily rollups for days before beforeDay
+  async prunePriceHistoryDaily(beforeDay) {
+    try {
+      const query = `
+        WITH pruned AS (
+          DELETE FROM price_history_daily WHERE day < $1::date RETURNING 1
+        )
+        SELECT COUNT(*)::int AS days FROM pruned
+      `;
+
+      const [result] = await this.sql(query, [beforeDay]);
+      console.log(`Pruned ${result.days} daily price history rows`);
+      return result;
+
+    } catch (error) {
+      console.error('Error pruning daily price history:', error);
+      throw error;
+    }
+  }
+
+  // Bring the schema up to date and load seed data (see database/migrate.js)
+  async initializeDatabase({ seed = true } = {}) {
     try {
       console.log('Initializing database schema...');
-      const fs = require('fs');
-      const path = require('path');
-      
-      const schemaPath = path.join(__dirname, 'schema.sql');
-      const schema = fs.readFileSync(schemaPath, 'utf8');
-      
-      // Execute schema (split by semicolon for multiple statements)
-      const statements = schema.split(';').filter(stmt => stmt.trim());
-      
-      for (const statement of statements) {
-        if (statement.trim()) {
-          await this.sql(statement.trim());
-        }
+      const { Migrator } = require('./migrate');
+      const migrator = new Migrator(this.sql);
+
+      await migrator.up();
+      if (seed) {
+        await migrator.seed();
       }
-      
+
       console.log('Database schema initialized successfully');
       return true;
 
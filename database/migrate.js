@@ -0,0 +1,264 @@
+// Versioned schema migrations for Canadian Diaper Pricer
+//
+// Migrations live in database/migrations as NNN_name.up.sql / NNN_name.down.sql
+// and are recorded in schema_migrations once applied. Seed data lives in
+// database/seeds and is loaded separately.
+//
+//   node database/migrate.js up [--to NNN]
+//   node database/migrate.js down [--steps N]
+//   node database/migrate.js status
+//   node database/migrate.js seed
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Split a SQL script into statements. Semicolons inside quotes, dollar-quoted
+// bodies ($$ ... $$, $fn$ ... $fn$) and comments don't end a statement.
+function splitStatements(script) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < script.length) {
+    const rest = script.slice(i);
+    const char = script[i];
+
+    // Line comment
+    if (rest.startsWith('--')) {
+      const end = script.indexOf('\n', i);
+      i = end === -1 ? script.length : end;
+      continue;
+    }
+
+    // Block comment
+    if (rest.startsWith('/*')) {
+      const end = script.indexOf('*/', i + 2);
+      i = end === -1 ? script.length : end + 2;
+      continue;
+    }
+
+    // Quoted string or identifier; doubled quotes are escapes and stay inside
+    if (char === '\'' || char === '"') {
+      let end = i + 1;
+      while (end < script.length) {
+        if (script[end] === char && script[end + 1] === char) {
+          end += 2;
+        } else if (script[end] === char) {
+          break;
+        } else {
+          end++;
+        }
+      }
+      current += script.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    // Dollar-quoted body; $1-style parameters don't match the tag pattern
+    const dollarTag = rest.match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+    if (dollarTag) {
+      const tag = dollarTag[0];
+      const end = script.indexOf(tag, i + tag.length);
+      const stop = end === -1 ? script.length : end + tag.length;
+      current += script.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (char === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+    i++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+class Migrator {
+  constructor(sql, options = {}) {
+    this.sql = sql;
+    this.directory = options.directory || MIGRATIONS_DIR;
+    this.seedsDirectory = options.seedsDirectory || SEEDS_DIR;
+  }
+
+  // List migrations on disk, oldest first
+  listMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(version) || { version, name };
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+      }
+      migration[direction] = path.join(this.directory, file);
+      migrations.set(version, migration);
+    }
+
+    for (const migration of migrations.values()) {
+      if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+
+    return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  // Create the bookkeeping table on first use
+  async ensureMigrationsTable() {
+    await this.sql(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  // Map of applied version -> applied_at
+  async getApplied() {
+    await this.ensureMigrationsTable();
+    const rows = await this.sql('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+  }
+
+  // Every migration with whether it has been applied
+  async status() {
+    const applied = await this.getApplied();
+    return this.listMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      appliedAt: applied.get(version) || null
+    }));
+  }
+
+  // Apply pending migrations in order, optionally stopping at a version
+  async up({ to } = {}) {
+    const applied = await this.getApplied();
+    const pending = this.listMigrations()
+      .filter(m => !applied.has(m.version))
+      .filter(m => to === undefined || Number(m.version) <= Number(to));
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.version}_${migration.name}`);
+      await this.runScript(migration.up, [
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      ]);
+    }
+
+    console.log(pending.length > 0 ? `Applied ${pending.length} migrations` : 'Database is up to date');
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  // Revert the most recently applied migrations
+  async down({ steps = 1 } = {}) {
+    const applied = await this.getApplied();
+    const toRevert = this.listMigrations()
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRevert) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file`);
+      }
+      console.log(`Reverting migration ${migration.version}_${migration.name}`);
+      await this.runScript(migration.down, [
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ]);
+    }
+
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  }
+
+  // Load every seed file in order; seeds must be safe to re-run
+  async seed() {
+    const files = fs.readdirSync(this.seedsDirectory).filter(file => file.endsWith('.sql')).sort();
+
+    for (const file of files) {
+      console.log(`Seeding ${file}`);
+      await this.runScript(path.join(this.seedsDirectory, file));
+    }
+
+    return files;
+  }
+
+  // Run a SQL file, plus an optional bookkeeping statement, atomically when
+  // the driver supports transactions
+  async runScript(file, bookkeeping) {
+    const queries = splitStatements(fs.readFileSync(file, 'utf8')).map(statement => [statement, []]);
+    if (bookkeeping) queries.push(bookkeeping);
+
+    if (typeof this.sql.transaction === 'function') {
+      await this.sql.transaction(queries);
+      return;
+    }
+
+    for (const [query, params] of queries) {
+      await this.sql(query, params);
+    }
+  }
+}
+
+// Parse "--to 003" / "--steps 2" style flags
+function readFlag(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function main(args) {
+  const DatabaseService = require('./db-service');
+  const db = new DatabaseService();
+  const migrator = new Migrator(db.sql);
+  const command = args[0] || 'up';
+
+  try {
+    await runCommand(migrator, command, args);
+  } finally {
+    await db.close();
+  }
+}
+
+async function runCommand(migrator, command, args) {
+  switch (command) {
+    case 'up':
+      await migrator.up({ to: readFlag(args, '--to') });
+      break;
+    case 'down':
+      await migrator.down({ steps: parseInt(readFlag(args, '--steps') || '1', 10) });
+      break;
+    case 'status':
+      for (const m of await migrator.status()) {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}${m.appliedAt ? ` (${new Date(m.appliedAt).toISOString()})` : ''}`);
+      }
+      break;
+    case 'seed':
+      await migrator.seed();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down, status or seed.`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  Migrator,
+  splitStatements
+};
@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS update_diapers_updated_at ON diapers;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+DROP TABLE IF EXISTS scraping_logs;
+DROP TABLE IF EXISTS price_history;
+DROP TABLE IF EXISTS diapers;
@@ -0,0 +1,68 @@
+-- Baseline schema: diapers, price_history and scraping_logs
+-- Uses IF NOT EXISTS so databases created from the old schema.sql can adopt migrations
+
+CREATE TABLE IF NOT EXISTS diapers (
+    id SERIAL PRIMARY KEY,
+    brand VARCHAR(100) NOT NULL,
+    type VARCHAR(200) NOT NULL,
+    size VARCHAR(10) NOT NULL,
+    count INTEGER NOT NULL,
+    retailer VARCHAR(100) NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    price_per_diaper DECIMAL(10, 4) NOT NULL,
+    url TEXT,
+    in_stock BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_scraped TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Ensure we don't have duplicate products
+    UNIQUE(brand, type, size, retailer)
+);
+
+CREATE INDEX IF NOT EXISTS idx_diapers_brand ON diapers(brand);
+CREATE INDEX IF NOT EXISTS idx_diapers_size ON diapers(size);
+CREATE INDEX IF NOT EXISTS idx_diapers_retailer ON diapers(retailer);
+CREATE INDEX IF NOT EXISTS idx_diapers_price_per_diaper ON diapers(price_per_diaper);
+CREATE INDEX IF NOT EXISTS idx_diapers_in_stock ON diapers(in_stock);
+CREATE INDEX IF NOT EXISTS idx_diapers_updated_at ON diapers(updated_at);
+
+-- Price changes over time
+CREATE TABLE IF NOT EXISTS price_history (
+    id SERIAL PRIMARY KEY,
+    diaper_id INTEGER REFERENCES diapers(id) ON DELETE CASCADE,
+    price DECIMAL(10, 2) NOT NULL,
+    price_per_diaper DECIMAL(10, 4) NOT NULL,
+    in_stock BOOLEAN NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_diaper_id ON price_history(diaper_id);
+CREATE INDEX IF NOT EXISTS idx_price_history_recorded_at ON price_history(recorded_at);
+
+-- Scraper monitoring
+CREATE TABLE IF NOT EXISTS scraping_logs (
+    id SERIAL PRIMARY KEY,
+    retailer VARCHAR(100) NOT NULL,
+    scrape_started TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    scrape_completed TIMESTAMP WITH TIME ZONE,
+    products_found INTEGER DEFAULT 0,
+    success BOOLEAN DEFAULT false,
+    error_message TEXT,
+    execution_time_ms INTEGER
+);
+
+-- Keep diapers.updated_at current
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_diapers_updated_at ON diapers;
+CREATE TRIGGER update_diapers_updated_at 
+    BEFORE UPDATE ON diapers 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_diapers_confidence;
+ALTER TABLE diapers DROP COLUMN IF EXISTS confidence;
+ALTER TABLE diapers DROP COLUMN IF EXISTS title_source;
+ALTER TABLE diapers DROP COLUMN IF EXISTS count_source;
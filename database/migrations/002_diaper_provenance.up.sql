@@ -0,0 +1,6 @@
+-- How count and title were derived ('pattern', 'fallback-number', 'generated', ...)
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS count_source VARCHAR(30);
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS title_source VARCHAR(30);
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS confidence DECIMAL(3, 2) NOT NULL DEFAULT 1.00;
+
+CREATE INDEX IF NOT EXISTS idx_diapers_confidence ON diapers(confidence);
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_scraping_logs_job_id;
+ALTER TABLE scraping_logs DROP COLUMN IF EXISTS error_details;
+ALTER TABLE scraping_logs DROP COLUMN IF EXISTS queries;
+ALTER TABLE scraping_logs DROP COLUMN IF EXISTS pages_blocked;
+ALTER TABLE scraping_logs DROP COLUMN IF EXISTS requests_made;
+ALTER TABLE scraping_logs DROP COLUMN IF EXISTS records_rejected;
+ALTER TABLE scraping_logs DROP COLUMN IF EXISTS job_id;
+DROP TABLE IF EXISTS scrape_jobs;
@@ -0,0 +1,28 @@
+-- One row per ScraperManager run
+CREATE TABLE IF NOT EXISTS scrape_jobs (
+    id SERIAL PRIMARY KEY,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    -- 'running', 'succeeded', 'partial' or 'failed'
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    options JSONB,
+    retailers_run INTEGER DEFAULT 0,
+    records_found INTEGER DEFAULT 0,
+    records_accepted INTEGER DEFAULT 0,
+    records_rejected INTEGER DEFAULT 0,
+    error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_started_at ON scrape_jobs(started_at);
+
+-- Per-retailer details for each job
+ALTER TABLE scraping_logs ADD COLUMN IF NOT EXISTS job_id INTEGER REFERENCES scrape_jobs(id) ON DELETE CASCADE;
+ALTER TABLE scraping_logs ADD COLUMN IF NOT EXISTS records_rejected INTEGER DEFAULT 0;
+ALTER TABLE scraping_logs ADD COLUMN IF NOT EXISTS requests_made INTEGER DEFAULT 0;
+ALTER TABLE scraping_logs ADD COLUMN IF NOT EXISTS pages_blocked INTEGER DEFAULT 0;
+-- URLs requested during the run
+ALTER TABLE scraping_logs ADD COLUMN IF NOT EXISTS queries JSONB;
+-- Per-request failures, robots.txt skips and record rejections
+ALTER TABLE scraping_logs ADD COLUMN IF NOT EXISTS error_details JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_scraping_logs_job_id ON scraping_logs(job_id);
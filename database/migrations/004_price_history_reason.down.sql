@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_price_history_diaper_recorded;
+ALTER TABLE price_history DROP COLUMN IF EXISTS reason;
@@ -0,0 +1,5 @@
+-- Why a history row was written: 'initial', 'change', 'heartbeat' or 'manual'
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS reason VARCHAR(20) NOT NULL DEFAULT 'change';
+
+-- Latest row per diaper, read on every upsert
+CREATE INDEX IF NOT EXISTS idx_price_history_diaper_recorded ON price_history(diaper_id, recorded_at DESC);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_diapers_retailer_active;
+ALTER TABLE diapers DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE diapers DROP COLUMN IF EXISTS missed_runs;
+ALTER TABLE diapers DROP COLUMN IF EXISTS last_seen;
@@ -0,0 +1,10 @@
+-- When each offer was last returned by its retailer, and how many complete
+-- runs of that retailer have missed it since. Offers that keep missing runs
+-- are marked out of stock and then archived (see server/jobs/reconcile-offers.js)
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS last_seen TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS missed_runs INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE diapers SET last_seen = COALESCE(last_scraped, updated_at, created_at, CURRENT_TIMESTAMP);
+
+CREATE INDEX IF NOT EXISTS idx_diapers_retailer_active ON diapers(retailer) WHERE archived_at IS NULL;
@@ -0,0 +1,11 @@
+-- The old key allows one pack size per product line, so only the most
+-- recently seen offer of each line survives a rollback
+DELETE FROM diapers d
+USING diapers newer
+WHERE d.brand = newer.brand AND d.type = newer.type AND d.size = newer.size AND d.retailer = newer.retailer
+  AND (newer.last_seen, newer.id) > (d.last_seen, d.id);
+
+DROP INDEX IF EXISTS idx_diapers_product_line;
+ALTER TABLE diapers DROP CONSTRAINT IF EXISTS diapers_retailer_product_count_key;
+ALTER TABLE diapers ADD CONSTRAINT diapers_brand_type_size_retailer_key UNIQUE (brand, type, size, retailer);
+ALTER TABLE diapers DROP COLUMN IF EXISTS retailer_product_id;
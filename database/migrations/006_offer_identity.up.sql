@@ -0,0 +1,38 @@
+-- Identify offers by the retailer's own product id plus pack count, so one
+-- product line can have several pack sizes at the same retailer
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS retailer_product_id VARCHAR(100);
+
+-- Backfill from the URL the same way productIdFromUrl() in
+-- server/scrapers/product-record.js does, so the next scrape updates these
+-- rows instead of adding new ones. Rows whose id would clash keep a
+-- legacy id and are retired by offer reconciliation if never seen again.
+WITH derived AS (
+  SELECT id, retailer, count,
+         COALESCE(
+           substring(url from '/dp/([A-Z0-9]{10})'),
+           substring(url from '\.product\.(\d+)\.html'),
+           NULLIF(regexp_replace(regexp_replace(split_part(split_part(url, '#', 1), '?', 1), '/+$', ''), '^.*/|\.html$', '', 'g'), '')
+         ) AS product_id
+  FROM diapers
+  WHERE retailer_product_id IS NULL
+),
+ranked AS (
+  SELECT id, product_id,
+         COUNT(*) OVER (PARTITION BY retailer, product_id, count) AS clashes
+  FROM derived
+)
+UPDATE diapers d
+SET retailer_product_id = CASE
+  WHEN r.product_id IS NULL OR r.clashes > 1 THEN 'legacy-' || d.id
+  ELSE left(r.product_id, 100)
+END
+FROM ranked r
+WHERE d.id = r.id;
+
+ALTER TABLE diapers ALTER COLUMN retailer_product_id SET NOT NULL;
+
+ALTER TABLE diapers DROP CONSTRAINT IF EXISTS diapers_brand_type_size_retailer_key;
+ALTER TABLE diapers ADD CONSTRAINT diapers_retailer_product_count_key UNIQUE (retailer, retailer_product_id, count);
+
+-- Product line lookups that the old unique key used to serve
+CREATE INDEX IF NOT EXISTS idx_diapers_product_line ON diapers(brand, type, size, retailer);
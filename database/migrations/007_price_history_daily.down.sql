@@ -0,0 +1,2 @@
+-- Rolled-up days are lost; raw rows that were compacted are not restored
+DROP TABLE IF EXISTS price_history_daily;
@@ -0,0 +1,23 @@
+-- Daily rollups of price_history. Raw rows older than the retention window
+-- are folded in here by server/jobs/rollup-price-history.js. Min, max and
+-- avg only count in-stock samples, like the daily history API.
+CREATE TABLE IF NOT EXISTS price_history_daily (
+    diaper_id INTEGER NOT NULL REFERENCES diapers(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    min_price DECIMAL(10, 2),
+    max_price DECIMAL(10, 2),
+    avg_price DECIMAL(10, 4),
+    close_price DECIMAL(10, 2) NOT NULL,
+    min_price_per_diaper DECIMAL(10, 4),
+    max_price_per_diaper DECIMAL(10, 4),
+    avg_price_per_diaper DECIMAL(10, 6),
+    close_price_per_diaper DECIMAL(10, 4) NOT NULL,
+    in_stock BOOLEAN NOT NULL,
+    samples INTEGER NOT NULL,
+    in_stock_samples INTEGER NOT NULL,
+    -- When the closing sample was recorded, so later rollups of the same day merge correctly
+    close_recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY (diaper_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_daily_day ON price_history_daily(day);
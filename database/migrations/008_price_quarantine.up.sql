@@ -0,0 +1,24 @@
+-- Scraped records held back from diapers because their price looked wrong
+-- (see server/scrapers/outliers.js). An admin releases or discards them.
+CREATE TABLE IF NOT EXISTS price_quarantine (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+    diaper_id INTEGER REFERENCES diapers(id) ON DELETE CASCADE,
+    retailer VARCHAR(100) NOT NULL,
+    retailer_product_id VARCHAR(100) NOT NULL,
+    count INTEGER NOT NULL,
+    record JSONB NOT NULL,
+    reasons JSONB NOT NULL,
+    previous_price_per_diaper DECIMAL(10, 4),
+    peer_median_price_per_diaper DECIMAL(10, 4),
+    -- 'pending', 'released' or 'discarded'
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_quarantine_status ON price_quarantine(status, created_at DESC);
+
+-- One pending row per offer; a later suspicious scrape replaces it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_price_quarantine_pending_offer
+    ON price_quarantine(retailer, retailer_product_id, count) WHERE status = 'pending';
@@ -0,0 +1,9 @@
+ALTER TABLE price_history DROP COLUMN IF EXISTS promo_ends_at;
+ALTER TABLE price_history DROP COLUMN IF EXISTS promo_text;
+ALTER TABLE price_history DROP COLUMN IF EXISTS sale_price;
+ALTER TABLE price_history DROP COLUMN IF EXISTS regular_price;
+
+ALTER TABLE diapers DROP COLUMN IF EXISTS promo_ends_at;
+ALTER TABLE diapers DROP COLUMN IF EXISTS promo_text;
+ALTER TABLE diapers DROP COLUMN IF EXISTS sale_price;
+ALTER TABLE diapers DROP COLUMN IF EXISTS regular_price;
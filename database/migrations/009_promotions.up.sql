@@ -0,0 +1,11 @@
+-- Sale and promotion details. price stays what a shopper pays now; during a
+-- sale regular_price is the usual price and sale_price repeats price
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS regular_price DECIMAL(10, 2);
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS sale_price DECIMAL(10, 2);
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS promo_text VARCHAR(200);
+ALTER TABLE diapers ADD COLUMN IF NOT EXISTS promo_ends_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS regular_price DECIMAL(10, 2);
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS sale_price DECIMAL(10, 2);
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS promo_text VARCHAR(200);
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS promo_ends_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,4 @@
+ALTER TABLE price_history_daily DROP COLUMN IF EXISTS close_promo_ends_at;
+ALTER TABLE price_history_daily DROP COLUMN IF EXISTS close_promo_text;
+ALTER TABLE price_history_daily DROP COLUMN IF EXISTS close_sale_price;
+ALTER TABLE price_history_daily DROP COLUMN IF EXISTS close_regular_price;
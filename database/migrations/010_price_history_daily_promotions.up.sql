@@ -0,0 +1,6 @@
+-- Sale and promotion details of each day's closing sample, so rolling up
+-- price_history doesn't lose them (see 009_promotions)
+ALTER TABLE price_history_daily ADD COLUMN IF NOT EXISTS close_regular_price DECIMAL(10, 2);
+ALTER TABLE price_history_daily ADD COLUMN IF NOT EXISTS close_sale_price DECIMAL(10, 2);
+ALTER TABLE price_history_daily ADD COLUMN IF NOT EXISTS close_promo_text VARCHAR(200);
+ALTER TABLE price_history_daily ADD COLUMN IF NOT EXISTS close_promo_ends_at TIMESTAMP WITH TIME ZONE;
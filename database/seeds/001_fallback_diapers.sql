@@ -0,0 +1,33 @@
+-- Fallback prices shown before the first scrape; safe to re-run
+INSERT INTO diapers (brand, type, size, count, retailer, retailer_product_id, price, price_per_diaper, url, in_stock) VALUES
+-- Amazon.ca Products  
+('Pampers', 'Baby Dry Size 3 (198 Count)', '3', 198, 'Amazon.ca', 'B07FQRZ8QM', 54.97, 0.28, 'https://www.amazon.ca/dp/B07FQRZ8QM', true),
+('Pampers', 'Cruisers 360° Size 3 (84 Count)', '3', 84, 'Amazon.ca', 'B08QY6HT97', 29.97, 0.36, 'https://www.amazon.ca/dp/B08QY6HT97', true),
+('Huggies', 'Little Snugglers Size 3 (132 Count)', '3', 132, 'Amazon.ca', 'B07FQRQTGX', 47.97, 0.36, 'https://www.amazon.ca/dp/B07FQRQTGX', true),
+('Huggies', 'Overnites Size 3 (66 Count)', '3', 66, 'Amazon.ca', 'B07G2XN8H7', 26.97, 0.41, 'https://www.amazon.ca/dp/B07G2XN8H7', true),
+
+-- Costco Canada Products
+('Kirkland', 'Signature Size 3 (192 Count)', '3', 192, 'Costco Canada', '100506047', 49.99, 0.26, 'https://www.costco.ca/kirkland-signature-diapers-size-3.product.100506047.html', true),
+('Pampers', 'Baby Dry Size 3 (246 Count)', '3', 246, 'Costco Canada', '100506048', 64.99, 0.26, 'https://www.costco.ca/pampers-baby-dry-size-3.product.100506048.html', true),
+
+-- Walmart.ca Products
+('Pampers', 'Cruisers Size 3 (144 Count)', '3', 144, 'Walmart.ca', '6000200832288', 52.97, 0.37, 'https://www.walmart.ca/en/ip/pampers-cruisers-diapers-size-3/6000200832288', true),
+('Huggies', 'Little Movers Size 3 (120 Count)', '3', 120, 'Walmart.ca', '6000200832289', 44.97, 0.37, 'https://www.walmart.ca/en/ip/huggies-little-movers-diapers-size-3/6000200832289', true),
+
+-- Well.ca Products
+('Seventh Generation', 'Baby Diapers Size 3 (84 Count)', '3', 84, 'Well.ca', 'seventh-generation-baby-diapers_88234', 34.99, 0.42, 'https://well.ca/products/seventh-generation-baby-diapers_88234.html', true),
+('Honest', 'Club Box Diapers Size 3 (92 Count)', '3', 92, 'Well.ca', 'honest-club-box-diapers-size-3_134567', 32.99, 0.36, 'https://well.ca/products/honest-club-box-diapers-size-3_134567.html', true),
+
+-- Canadian Tire Products
+('Pampers', 'Baby Dry Size 3 (128 Count)', '3', 128, 'Canadian Tire', 'pampers-baby-dry-diapers-size-3-0537021p', 42.99, 0.34, 'https://www.canadiantire.ca/en/pdp/pampers-baby-dry-diapers-size-3-0537021p.html', true),
+('Huggies', 'Snugglers Size 3 (96 Count)', '3', 96, 'Canadian Tire', 'huggies-snugglers-diapers-size-3-0537022p', 36.99, 0.39, 'https://www.canadiantire.ca/en/pdp/huggies-snugglers-diapers-size-3-0537022p.html', true),
+
+-- Shoppers Drug Mart Products
+('Pampers', 'Cruisers Size 3 (104 Count)', '3', 104, 'Shoppers Drug Mart', 'pampers-cruisers', 41.99, 0.40, 'https://www1.shoppersdrugmart.ca/en/health-and-pharmacy/baby-and-kids/pampers-cruisers', true),
+('Huggies', 'Little Snugglers Size 3 (80 Count)', '3', 80, 'Shoppers Drug Mart', 'huggies-little-snugglers', 32.99, 0.41, 'https://www1.shoppersdrugmart.ca/en/health-and-pharmacy/baby-and-kids/huggies-little-snugglers', true),
+
+-- Real Canadian Superstore Products
+('President''s Choice', 'Ultra Soft Diapers Size 3 (120 Count)', '3', 120, 'Real Canadian Superstore', '20978453_EA', 29.99, 0.25, 'https://www.realcanadiansuperstore.ca/presidents-choice-ultra-soft-diapers-size-3/p/20978453_EA', true),
+('Pampers', 'Baby Dry Size 3 (168 Count)', '3', 168, 'Real Canadian Superstore', '20978454_EA', 49.99, 0.30, 'https://www.realcanadiansuperstore.ca/pampers-baby-dry-diapers-size-3/p/20978454_EA', true)
+
+ON CONFLICT (retailer, retailer_product_id, count) DO NOTHING;
@@ -0,0 +1,99 @@
+// Netlify serverless function for reviewing quarantined prices
+//
+//   GET  /api/admin-quarantine?status=pending         list records
+//   POST /api/admin-quarantine { id, action }          action is "release" or "discard"
+//
+// Requests need "Authorization: Bearer <ADMIN_API_TOKEN>"; without the
+// variable set the endpoint is disabled.
+const DatabaseService = require('../../database/db-service.js');
+const { errorBody, validateRequest } = require('../../server/api/validate.js');
+const { isAuthorized } = require('../../server/api/auth.js');
+const db = new DatabaseService();
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-store'
+};
+
+/**
+ * Build a JSON response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Object} - Netlify response
+ */
+function respond(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+/**
+ * Shape a price_quarantine row for the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Quarantined record
+ */
+function transformRow(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    diaperId: row.diaper_id,
+    retailer: row.retailer,
+    retailerProductId: row.retailer_product_id,
+    count: row.count,
+    record: row.record,
+    reasons: row.reasons,
+    previousPricePerDiaper: row.previous_price_per_diaper === null ? null : parseFloat(row.previous_price_per_diaper),
+    peerMedianPricePerDiaper: row.peer_median_price_per_diaper === null ? null : parseFloat(row.peer_median_price_per_diaper),
+    status: row.status,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+exports.handler = async function(event, context) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    return respond(503, errorBody('NOT_CONFIGURED', 'ADMIN_API_TOKEN is not configured'));
+  }
+  if (!isAuthorized(event, token)) {
+    return respond(401, errorBody('UNAUTHORIZED', 'A valid admin token is required'));
+  }
+
+  // Validated after the token check, so callers without one learn nothing
+  const invalid = validateRequest('/admin-quarantine', event);
+  if (invalid) return respond(400, invalid);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const status = (event.queryStringParameters || {}).status || 'pending';
+      const rows = await db.getQuarantinedRecords({ status });
+      return respond(200, { records: rows.map(transformRow), count: rows.length });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { id, action } = JSON.parse(event.body);
+
+      if (action === 'release') {
+        const released = await db.releaseQuarantinedRecord(id);
+        if (!released) {
+          return respond(404, errorBody('NOT_FOUND', `No pending quarantined record with id ${id}`));
+        }
+        // The offer was scraped again since, so nothing was published
+        if (!released.result) {
+          return respond(200, { id, status: 'released', diaperId: null, outcome: 'superseded' });
+        }
+        return respond(200, { id, status: 'released', diaperId: released.result.id, outcome: released.result.outcome });
+      }
+
+      const discarded = await db.discardQuarantinedRecord(id);
+      if (!discarded) {
+        return respond(404, errorBody('NOT_FOUND', `No pending quarantined record with id ${id}`));
+      }
+      return respond(200, { id, status: 'discarded' });
+    }
+
+    return respond(405, errorBody('METHOD_NOT_ALLOWED', 'Use GET or POST'));
+
+  } catch (error) {
+    console.error('Error in admin-quarantine handler:', error);
+    return respond(500, errorBody('INTERNAL_ERROR', 'Quarantine request failed'));
+  }
+};
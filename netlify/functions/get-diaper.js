@@ -0,0 +1,93 @@
+// Netlify serverless function returning one diaper with every offer for it
+//
+//   GET /api/get-diaper?id=12             history summary for the last 30 days
+//   GET /api/get-diaper?id=12&days=90     or &from=2025-07-01&to=2025-07-31
+//
+// Offers are the product line's active listings (same brand, type and size)
+// at every retailer and pack count, so shoppers can compare price per diaper.
+const DatabaseService = require('../../database/db-service.js');
+const { parseHistoryRequest, toDailyPoints, summarize } = require('../../server/history/price-history.js');
+const { transformDiaper } = require('../../server/catalog/offer.js');
+const { errorBody, withValidation } = require('../../server/api/validate.js');
+const { buildValidators, isNotModified, cacheHeaders, notModified } = require('../../server/api/http-cache.js');
+const db = new DatabaseService();
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, If-Modified-Since'
+};
+
+/**
+ * Pick the offer a shopper should look at first
+ * @param {Array<Object>} offers - Transformed offers
+ * @returns {number|null} - Id of the cheapest in-stock offer per diaper with a trusted count
+ */
+function findBestOffer(offers) {
+  const candidates = offers.filter(offer => offer.inStock && !offer.lowConfidence);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, offer) => (offer.pricePerDiaper < best.pricePerDiaper ? offer : best)).id;
+}
+
+exports.handler = withValidation('/get-diaper', headers, async function(event, context) {
+  try {
+    const request = parseHistoryRequest(event.queryStringParameters || {});
+    if (request.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorBody('INVALID_REQUEST', request.error))
+      };
+    }
+
+    // The default range ends today, so a new day means a new version
+    const validators = buildValidators(await db.getCatalogVersion(), request.from, request.to);
+    if (isNotModified(event, validators)) return notModified(headers, validators);
+
+    const row = await db.getDiaperById(request.id);
+    if (!row) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify(errorBody('NOT_FOUND', `No diaper with id ${request.id}`))
+      };
+    }
+
+    const [offerRows, historyRows] = await Promise.all([
+      db.getProductOffers(row.brand, row.type, row.size),
+      db.getDailyPriceHistory(request.id, request.from, request.to)
+    ]);
+    const offers = offerRows.map(transformDiaper);
+    const points = toDailyPoints(historyRows);
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...cacheHeaders(validators) },
+      body: JSON.stringify({
+        diaper: {
+          ...transformDiaper(row),
+          retailerProductId: row.retailer_product_id,
+          archived: Boolean(row.archived_at)
+        },
+        offers,
+        bestOfferId: findBestOffer(offers),
+        history: {
+          from: request.from,
+          to: request.to,
+          days: points.length,
+          ...summarize(points)
+        },
+        timestamp: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Error in get-diaper handler:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify(errorBody('INTERNAL_ERROR', 'Failed to fetch diaper'))
+    };
+  }
+});
@@ -0,0 +1,62 @@
+// Netlify serverless function returning filter options with offer counts
+//
+//   GET /api/get-facets?brand=Pampers&size=3,4
+//
+// Takes the same filters as get-diapers. Each brand, size and retailer in the
+// data comes back with the number of offers it would show; the UI disables
+// options with none.
+const DatabaseService = require('../../database/db-service.js');
+const { LOW_CONFIDENCE_THRESHOLD } = require('../../server/scrapers/provenance.js');
+const { parseDiaperFilters } = require('../../server/catalog/diaper-query.js');
+const { errorBody, withValidation } = require('../../server/api/validate.js');
+const { buildValidators, isNotModified, cacheHeaders, notModified } = require('../../server/api/http-cache.js');
+const db = new DatabaseService();
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, If-Modified-Since'
+};
+
+exports.handler = withValidation('/get-facets', headers, async function(event, context) {
+  try {
+    const request = parseDiaperFilters(event.queryStringParameters || {}, event.multiValueQueryStringParameters || {});
+    if (request.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorBody('INVALID_REQUEST', request.error))
+      };
+    }
+
+    const validators = buildValidators(await db.getCatalogVersion());
+    if (isNotModified(event, validators)) return notModified(headers, validators);
+
+    const { brands, sizes, retailers, total } = await db.getFacets({
+      ...request.filters,
+      // Match get-diapers, which hides guessed counts unless asked
+      minConfidence: request.filters.includeLowConfidence ? null : LOW_CONFIDENCE_THRESHOLD
+    });
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...cacheHeaders(validators) },
+      body: JSON.stringify({
+        brands,
+        sizes,
+        retailers,
+        total,
+        timestamp: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Error in get-facets handler:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify(errorBody('INTERNAL_ERROR', 'Failed to fetch facets'))
+    };
+  }
+});
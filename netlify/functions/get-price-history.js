@@ -0,0 +1,74 @@
+// Netlify serverless function returning daily price history for one diaper
+const DatabaseService = require('../../database/db-service.js');
+const { parseHistoryRequest, toDailyPoints, findGaps, summarize } = require('../../server/history/price-history.js');
+const { errorBody, withValidation } = require('../../server/api/validate.js');
+const { buildValidators, isNotModified, cacheHeaders, notModified } = require('../../server/api/http-cache.js');
+const db = new DatabaseService();
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, If-Modified-Since'
+};
+
+exports.handler = withValidation('/get-price-history', headers, async function(event, context) {
+  try {
+    // ?id=12&from=2025-07-01&to=2025-07-31, or ?id=12&days=90
+    const request = parseHistoryRequest(event.queryStringParameters || {});
+    if (request.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify(errorBody('INVALID_REQUEST', request.error))
+      };
+    }
+
+    // The default range ends today, so a new day means a new version
+    const validators = buildValidators(await db.getCatalogVersion(), request.from, request.to);
+    if (isNotModified(event, validators)) return notModified(headers, validators);
+
+    const diaper = await db.getDiaperById(request.id);
+    if (!diaper) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify(errorBody('NOT_FOUND', `No diaper with id ${request.id}`))
+      };
+    }
+
+    const rows = await db.getDailyPriceHistory(request.id, request.from, request.to);
+    const points = toDailyPoints(rows);
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...cacheHeaders(validators) },
+      body: JSON.stringify({
+        diaper: {
+          id: diaper.id,
+          brand: diaper.brand,
+          type: diaper.type,
+          size: diaper.size,
+          count: diaper.count,
+          retailer: diaper.retailer,
+          lastSeen: diaper.last_seen,
+          archived: Boolean(diaper.archived_at)
+        },
+        from: request.from,
+        to: request.to,
+        points,
+        gaps: findGaps(points),
+        summary: summarize(points),
+        timestamp: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Error in get-price-history handler:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify(errorBody('INTERNAL_ERROR', 'Failed to fetch price history'))
+    };
+  }
+});
@@ -0,0 +1,20 @@
+// Netlify serverless function serving the OpenAPI document for the API
+// (server/api/openapi.json), so partners can generate clients from /api/openapi
+const { spec } = require('../../server/api/validate.js');
+
+const body = JSON.stringify(spec);
+
+exports.handler = async function(event, context) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      // Only changes with a deploy
+      'Cache-Control': 'public, max-age=3600'
+    },
+    body
+  };
+};
@@ -0,0 +1,35 @@
+// Netlify scheduled function that compacts old price history into daily rows
+// The schedule lives in netlify.toml; retention comes from the environment
+const DatabaseService = require('../../database/db-service.js');
+const { runPriceHistoryRollup } = require('../../server/jobs/rollup-price-history.js');
+
+exports.handler = async function(event, context) {
+  try {
+    const db = new DatabaseService();
+    const result = await runPriceHistoryRollup({ db });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ...result,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error in rollup-price-history function:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        error: 'Price history rollup failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
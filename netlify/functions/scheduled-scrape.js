@@ -0,0 +1,45 @@
+// Netlify scheduled function that starts a refresh of prices from every retailer
+// Scheduled functions are stopped after about 30 seconds, far short of a full
+// run, so this only hands off to the scrape-background function. The schedule
+// lives in netlify.toml; API reads never trigger scraping
+const headers = {
+  'Content-Type': 'application/json'
+};
+
+exports.handler = async function(event, context) {
+  try {
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) {
+      throw new Error('ADMIN_API_TOKEN is not configured');
+    }
+
+    // URL is the site's main address, set by Netlify
+    const response = await fetch(`${process.env.URL}/.netlify/functions/scrape-background`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    if (response.status !== 202) {
+      throw new Error(`scrape-background responded with ${response.status}`);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        started: true,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error in scheduled-scrape function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Scheduled scrape failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
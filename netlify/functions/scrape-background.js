@@ -0,0 +1,29 @@
+// Netlify background function that runs the scrape, started by scheduled-scrape
+// The -background suffix gives it 15 minutes instead of the ~30 seconds a
+// scheduled function gets; Netlify answers the caller with 202 straight away.
+//
+// Background functions have a public URL, so requests need
+// "Authorization: Bearer <ADMIN_API_TOKEN>".
+const DatabaseService = require('../../database/db-service.js');
+const scraperManager = require('../../server/scrapers');
+const { runScheduledScrape } = require('../../server/jobs/scheduled-scrape.js');
+const { isAuthorized } = require('../../server/api/auth.js');
+
+exports.handler = async function(event, context) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token || !isAuthorized(event, token)) {
+    console.error('Refusing to start a scrape without a valid admin token');
+    return { statusCode: 401 };
+  }
+
+  try {
+    const db = new DatabaseService();
+    // Still checks the interval, so a stray trigger can't start an extra run
+    const result = await runScheduledScrape({ db, scraperManager });
+    console.log(JSON.stringify(result.skipped ? result : { jobId: result.jobId, stored: result.stored, quarantined: result.quarantined }));
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Error in scrape-background function:', error);
+    return { statusCode: 500 };
+  }
+};
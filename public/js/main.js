@@ -1,10 +1,14 @@
 // Global variables
+// The API filters, sorts and pages; diapers holds the current page only
 let diapers = [];
-let filteredDiapers = [];
+let totalDiapers = 0;
 let activeBrands = new Set();
 let activeSizes = new Set();
 let activeRetailers = new Set();
 
+// Listings whose pack count was guessed are hidden unless the user opts in
+let includeLowConfidence = false;
+
 // Pagination variables
 let currentPage = 1;
 let itemsPerPage = 12; // Default items per page
@@ -19,10 +23,27 @@ const resetAllFiltersEl = document.getElementById('reset-all-filters');
 const resultsCountEl = document.getElementById('results-count');
 const paginationEl = document.getElementById('pagination');
 const itemsPerPageEl = document.getElementById('items-per-page');
+const includeLowConfidenceEl = document.getElementById('include-low-confidence');
 
 // Default sort option
 let currentSortOption = 'price-per-diaper';
 
+// API sort parameters for each sort option
+const SORT_PARAMS = {
+  'price-per-diaper': { sortBy: 'pricePerDiaper', sortOrder: 'asc' },
+  'total-price': { sortBy: 'price', sortOrder: 'asc' },
+  'count': { sortBy: 'count', sortOrder: 'desc' },
+  'brand': { sortBy: 'brand', sortOrder: 'asc' }
+};
+
+// Only the latest diaper and facet requests may update the page
+let latestDiaperRequest = 0;
+let latestFacetRequest = 0;
+
+// Responses by URL with their ETag, so returning to a page or filter
+// revalidates instead of downloading the list again
+const responseCache = new Map();
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
   // Check URL parameters first
@@ -34,7 +55,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // Set up event listeners
   sortByEl.addEventListener('change', (event) => {
     currentSortOption = event.target.value;
-    sortDiapers();
+    currentPage = 1;
+    updateUrlParameters();
+    refreshDiapers();
   });
   
   // Set up reset filters button
@@ -42,13 +65,24 @@ document.addEventListener('DOMContentLoaded', () => {
     resetAllFiltersEl.addEventListener('click', resetAllFilters);
   }
   
+  // Set up estimated pack count toggle
+  if (includeLowConfidenceEl) {
+    includeLowConfidenceEl.addEventListener('change', async (event) => {
+      includeLowConfidence = event.target.checked;
+      currentPage = 1;
+      refreshFacetCounts();
+      await refreshDiapers();
+      announceToScreenReader(includeLowConfidence ? 'Estimated pack counts shown' : 'Estimated pack counts hidden');
+    });
+  }
+  
   // Set up items per page dropdown
   if (itemsPerPageEl) {
     itemsPerPageEl.addEventListener('change', (event) => {
       itemsPerPage = parseInt(event.target.value);
       currentPage = 1; // Reset to first page when changing items per page
-      renderDiaperResults();
       updateUrlParameters();
+      refreshDiapers();
     });
   }
 });
@@ -56,20 +90,17 @@ document.addEventListener('DOMContentLoaded', () => {
 // Fetch diaper data from the API
 async function fetchData() {
   try {
-    const response = await fetch('/.netlify/functions/get-diapers');
-    const data = await response.json();
-    diapers = data.diapers || [];
-    filteredDiapers = [...diapers];
-    
     // Fetch filter options
-    await Promise.all([
-      fetchBrands(),
-      fetchSizes(),
-      fetchRetailers()
-    ]);
+    await fetchFilterOptions();
+    
+    // Select filters from the URL before the first page is requested
+    applyUrlParameters();
+    if (activeBrands.size > 0 || activeSizes.size > 0 || activeRetailers.size > 0) {
+      refreshFacetCounts();
+    }
     
-    // Sort before initial render
-    sortDiapers();
+    await fetchDiapers();
+    renderDiaperResults();
   } catch (error) {
     console.error('Error fetching data:', error);
     diaperResultsEl.innerHTML = `
@@ -80,86 +111,158 @@ async function fetchData() {
   }
 }
 
-// Fetch all available brands and create filter buttons
-async function fetchBrands() {
+// Build the query parameters for the selected filters
+function buildFilterParams() {
+  const params = new URLSearchParams();
+  if (activeBrands.size > 0) params.set('brand', Array.from(activeBrands).join(','));
+  if (activeSizes.size > 0) params.set('size', Array.from(activeSizes).join(','));
+  if (activeRetailers.size > 0) params.set('retailer', Array.from(activeRetailers).join(','));
+  if (includeLowConfidence) params.set('includeLowConfidence', 'true');
+  return params;
+}
+
+// Build the get-diapers query for the selected filters, sort and page
+function buildDiaperQuery() {
+  const params = buildFilterParams();
+  const { sortBy, sortOrder } = SORT_PARAMS[currentSortOption] || SORT_PARAMS['price-per-diaper'];
+  params.set('sortBy', sortBy);
+  params.set('sortOrder', sortOrder);
+  params.set('page', currentPage.toString());
+  params.set('limit', itemsPerPage.toString());
+  return params.toString();
+}
+
+// Fetch JSON from the API, reusing the cached body when the server answers 304
+async function fetchJson(url) {
+  const cached = responseCache.get(url);
+  const response = await fetch(url, {
+    headers: cached ? { 'If-None-Match': cached.etag } : {}
+  });
+  if (response.status === 304 && cached) {
+    return cached.data;
+  }
+  if (!response.ok) {
+    throw new Error(`${url.split('?')[0]} responded with ${response.status}`);
+  }
+  const data = await response.json();
+  const etag = response.headers.get('ETag');
+  if (etag) {
+    responseCache.set(url, { etag, data });
+  }
+  return data;
+}
+
+// Fetch the current page of diapers, including low-confidence listings when requested
+async function fetchDiapers() {
+  const request = ++latestDiaperRequest;
+  const data = await fetchJson(`/.netlify/functions/get-diapers?${buildDiaperQuery()}`);
+  
+  // A newer request was made while this one was in flight
+  if (request !== latestDiaperRequest) return false;
+  
+  diapers = data.diapers || [];
+  totalDiapers = data.total || 0;
+  return true;
+}
+
+// Fetch and render the current page after filters, sort or page change
+async function refreshDiapers() {
   try {
-    const response = await fetch('/.netlify/functions/get-brands');
-    const data = await response.json();
-    const brands = data.brands || [];
+    if (!await fetchDiapers()) return;
     
-    const brandHTML = brands.map(brand => `
-      <button class="filter-item" data-brand="${brand}" 
-              onclick="toggleBrandFilter('${brand}')" 
-              onkeydown="handleFilterKeydown(event, 'brand', '${brand}')" 
-              role="button" 
-              tabindex="0" 
-              aria-pressed="false"
-              aria-label="Filter by ${brand} brand">
-        ${brand}
-      </button>
-    `).join('');
-    
-    brandFiltersEl.innerHTML = brandHTML;
-    
-    // Apply URL parameters after filters are loaded
-    if (window.urlFilterParams && window.urlFilterParams.brand) {
-      applyUrlParameters();
+    // The page can run past the end when filters shrink the results
+    const totalPages = Math.ceil(totalDiapers / itemsPerPage);
+    if (diapers.length === 0 && currentPage > 1 && totalPages > 0) {
+      currentPage = totalPages;
+      updateUrlParameters();
+      if (!await fetchDiapers()) return;
     }
+    
+    renderDiaperResults();
   } catch (error) {
-    console.error('Error fetching brands:', error);
-    brandFiltersEl.innerHTML = '<p>Error loading brands</p>';
+    console.error('Error refreshing diapers:', error);
+    diaperResultsEl.innerHTML = `
+      <div class="error-message">
+        <p>Sorry, we couldn't load the diaper data. Please try again later.</p>
+      </div>
+    `;
   }
 }
 
-// Fetch all available sizes and create filter buttons
-async function fetchSizes() {
+// Fetch brand, size and retailer options with offer counts under the selected filters
+async function fetchFacets() {
+  return fetchJson(`/.netlify/functions/get-facets?${buildFilterParams().toString()}`);
+}
+
+// Build the filter buttons for one facet. Values come from scraped data, so
+// they only ever go into text and dataset, never into markup
+function renderFilterOptions(containerEl, filterType, options, label, toggle) {
+  containerEl.replaceChildren(...options.map(({ value, count }) => {
+    const button = document.createElement('button');
+    button.className = 'filter-item';
+    button.dataset[filterType] = value;
+    button.setAttribute('role', 'button');
+    button.setAttribute('tabindex', '0');
+    button.setAttribute('aria-pressed', 'false');
+    button.setAttribute('aria-label', label(value));
+    
+    const countEl = document.createElement('span');
+    countEl.className = 'filter-count';
+    countEl.textContent = count;
+    button.append(`${value} `, countEl);
+    
+    button.addEventListener('click', () => toggle(value));
+    button.addEventListener('keydown', (event) => handleFilterKeydown(event, filterType, value));
+    return button;
+  }));
+}
+
+// Create a filter button for every brand, size and retailer in the data
+async function fetchFilterOptions() {
   try {
-    const response = await fetch('/.netlify/functions/get-sizes');
-    const data = await response.json();
-    const sizes = data.sizes || [];
+    const facets = await fetchFacets();
     
-    const sizeHTML = sizes.map(size => `
-      <button class="filter-item" data-size="${size}" 
-              onclick="toggleSizeFilter('${size}')" 
-              onkeydown="handleFilterKeydown(event, 'size', '${size}')" 
-              role="button" 
-              tabindex="0" 
-              aria-pressed="false"
-              aria-label="Filter by size ${size}">
-        ${size}
-      </button>
-    `).join('');
+    renderFilterOptions(brandFiltersEl, 'brand', facets.brands, brand => `Filter by ${brand} brand`, toggleBrandFilter);
+    renderFilterOptions(sizeFiltersEl, 'size', facets.sizes, size => `Filter by size ${size}`, toggleSizeFilter);
+    renderFilterOptions(retailerFiltersEl, 'retailer', facets.retailers, retailer => `Filter by ${retailer}`, toggleRetailerFilter);
     
-    sizeFiltersEl.innerHTML = sizeHTML;
+    updateFacetCounts(facets);
   } catch (error) {
-    console.error('Error fetching sizes:', error);
+    console.error('Error fetching filter options:', error);
+    brandFiltersEl.innerHTML = '<p>Error loading brands</p>';
     sizeFiltersEl.innerHTML = '<p>Error loading sizes</p>';
+    retailerFiltersEl.innerHTML = '<p>Error loading retailers</p>';
   }
 }
 
-// Fetch all available retailers and create filter buttons
-async function fetchRetailers() {
+// Show offer counts on the filter buttons; options that would match nothing are disabled
+function updateFacetCounts(facets) {
+  const groups = { brand: facets.brands, size: facets.sizes, retailer: facets.retailers };
+  
+  Object.entries(groups).forEach(([filterType, options]) => {
+    (options || []).forEach(({ value, count }) => {
+      const filterElement = document.querySelector(`.filter-item[data-${filterType}="${CSS.escape(value)}"]`);
+      if (!filterElement) return;
+      
+      const countEl = filterElement.querySelector('.filter-count');
+      if (countEl) countEl.textContent = count;
+      
+      // Selected options stay enabled so they can be cleared
+      filterElement.disabled = count === 0 && !filterElement.classList.contains('active');
+      filterElement.setAttribute('aria-disabled', filterElement.disabled ? 'true' : 'false');
+    });
+  });
+}
+
+// Refresh the filter counts after the selected filters change
+async function refreshFacetCounts() {
+  const request = ++latestFacetRequest;
   try {
-    const response = await fetch('/.netlify/functions/get-retailers');
-    const data = await response.json();
-    const retailers = data.retailers || [];
-    
-    const retailerHTML = retailers.map(retailer => `
-      <button class="filter-item" data-retailer="${retailer}" 
-              onclick="toggleRetailerFilter('${retailer}')" 
-              onkeydown="handleFilterKeydown(event, 'retailer', '${retailer}')" 
-              role="button" 
-              tabindex="0" 
-              aria-pressed="false"
-              aria-label="Filter by ${retailer}">
-        ${retailer}
-      </button>
-    `).join('');
-    
-    retailerFiltersEl.innerHTML = retailerHTML;
+    const facets = await fetchFacets();
+    // A newer request was made while this one was in flight
+    if (request === latestFacetRequest) updateFacetCounts(facets);
   } catch (error) {
-    console.error('Error fetching retailers:', error);
-    retailerFiltersEl.innerHTML = '<p>Error loading retailers</p>';
+    console.error('Error refreshing filter counts:', error);
   }
 }
 
@@ -183,7 +286,7 @@ function handleFilterKeydown(event, filterType, value) {
 
 // Enhanced brand filter with accessibility updates
 function toggleBrandFilter(brand, skipUpdate = false) {
-  const filterElement = document.querySelector(`.filter-item[data-brand="${brand}"]`);
+  const filterElement = document.querySelector(`.filter-item[data-brand="${CSS.escape(brand)}"]`);
   if (!filterElement) return;
   
   const isActive = activeBrands.has(brand);
@@ -207,7 +310,7 @@ function toggleBrandFilter(brand, skipUpdate = false) {
 
 // Enhanced size filter with accessibility updates
 function toggleSizeFilter(size, skipUpdate = false) {
-  const filterElement = document.querySelector(`.filter-item[data-size="${size}"]`);
+  const filterElement = document.querySelector(`.filter-item[data-size="${CSS.escape(size)}"]`);
   if (!filterElement) return;
   
   const isActive = activeSizes.has(size);
@@ -231,7 +334,7 @@ function toggleSizeFilter(size, skipUpdate = false) {
 
 // Enhanced retailer filter with accessibility updates
 function toggleRetailerFilter(retailer, skipUpdate = false) {
-  const filterElement = document.querySelector(`.filter-item[data-retailer="${retailer}"]`);
+  const filterElement = document.querySelector(`.filter-item[data-retailer="${CSS.escape(retailer)}"]`);
   if (!filterElement) return;
   
   const isActive = activeRetailers.has(retailer);
@@ -255,57 +358,12 @@ function toggleRetailerFilter(retailer, skipUpdate = false) {
 
 // Apply selected filters
 function applyFilters() {
-  filteredDiapers = diapers.filter(diaper => {
-    // If no brands are selected, show all brands
-    const brandMatch = activeBrands.size === 0 || activeBrands.has(diaper.brand);
-    
-    // If no sizes are selected, show all sizes
-    const sizeMatch = activeSizes.size === 0 || activeSizes.has(diaper.size);
-    
-    // If no retailers are selected, show all retailers
-    const retailerMatch = activeRetailers.size === 0 || activeRetailers.has(diaper.retailer);
-    
-    return brandMatch && sizeMatch && retailerMatch;
-  });
-  
   // Reset to first page when filters change
   currentPage = 1;
   
-  // Always sort the filtered diapers before rendering
-  sortDiapers();
   updateUrlParameters();
-  // renderDiaperResults() is called by sortDiapers()
-}
-
-// Sort diapers based on selected criteria
-function sortDiapers() {
-  // Get the current sort option, ensuring we have a valid value
-  const sortBy = sortByEl ? sortByEl.value : currentSortOption;
-  currentSortOption = sortBy; // Store the current sort option
-  
-  console.log('Sorting by:', sortBy); // Debug log
-  
-  filteredDiapers.sort((a, b) => {
-    switch (sortBy) {
-      case 'price-per-diaper':
-        return a.pricePerDiaper - b.pricePerDiaper;
-      case 'total-price':
-        return a.price - b.price;
-      case 'count':
-        return b.count - a.count;
-      case 'brand':
-        return a.brand.localeCompare(b.brand);
-      default:
-        return a.pricePerDiaper - b.pricePerDiaper;
-    }
-  });
-  
-  // Ensure that if we're sorting by price, the lowest price items are first
-  if (sortBy === 'price-per-diaper' || sortBy === 'total-price') {
-    console.log('First item price per diaper:', filteredDiapers[0]?.pricePerDiaper);
-  }
-  
-  renderDiaperResults();
+  refreshDiapers();
+  refreshFacetCounts();
 }
 
 // Reset all filters
@@ -322,12 +380,10 @@ function resetAllFilters() {
   
   // Reset sort to default
   sortByEl.value = 'price-per-diaper';
+  currentSortOption = 'price-per-diaper';
   
   // Apply filters
   applyFilters();
-  
-  // Update URL parameters
-  updateUrlParameters();
 }
 
 // Check URL parameters and pre-select filters
@@ -367,24 +423,25 @@ function applyUrlParameters() {
   
   const { brand, size, retailer, sort } = window.urlFilterParams;
   
-  // Apply brand filter if specified
+  // Apply brand filters if specified (comma-separated)
   if (brand) {
-    toggleBrandFilter(brand, true);
+    brand.split(',').forEach(value => toggleBrandFilter(value, true));
   }
   
-  // Apply size filter if specified
+  // Apply size filters if specified
   if (size) {
-    toggleSizeFilter(size, true);
+    size.split(',').forEach(value => toggleSizeFilter(value, true));
   }
   
-  // Apply retailer filter if specified
+  // Apply retailer filters if specified
   if (retailer) {
-    toggleRetailerFilter(retailer, true);
+    retailer.split(',').forEach(value => toggleRetailerFilter(value, true));
   }
   
   // Apply sort if specified
-  if (sort && document.querySelector(`option[value="${sort}"]`)) {
+  if (sort && document.querySelector(`option[value="${CSS.escape(sort)}"]`)) {
     sortByEl.value = sort;
+    currentSortOption = sort;
   }
   
   // Clear params after applying
@@ -395,19 +452,19 @@ function applyUrlParameters() {
 function updateUrlParameters() {
   const urlParams = new URLSearchParams();
   
-  // Add brand to URL if only one is selected
-  if (activeBrands.size === 1) {
-    urlParams.set('brand', Array.from(activeBrands)[0]);
+  // Add selected brands to URL
+  if (activeBrands.size > 0) {
+    urlParams.set('brand', Array.from(activeBrands).join(','));
   }
   
-  // Add size to URL if only one is selected
-  if (activeSizes.size === 1) {
-    urlParams.set('size', Array.from(activeSizes)[0]);
+  // Add selected sizes to URL
+  if (activeSizes.size > 0) {
+    urlParams.set('size', Array.from(activeSizes).join(','));
   }
   
-  // Add retailer to URL if only one is selected
-  if (activeRetailers.size === 1) {
-    urlParams.set('retailer', Array.from(activeRetailers)[0]);
+  // Add selected retailers to URL
+  if (activeRetailers.size > 0) {
+    urlParams.set('retailer', Array.from(activeRetailers).join(','));
   }
   
   // Add sort option to URL
@@ -424,15 +481,15 @@ function updateUrlParameters() {
   window.history.replaceState({}, '', newUrl);
 }
 
-// Calculate savings percentage compared to average price
+// Calculate savings percentage compared to the average price elsewhere
 function calculateSavings(diaper) {
-  // Get diapers with same brand and size
-  const similarDiapers = diapers.filter(d => 
-    d.brand === diaper.brand && d.size === diaper.size && d.retailer !== diaper.retailer);
+  // Estimated pack counts make price per diaper unreliable
+  if (diaper.lowConfidence) return null;
   
-  if (similarDiapers.length === 0) return null; // No comparison possible
+  // The API averages the same brand and size at other retailers
+  const avgPrice = diaper.peerAvgPricePerDiaper;
+  if (!avgPrice) return null; // No comparison possible
   
-  const avgPrice = similarDiapers.reduce((sum, d) => sum + d.pricePerDiaper, 0) / similarDiapers.length;
   const savings = ((avgPrice - diaper.pricePerDiaper) / avgPrice) * 100;
   
   return savings > 5 ? Math.round(savings) : null; // Only show if savings is more than 5%
@@ -446,6 +503,26 @@ function formatPrice(price) {
   });
 }
 
+// Format the day a retailer last listed an offer
+function formatLastSeen(lastSeen) {
+  return new Date(lastSeen).toLocaleDateString('en-CA', { month: 'short', day: 'numeric' });
+}
+
+// Format the day a sale ends
+function formatSaleEnds(promoEndsAt) {
+  return new Date(promoEndsAt).toLocaleDateString('en-CA', { month: 'short', day: 'numeric' });
+}
+
+// Escape scraped text before it goes into the results markup
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Update results count (enhanced version moved below)
 
 // Render the filtered and sorted diaper results
@@ -453,7 +530,7 @@ function renderDiaperResults() {
   // Update the results count
   updateResultsCount();
   
-  if (filteredDiapers.length === 0) {
+  if (diapers.length === 0) {
     diaperResultsEl.innerHTML = `
       <div class="no-results">
         <i data-feather="search" class="no-results-icon"></i>
@@ -486,43 +563,55 @@ function renderDiaperResults() {
     paginationEl.style.display = 'flex';
   }
   
-  // Calculate pagination
-  const startIndex = (currentPage - 1) * itemsPerPage;
-  const endIndex = Math.min(startIndex + itemsPerPage, filteredDiapers.length);
-  const currentPageItems = filteredDiapers.slice(startIndex, endIndex);
-  
   // Render pagination controls
   renderPagination();
   
-  const resultsHTML = currentPageItems.map(diaper => {
+  const resultsHTML = diapers.map(diaper => {
     // Calculate savings if possible
     const savings = calculateSavings(diaper);
     // Add tooltip explanation via data-tooltip attribute for custom CSS tooltip
     const savingsTooltip = 'This diaper is cheaper compared to the average price of the same brand and size at other retailers';
     const savingsTag = savings ? `<span class="savings-tag" data-tooltip="${savingsTooltip}" aria-label="${savings}% cheaper. ${savingsTooltip}" tabindex="0">${savings}% cheaper <i data-feather="info" class="savings-info-icon"></i></span>` : '';
+    const confidenceWarning = diaper.lowConfidence ? `
+          <span class="diaper-meta-item confidence-warning" title="We could not read the pack count from the listing, so price per diaper may be wrong. Check the retailer before buying.">
+            <i data-feather="alert-triangle" class="confidence-warning-icon"></i> Estimated count
+          </span>` : '';
+    // The retailer's latest scrape didn't list this offer, so it may be gone
+    const staleWarning = diaper.missedRuns > 0 && diaper.lastSeen ? `
+          <span class="diaper-meta-item stale-warning" title="This offer was missing from the retailer's latest listings. Check the retailer before buying.">
+            <i data-feather="clock" class="confidence-warning-icon"></i> Last seen ${formatLastSeen(diaper.lastSeen)}
+          </span>` : '';
+    // Strike through the usual price while a sale is on
+    const regularPrice = diaper.onSale ? `<s class="regular-price" aria-label="Regular price">$${formatPrice(diaper.regularPrice)}</s>` : '';
+    const promoDetails = [
+      diaper.promoText ? escapeHtml(diaper.promoText) : null,
+      diaper.onSale && diaper.promoEndsAt ? `Sale ends ${formatSaleEnds(diaper.promoEndsAt)}` : null
+    ].filter(Boolean).join(' · ');
+    const promoTag = promoDetails ? `<p class="promo-details">${promoDetails}</p>` : '';
     
     return `
     <div class="diaper-card">
       <div class="diaper-info">
-        <h3>${diaper.brand} ${diaper.type || diaper.name || ''}</h3>
+        <h3>${escapeHtml(diaper.brand)} ${escapeHtml(diaper.type || diaper.name || '')}</h3>
         <div class="diaper-meta">
-          <span class="diaper-meta-item">Size ${diaper.size}</span>
-          <span class="diaper-meta-item"><strong>${diaper.count}</strong> diapers</span>
+          <span class="diaper-meta-item">Size ${escapeHtml(diaper.size)}</span>
+          <span class="diaper-meta-item"><strong>${diaper.count}</strong> diapers</span>${confidenceWarning}${staleWarning}
         </div>
         <div class="retailer-info">
           <span class="retailer">
             <i data-feather="shopping-bag" class="retailer-icon"></i> 
-            ${diaper.retailer}
+            ${escapeHtml(diaper.retailer)}
           </span>
         </div>
       </div>
       <div class="diaper-pricing">
         ${savingsTag}
         <div class="price-container">
-          <p class="price">$${formatPrice(diaper.price)}</p>
+          <p class="price">${regularPrice}$${formatPrice(diaper.price)}</p>
           <p class="price-per-diaper">$${formatPrice(diaper.pricePerDiaper)} <span>per diaper</span></p>
+          ${promoTag}
         </div>
-        <a href="${diaper.url}" target="_blank" rel="noopener noreferrer" class="buy-button">View Deal</a>
+        <a href="${/^https?:\/\//i.test(diaper.url) ? escapeHtml(diaper.url) : '#'}" target="_blank" rel="noopener noreferrer" class="buy-button">View Deal</a>
       </div>
     </div>
     `;
@@ -540,7 +629,7 @@ function renderDiaperResults() {
 function renderPagination() {
   if (!paginationEl) return;
   
-  const totalPages = Math.ceil(filteredDiapers.length / itemsPerPage);
+  const totalPages = Math.ceil(totalDiapers / itemsPerPage);
   if (totalPages <= 1) {
     paginationEl.style.display = 'none';
     return;
@@ -610,8 +699,8 @@ function renderPagination() {
 function changePage(page) {
   window.scrollTo({ top: 0, behavior: 'smooth' });
   currentPage = page;
-  renderDiaperResults();
   updateUrlParameters();
+  refreshDiapers();
 }
 
 // Screen reader announcements for accessibility
@@ -684,8 +773,8 @@ function handleTouchEnd(e) {
 function updateResultsCount() {
   if (resultsCountEl) {
     const startItem = (currentPage - 1) * itemsPerPage + 1;
-    const endItem = Math.min(currentPage * itemsPerPage, filteredDiapers.length);
-    const totalItems = filteredDiapers.length;
+    const endItem = startItem + diapers.length - 1;
+    const totalItems = totalDiapers;
     
     let message;
     if (totalItems === 0) {
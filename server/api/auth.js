@@ -0,0 +1,26 @@
+/**
+ * Bearer token checks for the admin endpoints and the scrape trigger
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check the bearer token in constant time
+ * @param {Object} event - Netlify event
+ * @param {string} token - Expected token
+ * @returns {boolean} - True when the request carries the token
+ */
+function isAuthorized(event, token) {
+  const requestHeaders = event.headers || {};
+  const header = requestHeaders.authorization || requestHeaders.Authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/);
+  if (!match) return false;
+
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  isAuthorized
+};
@@ -0,0 +1,112 @@
+/**
+ * HTTP caching for the read endpoints. Responses carry an ETag and
+ * Last-Modified taken from the catalog version
+ * (DatabaseService#getCatalogVersion), so a client revalidating with
+ * If-None-Match or If-Modified-Since gets an empty 304 before the listing
+ * queries run.
+ *
+ * Prices only change when a scrape runs, so browsers and the CDN may keep
+ * serving a stale copy for one scrape interval while they revalidate.
+ */
+
+const crypto = require('crypto');
+const { SCRAPING_INTERVAL } = require('../jobs/schedule');
+
+// Short, because quarantine releases are published between scrapes
+const MAX_AGE_SECONDS = 5 * 60;
+
+const CACHE_CONTROL = `public, max-age=${MAX_AGE_SECONDS}, ` +
+  `stale-while-revalidate=${Math.round(SCRAPING_INTERVAL / 1000)}`;
+
+/**
+ * Build the validators for a response
+ * @param {Object} version - { last_modified, offers, missed_runs } from getCatalogVersion
+ * @param {...*} parts - Anything else the body depends on besides the URL, e.g. a resolved date range
+ * @returns {Object} - { etag, lastModified } where lastModified is an HTTP date or null for an empty catalog
+ */
+function buildValidators(version, ...parts) {
+  const lastModified = version.last_modified ? new Date(version.last_modified) : null;
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([lastModified && lastModified.toISOString(), version.offers, version.missed_runs, ...parts]))
+    .digest('base64url')
+    .slice(0, 22);
+
+  return {
+    // Weak, because the body's timestamp differs on every response
+    etag: `W/"${hash}"`,
+    lastModified: lastModified && lastModified.toUTCString()
+  };
+}
+
+/**
+ * Read a request header regardless of how it was cased
+ * @param {Object} event - Netlify event
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Decide whether the client's copy is still current
+ * @param {Object} event - Netlify event
+ * @param {Object} validators - From buildValidators
+ * @returns {boolean} - True when a 304 should be sent
+ */
+function isNotModified(event, validators) {
+  // If-None-Match wins when both are sent: reconciling changes offers
+  // without moving Last-Modified
+  const ifNoneMatch = getHeader(event, 'if-none-match');
+  if (ifNoneMatch) {
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(opaque).includes(opaque(validators.etag));
+  }
+
+  const ifModifiedSince = getHeader(event, 'if-modified-since');
+  if (ifModifiedSince && validators.lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return !Number.isNaN(since) && Date.parse(validators.lastModified) <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Caching headers for a 200 or 304 response
+ * @param {Object} validators - From buildValidators
+ * @returns {Object} - Response headers
+ */
+function cacheHeaders(validators) {
+  return {
+    'Cache-Control': CACHE_CONTROL,
+    'ETag': validators.etag,
+    ...(validators.lastModified ? { 'Last-Modified': validators.lastModified } : {}),
+    // Let cross-origin clients read the validators to send them back
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified'
+  };
+}
+
+/**
+ * Build an empty 304 response
+ * @param {Object} headers - The function's response headers
+ * @param {Object} validators - From buildValidators
+ * @returns {Object} - Netlify response
+ */
+function notModified(headers, validators) {
+  return {
+    statusCode: 304,
+    headers: { ...headers, ...cacheHeaders(validators) },
+    body: ''
+  };
+}
+
+module.exports = {
+  CACHE_CONTROL,
+  buildValidators,
+  isNotModified,
+  cacheHeaders,
+  notModified
+};
@@ -0,0 +1,223 @@
+/**
+ * Request validation against the OpenAPI document in ./openapi.json, so the
+ * published spec and what the functions accept can't drift apart.
+ *
+ * Invalid requests get a 400 with a stable `code` and one entry in `details`
+ * per problem:
+ *   { error, code: 'INVALID_REQUEST', message, details: [{ in, name, code, message }] }
+ *
+ * Only the parts of OpenAPI the spec uses are supported: query parameters
+ * (arrays are comma-separated or repeated) and flat JSON bodies.
+ */
+
+const spec = require('./openapi.json');
+
+/**
+ * Follow a local $ref
+ * @param {Object} node - Spec node, possibly { $ref: '#/components/...' }
+ * @returns {Object} - The referenced node
+ */
+function resolve(node) {
+  if (!node || !node.$ref) return node;
+  return node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target[key], spec);
+}
+
+/**
+ * Find the spec operation for a function and HTTP method
+ * @param {string} path - Path under /api, e.g. '/get-diapers'
+ * @param {string} method - HTTP method
+ * @returns {Object|null} - { parameters, body } where body is the JSON schema of the request body, if any
+ */
+function findOperation(path, method) {
+  const item = spec.paths[path];
+  const operation = item && item[(method || 'GET').toLowerCase()];
+  if (!operation) return null;
+
+  const requestBody = resolve(operation.requestBody);
+  return {
+    parameters: (operation.parameters || []).map(resolve),
+    body: requestBody ? resolve(requestBody.content['application/json'].schema) : null
+  };
+}
+
+/**
+ * Build an error body in the shape the spec documents
+ * @param {string} code - One of the Error schema's codes, e.g. INVALID_REQUEST or NOT_FOUND
+ * @param {string} message - Human-readable message
+ * @param {Array<Object>} details - Per-parameter problems
+ * @returns {Object} - Error body
+ */
+function errorBody(code, message, details = []) {
+  const titles = {
+    INVALID_REQUEST: 'Invalid request',
+    INVALID_BODY: 'Invalid request',
+    NOT_FOUND: 'Not found',
+    UNAUTHORIZED: 'Unauthorized',
+    METHOD_NOT_ALLOWED: 'Method not allowed',
+    NOT_CONFIGURED: 'Unavailable',
+    INTERNAL_ERROR: 'Internal error'
+  };
+  return { error: titles[code], code, message, details };
+}
+
+/**
+ * Check one value against a schema. Query values arrive as strings, so
+ * numbers and booleans are parsed first; body values must have the JSON type.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Parameter or property schema
+ * @param {string} name - Parameter or property name, for messages
+ * @param {boolean} fromQuery - Whether the value is a query string
+ * @returns {Object|null} - { code, message } describing the problem, or null
+ */
+function checkValue(value, schema, name, fromQuery) {
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = fromQuery ? (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : NaN) : value;
+    const hasMin = schema.minimum !== undefined;
+    const hasMax = schema.maximum !== undefined;
+
+    let expected = schema.type === 'integer' ? 'an integer' : 'a number';
+    if (hasMin && hasMax) expected += ` between ${schema.minimum} and ${schema.maximum}`;
+    else if (schema.minimum === 1 && schema.type === 'integer') expected = 'a positive integer';
+    else if (schema.minimum === 0) expected = `a non-negative ${schema.type}`;
+    const message = `${name} must be ${expected}`;
+
+    const isType = schema.type === 'integer' ? Number.isInteger(number) : (typeof number === 'number' && Number.isFinite(number));
+    if (!isType) return { code: 'INVALID_TYPE', message };
+    if ((hasMin && number < schema.minimum) || (hasMax && number > schema.maximum)) {
+      return { code: 'OUT_OF_RANGE', message };
+    }
+    return null;
+  }
+
+  if (schema.type === 'boolean') {
+    const isBoolean = fromQuery ? value === 'true' || value === 'false' : typeof value === 'boolean';
+    return isBoolean ? null : { code: 'INVALID_TYPE', message: `${name} must be true or false` };
+  }
+
+  if (typeof value !== 'string') return { code: 'INVALID_TYPE', message: `${name} must be a string` };
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { code: 'INVALID_VALUE', message: `${name} must be one of ${schema.enum.join(', ')}` };
+  }
+  if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { code: 'INVALID_VALUE', message: `${name} must be a date in YYYY-MM-DD format` };
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return { code: 'OUT_OF_RANGE', message: `${name} must be at most ${schema.maxLength} characters` };
+  }
+  return null;
+}
+
+/**
+ * Check the query string against the operation's parameters
+ * @param {Array<Object>} parameters - Resolved parameter objects
+ * @param {Object} event - Netlify event
+ * @returns {Array<Object>} - Problems found
+ */
+function checkQuery(parameters, event) {
+  const params = event.queryStringParameters || {};
+  const multiValueParams = event.multiValueQueryStringParameters || {};
+  const details = [];
+
+  for (const parameter of parameters) {
+    const { name, schema } = parameter;
+    const value = params[name];
+
+    if (value === undefined || value === '') {
+      if (parameter.required) {
+        details.push({ in: 'query', name, code: 'MISSING_PARAMETER', message: `${name} is required` });
+      }
+      continue;
+    }
+
+    const values = schema.type === 'array'
+      ? (multiValueParams[name] || [value]).flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean)
+      : [value];
+    const itemSchema = schema.type === 'array' ? schema.items : schema;
+
+    for (const item of values) {
+      const problem = checkValue(item, itemSchema, name, true);
+      if (problem) {
+        details.push({ in: 'query', name, ...problem });
+        break;
+      }
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Check a parsed JSON body against an object schema
+ * @param {Object} schema - Object schema
+ * @param {*} body - Parsed body
+ * @returns {Array<Object>} - Problems found
+ */
+function checkBody(schema, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return [{ in: 'body', name: 'body', code: 'INVALID_TYPE', message: 'Body must be a JSON object' }];
+  }
+
+  const details = [];
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (body[name] === undefined || body[name] === null) {
+      if ((schema.required || []).includes(name)) {
+        details.push({ in: 'body', name, code: 'MISSING_PARAMETER', message: `${name} is required` });
+      }
+      continue;
+    }
+    const problem = checkValue(body[name], property, name, false);
+    if (problem) details.push({ in: 'body', name, ...problem });
+  }
+  return details;
+}
+
+/**
+ * Validate a request against the spec
+ * @param {string} path - Path under /api, e.g. '/get-diapers'
+ * @param {Object} event - Netlify event
+ * @returns {Object|null} - Error body for a 400 response, or null when the request is valid
+ */
+function validateRequest(path, event) {
+  const operation = findOperation(path, event.httpMethod);
+  // Methods the spec doesn't describe are left to the handler
+  if (!operation) return null;
+
+  const details = checkQuery(operation.parameters, event);
+
+  if (operation.body) {
+    let body;
+    try {
+      body = JSON.parse(event.body || '');
+    } catch (error) {
+      return errorBody('INVALID_BODY', 'Body must be JSON');
+    }
+    details.push(...checkBody(operation.body, body));
+  }
+
+  return details.length > 0 ? errorBody('INVALID_REQUEST', details[0].message, details) : null;
+}
+
+/**
+ * Wrap a Netlify handler so invalid requests are answered with a 400
+ * before it runs
+ * @param {string} path - Path under /api the function serves
+ * @param {Object} headers - Response headers for the 400 response
+ * @param {Function} handler - Netlify handler
+ * @returns {Function} - Validating handler
+ */
+function withValidation(path, headers, handler) {
+  return async function(event, context) {
+    const error = validateRequest(path, event);
+    if (error) {
+      return { statusCode: 400, headers, body: JSON.stringify(error) };
+    }
+    return handler(event, context);
+  };
+}
+
+module.exports = {
+  spec,
+  errorBody,
+  validateRequest,
+  withValidation
+};
@@ -0,0 +1,179 @@
+/**
+ * Helpers for the diaper listing API: parsing filter, sort and paging
+ * parameters for get-diapers and get-facets, and the opaque cursors used
+ * for keyset paging.
+ *
+ * Filters take several values either comma-separated (?brand=Pampers,Huggies)
+ * or repeated (?brand=Pampers&brand=Huggies).
+ */
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+const SORT_FIELDS = ['pricePerDiaper', 'price', 'count', 'brand', 'updated'];
+const SORT_ORDERS = ['asc', 'desc'];
+const STOCK_FILTERS = new Map([['true', true], ['false', false], ['all', null]]);
+
+// Postgres ids are 4-byte integers
+const MAX_ID = 2147483647;
+
+/**
+ * Check that a timestamp printed by Postgres (or an ISO string) is a real date
+ * @param {string} value - e.g. "2025-07-31 12:00:00.123456+00"
+ * @returns {boolean} - True when Postgres can cast it to timestamptz
+ */
+function isTimestamp(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/.exec(value);
+  if (!match) return false;
+  const date = new Date(`${match[1]}T${match[2]}Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(`${match[1]}T${match[2]}`);
+}
+
+// What a cursor value must look like for each sort key, so a crafted cursor
+// is a 400 rather than a failed cast in Postgres
+const CURSOR_VALUE_CHECKS = {
+  pricePerDiaper: value => (typeof value === 'number' ? Number.isFinite(value) : /^-?\d+(\.\d+)?$/.test(value)),
+  price: value => (typeof value === 'number' ? Number.isFinite(value) : /^-?\d+(\.\d+)?$/.test(value)),
+  count: value => (typeof value === 'number' ? Number.isInteger(value) : /^-?\d{1,9}$/.test(value)),
+  brand: value => typeof value === 'string',
+  updated: value => typeof value === 'string' && isTimestamp(value)
+};
+
+/**
+ * Collect the values of a multi-value filter
+ * @param {Object} params - Query string parameters
+ * @param {Object} multiValueParams - Repeated query string parameters
+ * @param {string} name - Parameter name
+ * @returns {Array<string>} - Distinct values; empty means no filter
+ */
+function listParam(params, multiValueParams, name) {
+  const raw = multiValueParams[name] || (params[name] !== undefined ? [params[name]] : []);
+  const values = raw
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(value => value && value !== 'all');
+  return [...new Set(values)];
+}
+
+/**
+ * Parse an optional non-negative number
+ * @param {*} value - Parameter value
+ * @returns {number|null|undefined} - The number, null when absent, undefined when malformed
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+/**
+ * Encode a keyset cursor
+ * @param {Object} position - { sortBy, sortOrder, value, id } of the last row returned
+ * @returns {string} - URL-safe cursor
+ */
+function encodeCursor({ sortBy, sortOrder, value, id }) {
+  return Buffer.from(JSON.stringify([sortBy, sortOrder, value, id])).toString('base64url');
+}
+
+/**
+ * Decode a keyset cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} - { sortBy, sortOrder, value, id }, or null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 4) return null;
+
+    const [sortBy, sortOrder, value, id] = decoded;
+    if (!SORT_FIELDS.includes(sortBy) || !SORT_ORDERS.includes(sortOrder)) return null;
+    if (!Number.isInteger(id) || id < 1 || id > MAX_ID) return null;
+    if ((typeof value !== 'string' && typeof value !== 'number') || !CURSOR_VALUE_CHECKS[sortBy](value)) return null;
+    return { sortBy, sortOrder, value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate the filter parameters shared by the listing and facets requests
+ * @param {Object} params - Query string parameters
+ * @param {Object} multiValueParams - Repeated query string parameters, when the platform provides them
+ * @returns {Object} - { filters }, or { error }
+ */
+function parseDiaperFilters(params = {}, multiValueParams = {}) {
+  const minPricePerDiaper = optionalNumber(params.minPricePerDiaper);
+  if (minPricePerDiaper === undefined) return { error: 'minPricePerDiaper must be a non-negative number' };
+  const maxPricePerDiaper = optionalNumber(params.maxPricePerDiaper);
+  if (maxPricePerDiaper === undefined) return { error: 'maxPricePerDiaper must be a non-negative number' };
+  if (minPricePerDiaper !== null && maxPricePerDiaper !== null && minPricePerDiaper > maxPricePerDiaper) {
+    return { error: 'minPricePerDiaper must not be above maxPricePerDiaper' };
+  }
+
+  const inStock = params.inStock === undefined ? 'true' : params.inStock;
+  if (!STOCK_FILTERS.has(inStock)) return { error: 'inStock must be true, false or all' };
+
+  return {
+    filters: {
+      brands: listParam(params, multiValueParams, 'brand'),
+      sizes: listParam(params, multiValueParams, 'size'),
+      retailers: listParam(params, multiValueParams, 'retailer'),
+      minPricePerDiaper,
+      maxPricePerDiaper,
+      inStock: STOCK_FILTERS.get(inStock),
+      includeLowConfidence: params.includeLowConfidence === 'true'
+    }
+  };
+}
+
+/**
+ * Validate the query parameters of a diaper listing request
+ * @param {Object} params - Query string parameters
+ * @param {Object} multiValueParams - Repeated query string parameters, when the platform provides them
+ * @returns {Object} - { filters, sortBy, sortOrder, page, limit, cursor }, or { error }
+ */
+function parseDiaperRequest(params = {}, multiValueParams = {}) {
+  const { filters, error } = parseDiaperFilters(params, multiValueParams);
+  if (error) return { error };
+
+  const sortBy = params.sortBy || 'pricePerDiaper';
+  if (!SORT_FIELDS.includes(sortBy)) return { error: `sortBy must be one of ${SORT_FIELDS.join(', ')}` };
+  const sortOrder = (params.sortOrder || 'asc').toLowerCase();
+  if (!SORT_ORDERS.includes(sortOrder)) return { error: 'sortOrder must be asc or desc' };
+
+  const page = params.page !== undefined ? Number(params.page) : 1;
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a positive integer' };
+  const limit = params.limit !== undefined ? Number(params.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (params.cursor !== undefined) {
+    cursor = decodeCursor(params.cursor);
+    if (!cursor) return { error: 'cursor is malformed' };
+    // A cursor only makes sense in the order it was issued for
+    if (cursor.sortBy !== sortBy || cursor.sortOrder !== sortOrder) {
+      return { error: 'cursor was issued for a different sortBy or sortOrder' };
+    }
+  }
+
+  return {
+    filters,
+    sortBy,
+    sortOrder,
+    page,
+    limit,
+    cursor
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  parseDiaperFilters,
+  parseDiaperRequest
+};
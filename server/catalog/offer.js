@@ -0,0 +1,57 @@
+/**
+ * Shape diapers rows for the public API, shared by get-diapers and get-diaper
+ */
+
+const { isLowConfidence } = require('../scrapers/provenance');
+
+/**
+ * Convert a nullable DECIMAL column
+ * @param {*} value - Column value
+ * @returns {number|null} - Parsed number
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Transform a diapers row into an API offer
+ * @param {Object} row - Database row
+ * @returns {Object} - Offer in the shape the frontend expects
+ */
+function transformDiaper(row) {
+  const price = parseFloat(row.price);
+  const regularPrice = toNumber(row.regular_price);
+  const confidence = parseFloat(row.confidence);
+
+  return {
+    id: row.id,
+    brand: row.brand,
+    type: row.type,
+    size: row.size,
+    count: row.count,
+    retailer: row.retailer,
+    price,
+    pricePerDiaper: parseFloat(row.price_per_diaper),
+    // price is what a shopper pays now; regularPrice is set while on sale
+    regularPrice,
+    salePrice: toNumber(row.sale_price),
+    onSale: regularPrice !== null && regularPrice > price,
+    promoText: row.promo_text,
+    promoEndsAt: row.promo_ends_at,
+    url: row.url,
+    inStock: row.in_stock,
+    countSource: row.count_source,
+    titleSource: row.title_source,
+    confidence,
+    lowConfidence: isLowConfidence(confidence),
+    lastUpdated: row.updated_at || row.last_scraped,
+    // Runs since the retailer last listed this offer; the UI flags stale ones
+    lastSeen: row.last_seen,
+    missedRuns: row.missed_runs
+  };
+}
+
+module.exports = {
+  toNumber,
+  transformDiaper
+};
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Run the scrapers from a terminal and print what they found.
+ *
+ *   npm run scrape -- --retailer walmart --brand Huggies --size 1 --dry-run
+ *   npm run scrape -- --replay-dir tests/fixtures/recordings --output json
+ *
+ * Records are only written to the database without --dry-run, and records
+ * with suspicious prices are quarantined instead. Runs without --brand or
+ * --size filters also count missed runs for offers not found.
+ */
+
+const { reconcileOffers } = require('../jobs/reconcile-offers');
+const { storeRecords } = require('../jobs/store-records');
+
+const USAGE = `Usage: scrape [options]
+
+  --retailer <name>     Only run matching retailers (repeatable or comma-separated)
+  --brand <brand>       Brands to search for (repeatable or comma-separated)
+  --size <size>         Sizes to search for (repeatable or comma-separated)
+  --dry-run             Print results without writing to the database
+  --replay-dir <dir>    Replay recorded responses from <dir> instead of the network
+  --output json|table   Output format (default: table)
+  --help                Show this message`;
+
+const LIST_OPTIONS = { '--retailer': 'retailers', '--brand': 'brands', '--size': 'sizes' };
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { retailers, brands, sizes, dryRun, replayDir, output, help }
+ */
+function parseArgs(argv) {
+  const args = { retailers: [], brands: [], sizes: [], dryRun: false, replayDir: null, output: 'table', help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    // Accept both "--size 4" and "--size=4"
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const takeValue = () => {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`${flag} needs a value`);
+      }
+      return value;
+    };
+
+    if (LIST_OPTIONS[flag]) {
+      args[LIST_OPTIONS[flag]].push(...takeValue().split(',').map(v => v.trim()).filter(Boolean));
+    } else if (flag === '--dry-run') {
+      args.dryRun = true;
+    } else if (flag === '--replay-dir') {
+      args.replayDir = takeValue();
+    } else if (flag === '--output') {
+      args.output = takeValue();
+      if (!['json', 'table'].includes(args.output)) {
+        throw new Error(`--output must be json or table, got "${args.output}"`);
+      }
+    } else if (flag === '--help' || flag === '-h') {
+      args.help = true;
+    } else {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Lay out rows as a plain-text table
+ * @param {Array<string>} headers - Column headings
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string} - Table text
+ */
+function renderTable(headers, rows) {
+  const cells = [headers, ...rows.map(row => row.map(value => (value === null || value === undefined ? '' : String(value))))];
+  const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+  const line = row => row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+
+  return [line(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Format normalized records as a table
+ * @param {Array<Object>} records - Accepted records
+ * @returns {string} - Table text
+ */
+function formatRecords(records) {
+  if (records.length === 0) return 'No records accepted.';
+
+  return renderTable(
+    ['Retailer', 'Brand', 'Type', 'Size', 'Count', 'Price', 'Per diaper', 'Confidence', 'URL'],
+    records.map(r => [
+      r.retailer, r.brand, r.type, r.size, r.count,
+      r.price.toFixed(2), r.pricePerDiaper.toFixed(4),
+      r.confidence !== undefined ? r.confidence.toFixed(2) : '', r.url
+    ])
+  );
+}
+
+/**
+ * Format the per-retailer report as a table
+ * @param {Object} report - Report from runScrapingJob(), keyed by retailer
+ * @returns {string} - Table text
+ */
+function formatSummary(report) {
+  return renderTable(
+    ['Retailer', 'Found', 'Accepted', 'Rejected', 'Requests', 'Blocked', 'Seconds', 'Error'],
+    Object.entries(report).map(([retailer, run]) => [
+      retailer, run.found, run.accepted, run.rejected, run.requestsMade, run.pagesBlocked,
+      ((run.finishedAt - run.startedAt) / 1000).toFixed(1), run.error
+    ])
+  );
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} deps - { scraperManager, createDb, write } (injectable for tests)
+ * @returns {Promise<number>} - Process exit code
+ */
+async function main(argv, deps = {}) {
+  const write = deps.write || (text => process.stdout.write(`${text}\n`));
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.help) {
+    write(USAGE);
+    return 0;
+  }
+
+  const scraperManager = deps.scraperManager || require('../scrapers');
+  if (scraperManager.getScrapers(args.retailers).length === 0) {
+    console.error(`No retailer matches ${args.retailers.join(', ')}. Available: ${scraperManager.getRetailers().join(', ')}`);
+    return 2;
+  }
+  if (args.replayDir) {
+    scraperManager.useResponseCache('replay', args.replayDir);
+  }
+
+  const options = {};
+  if (args.retailers.length > 0) options.retailers = args.retailers;
+  if (args.brands.length > 0) options.brands = args.brands;
+  if (args.sizes.length > 0) options.sizes = args.sizes;
+
+  const createDb = deps.createDb || (() => new (require('../../database/db-service'))());
+  const db = args.dryRun ? null : createDb();
+
+  let jobId, records, report;
+  let quarantined = 0;
+  try {
+    ({ jobId, records, report } = await scraperManager.runScrapingJob(options, { db }));
+    if (db && records.length > 0) {
+      let results;
+      ({ results, quarantined } = await storeRecords(db, records, { jobId }));
+      // Only a run over every brand and size can tell that an offer is gone
+      if (!options.brands && !options.sizes) {
+        await reconcileOffers(db, report, records, results);
+      }
+    }
+  } finally {
+    // A pooled Postgres connection would otherwise keep the process alive
+    if (db && db.close) await db.close();
+  }
+
+  if (args.output === 'json') {
+    write(JSON.stringify({ jobId, dryRun: args.dryRun, records, quarantined, report }, null, 2));
+  } else {
+    write(formatRecords(records));
+    write('');
+    write(formatSummary(report));
+    write(args.dryRun
+      ? `\nDry run: ${records.length} records not saved.`
+      : `\nSaved ${records.length - quarantined} records, quarantined ${quarantined} (job ${jobId}).`);
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  // Scraper progress goes to stderr so stdout stays parseable
+  console.log = console.error;
+  console.warn = console.error;
+
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+      console.error('Scrape failed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  parseArgs,
+  formatRecords,
+  formatSummary,
+  main
+};
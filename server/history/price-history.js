@@ -0,0 +1,169 @@
+/**
+ * Helpers for the price history API: request range parsing and turning the
+ * daily rows from DatabaseService.getDailyPriceHistory() into chart points.
+ */
+
+const { toNumber } = require('../catalog/offer');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @param {string} value - Date string
+ * @returns {Date|null} - Parsed date, or null when malformed
+ */
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} - Day string
+ */
+function formatDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate the query parameters of a price history request
+ * @param {Object} params - { id, from, to, days }
+ * @param {Date} now - Current time, for the default range
+ * @returns {Object} - { id, from, to } with `to` inclusive, or { error }
+ */
+function parseHistoryRequest(params = {}, now = new Date()) {
+  const id = Number(params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return { error: 'id must be a positive integer' };
+  }
+
+  let to = parseDay(formatDay(now));
+  if (params.to !== undefined) {
+    to = parseDay(params.to);
+    if (!to) return { error: 'to must be a date in YYYY-MM-DD format' };
+  }
+
+  let from;
+  if (params.from !== undefined) {
+    from = parseDay(params.from);
+    if (!from) return { error: 'from must be a date in YYYY-MM-DD format' };
+  } else {
+    const days = params.days !== undefined ? Number(params.days) : DEFAULT_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      return { error: `days must be an integer between 1 and ${MAX_DAYS}` };
+    }
+    from = new Date(to.getTime() - (days - 1) * DAY_MS);
+  }
+
+  if (from > to) return { error: 'from must not be after to' };
+  if ((to - from) / DAY_MS + 1 > MAX_DAYS) {
+    return { error: `range must not exceed ${MAX_DAYS} days` };
+  }
+
+  return { id, from: formatDay(from), to: formatDay(to) };
+}
+
+/**
+ * Turn daily aggregate rows into chart points. Min, max and avg only cover
+ * in-stock samples, so they are null on days the product was unavailable.
+ * The promotion fields are those of the day's closing sample.
+ * @param {Array<Object>} rows - Rows from getDailyPriceHistory()
+ * @returns {Array<Object>} - [{ date, inStock, samples, price: { min, max, avg, close }, pricePerDiaper: {...},
+ *   regularPrice, salePrice, promoText, promoEndsAt }]
+ */
+function toDailyPoints(rows) {
+  return rows.map(row => ({
+    // DATE columns may arrive as strings or Dates depending on the driver
+    date: typeof row.day === 'string' ? row.day.slice(0, 10) : formatDay(row.day),
+    inStock: row.in_stock,
+    samples: parseInt(row.samples, 10),
+    price: {
+      min: toNumber(row.min_price),
+      max: toNumber(row.max_price),
+      avg: toNumber(row.avg_price),
+      close: toNumber(row.close_price)
+    },
+    pricePerDiaper: {
+      min: toNumber(row.min_price_per_diaper),
+      max: toNumber(row.max_price_per_diaper),
+      avg: toNumber(row.avg_price_per_diaper),
+      close: toNumber(row.close_price_per_diaper)
+    },
+    regularPrice: toNumber(row.close_regular_price),
+    salePrice: toNumber(row.close_sale_price),
+    promoText: row.close_promo_text || null,
+    promoEndsAt: row.close_promo_ends_at || null
+  }));
+}
+
+/**
+ * Find the runs of days a product was out of stock, and days with no data
+ * @param {Array<Object>} points - Points from toDailyPoints(), oldest first
+ * @returns {Array<Object>} - [{ from, to, reason: 'out-of-stock' | 'no-data' }]
+ */
+function findGaps(points) {
+  const gaps = [];
+  let previous = null;
+
+  for (const point of points) {
+    // Days between two samples have no data at all
+    if (previous) {
+      const missingDays = (parseDay(point.date) - parseDay(previous.date)) / DAY_MS - 1;
+      if (missingDays > 0) {
+        gaps.push({
+          from: formatDay(parseDay(previous.date).getTime() + DAY_MS),
+          to: formatDay(parseDay(point.date).getTime() - DAY_MS),
+          reason: 'no-data'
+        });
+      }
+    }
+
+    if (!point.inStock) {
+      const last = gaps[gaps.length - 1];
+      // A no-data gap in between would have been pushed after it
+      if (last && last.reason === 'out-of-stock' && last.to === previous.date) {
+        last.to = point.date;
+      } else {
+        gaps.push({ from: point.date, to: point.date, reason: 'out-of-stock' });
+      }
+    }
+
+    previous = point;
+  }
+
+  return gaps;
+}
+
+/**
+ * Lowest in-stock prices across the range, for "lowest in N days" badges
+ * @param {Array<Object>} points - Points from toDailyPoints()
+ * @returns {Object} - { lowestPrice, lowestPricePerDiaper, lowestPricePerDiaperDate }
+ */
+function summarize(points) {
+  let lowest = null;
+
+  for (const point of points) {
+    if (point.pricePerDiaper.min === null) continue;
+    if (!lowest || point.pricePerDiaper.min < lowest.pricePerDiaper.min) lowest = point;
+  }
+
+  const prices = points.map(point => point.price.min).filter(price => price !== null);
+  return {
+    lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+    lowestPricePerDiaper: lowest ? lowest.pricePerDiaper.min : null,
+    lowestPricePerDiaperDate: lowest ? lowest.date : null
+  };
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  parseHistoryRequest,
+  toDailyPoints,
+  findGaps,
+  summarize
+};
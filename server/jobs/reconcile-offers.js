@@ -0,0 +1,65 @@
+/**
+ * Offer reconciliation: after a retailer has been scraped in full, every
+ * stored offer it did not return counts a missed run. Offers missing enough
+ * runs in a row are marked out of stock, then archived, so delisted packs
+ * stop showing up as deals. Seeing an offer again resets it (see
+ * DatabaseService.batchUpsertDiapers).
+ */
+
+// Consecutive missed runs before an offer is marked out of stock
+const OFFER_UNAVAILABLE_AFTER_RUNS = parseInt(process.env.OFFER_UNAVAILABLE_AFTER_RUNS, 10) || 3;
+
+// Consecutive missed runs before an offer is archived (never before it is unavailable)
+const OFFER_ARCHIVE_AFTER_RUNS = Math.max(
+  parseInt(process.env.OFFER_ARCHIVE_AFTER_RUNS, 10) || 10,
+  OFFER_UNAVAILABLE_AFTER_RUNS
+);
+
+/**
+ * Whether a retailer run saw its whole catalog. Runs with any failed or
+ * blocked request may have missed products that are still listed.
+ * @param {Object} run - One retailer's entry in the runScrapingJob() report
+ * @returns {boolean} - True when the run can be trusted to retire offers
+ */
+function isCompleteRun(run) {
+  return Boolean(run.success) && run.errors.length === 0 && run.pagesBlocked === 0;
+}
+
+/**
+ * Count missed runs for offers each complete retailer run did not return
+ * @param {Object} db - DatabaseService
+ * @param {Object} report - Report from runScrapingJob(), keyed by retailer
+ * @param {Array<Object>} records - Records passed to storeRecords()
+ * @param {Array<Object>} results - Results from storeRecords(), in the same order
+ * @returns {Promise<Object>} - { [retailer]: { missed, marked_unavailable, archived } or { skipped } }
+ */
+async function reconcileOffers(db, report, records, results) {
+  const seen = {};
+  records.forEach((record, index) => {
+    const { id } = results[index] || {};
+    // Duplicates and quarantined new offers have no diaper id
+    if (!id) return;
+    (seen[record.retailer] = seen[record.retailer] || []).push(id);
+  });
+
+  const summary = {};
+  for (const [retailer, run] of Object.entries(report)) {
+    if (!isCompleteRun(run) || !seen[retailer]) {
+      summary[retailer] = { skipped: true };
+      continue;
+    }
+    summary[retailer] = await db.reconcileRetailerOffers(retailer, seen[retailer], {
+      unavailableAfter: OFFER_UNAVAILABLE_AFTER_RUNS,
+      archiveAfter: OFFER_ARCHIVE_AFTER_RUNS
+    });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  OFFER_UNAVAILABLE_AFTER_RUNS,
+  OFFER_ARCHIVE_AFTER_RUNS,
+  isCompleteRun,
+  reconcileOffers
+};
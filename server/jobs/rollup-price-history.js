@@ -0,0 +1,76 @@
+/**
+ * Price history rollup: compacts raw price_history rows older than the raw
+ * retention window into daily rows in price_history_daily, then drops daily
+ * rows past their own retention. Started by the `rollup-price-history`
+ * Netlify function or from the command line.
+ *
+ * The history API reads raw and rolled-up days together, so charts don't
+ * change when a day is compacted.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of raw samples to keep before compacting them (default: 90)
+const RAW_RETENTION_DAYS = parseInt(process.env.PRICE_HISTORY_RAW_RETENTION_DAYS, 10) || 90;
+
+// Days of daily rollups to keep; 0 keeps them forever (default)
+const DAILY_RETENTION_DAYS = parseInt(process.env.PRICE_HISTORY_DAILY_RETENTION_DAYS, 10) || 0;
+
+/**
+ * First UTC day that is kept when retaining a number of days
+ * @param {number} now - Current time in ms
+ * @param {number} days - Days to keep, including today
+ * @returns {string} - YYYY-MM-DD; anything before it is compacted or pruned
+ */
+function cutoffDay(now, days) {
+  return new Date(now - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Roll up old raw history and prune old rollups
+ * @param {Object} deps - { db, now, rawDays, dailyDays }
+ * @returns {Promise<Object>} - { rawBefore, rawRows, days, dailyBefore, prunedDays }
+ */
+async function runPriceHistoryRollup({
+  db,
+  now = Date.now(),
+  rawDays = RAW_RETENTION_DAYS,
+  dailyDays = DAILY_RETENTION_DAYS
+}) {
+  const rawBefore = cutoffDay(now, rawDays);
+  console.log(`Rolling up price history recorded before ${rawBefore}...`);
+  const { raw_rows: rawRows, days } = await db.rollupPriceHistory(rawBefore);
+
+  let dailyBefore = null;
+  let prunedDays = 0;
+  if (dailyDays > 0) {
+    // Rollups never cover days that are still kept raw
+    dailyBefore = cutoffDay(now, Math.max(dailyDays, rawDays));
+    ({ days: prunedDays } = await db.prunePriceHistoryDaily(dailyBefore));
+  }
+
+  return { rawBefore, rawRows, days, dailyBefore, prunedDays };
+}
+
+// Allow `node server/jobs/rollup-price-history.js` from cron or CI
+if (require.main === module) {
+  const DatabaseService = require('../../database/db-service');
+  const db = new DatabaseService();
+
+  runPriceHistoryRollup({ db })
+    .then(result => {
+      console.log(JSON.stringify(result));
+    })
+    .catch(error => {
+      console.error('Price history rollup failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = {
+  RAW_RETENTION_DAYS,
+  DAILY_RETENTION_DAYS,
+  cutoffDay,
+  runPriceHistoryRollup
+};
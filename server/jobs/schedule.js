@@ -0,0 +1,11 @@
+/**
+ * Scrape timing shared by the scrape job and the API's cache headers. Kept
+ * apart from scheduled-scrape.js so read endpoints don't load the scrapers.
+ */
+
+// Minimum time between runs (default: twice daily, the schedule in netlify.toml)
+const SCRAPING_INTERVAL = (parseFloat(process.env.SCRAPING_INTERVAL_HOURS) || 12) * 60 * 60 * 1000;
+
+module.exports = {
+  SCRAPING_INTERVAL
+};
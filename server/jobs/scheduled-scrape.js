@@ -0,0 +1,117 @@
+/**
+ * Scheduled scrape: runs every retailer scraper through ScraperManager and
+ * stores the accepted records, holding back suspicious prices. Started by
+ * the `scrape-background` Netlify function or from the command line, never
+ * from an API request.
+ *
+ * Runs are tracked in the scrape_jobs table, so the interval holds across
+ * cold starts. The job row is claimed atomically (claimScrapeJob), so of two
+ * overlapping invocations only one runs.
+ */
+
+const { reconcileOffers } = require('./reconcile-offers');
+const { storeRecords } = require('./store-records');
+const { SCRAPING_INTERVAL } = require('./schedule');
+
+// Scheduled ticks drift, so a run started this much under the interval ago
+// doesn't push the next one back a whole tick
+const SCHEDULE_SLACK = 15 * 60 * 1000;
+
+// A run still marked 'running' after this long is assumed to have died
+const STALE_RUN_TIMEOUT = 2 * 60 * 60 * 1000;
+
+/**
+ * Decide whether a new run should start given the latest job
+ * @param {Object|null} lastJob - Latest scrape_jobs row
+ * @param {number} now - Current time in ms
+ * @returns {string|null} - Reason to skip, or null to run
+ */
+function getSkipReason(lastJob, now) {
+  if (!lastJob) return null;
+
+  const startedAt = new Date(lastJob.started_at).getTime();
+  if (lastJob.status === 'running' && now - startedAt < STALE_RUN_TIMEOUT) {
+    return `job ${lastJob.id} is still running`;
+  }
+  // A failed run is retried at the next tick rather than waiting out the interval
+  if (['succeeded', 'partial'].includes(lastJob.status) && now - startedAt < SCRAPING_INTERVAL - SCHEDULE_SLACK) {
+    return `job ${lastJob.id} ran at ${new Date(startedAt).toISOString()}`;
+  }
+  return null;
+}
+
+/**
+ * Log and build the result of a run that backed off
+ * @param {string} reason - Why the run was skipped
+ * @returns {Object} - { skipped, reason }
+ */
+function skip(reason) {
+  console.log(`Skipping scheduled scrape: ${reason}`);
+  return { skipped: true, reason };
+}
+
+/**
+ * Run the scheduled scrape unless one ran within the interval
+ * @param {Object} deps - { db, scraperManager, options, force, now }
+ * @returns {Promise<Object>} - { skipped, reason } or { jobId, stored, quarantined, report, reconciled }
+ */
+async function runScheduledScrape({ db, scraperManager, options = {}, force = false, now = Date.now() }) {
+  let job = null;
+  if (!force) {
+    // Checked first for a readable reason; the claim below is what decides
+    const reason = getSkipReason(await db.getLatestScrapeJob(), now);
+    if (reason) return skip(reason);
+
+    job = await db.claimScrapeJob(options, {
+      runningMs: STALE_RUN_TIMEOUT,
+      intervalMs: SCRAPING_INTERVAL - SCHEDULE_SLACK
+    });
+    if (!job) return skip('another run started first');
+  }
+
+  console.log('Starting scheduled scrape of Canadian diaper retailers...');
+  const { jobId, records, report } = await scraperManager.runScrapingJob(options, { db, job });
+
+  const { results, published, quarantined } = await storeRecords(db, records, { jobId });
+
+  // Filtered runs don't cover the whole catalog, so they can't retire offers
+  let reconciled = null;
+  if (!options.brands && !options.sizes) {
+    try {
+      reconciled = await reconcileOffers(db, report, records, results);
+    } catch (error) {
+      // The prices are already stored; stale offers get another chance next run
+      console.error(`Could not reconcile offers for scrape job ${jobId}:`, error.message);
+    }
+  }
+
+  console.log(`Scheduled scrape ${jobId} stored ${published} products, quarantined ${quarantined}`);
+  return { skipped: false, jobId, stored: published, quarantined, report, reconciled };
+}
+
+// Allow `node server/jobs/scheduled-scrape.js [--force]` from cron or CI
+if (require.main === module) {
+  const DatabaseService = require('../../database/db-service');
+  const scraperManager = require('../scrapers');
+  const db = new DatabaseService();
+
+  runScheduledScrape({
+    db,
+    scraperManager,
+    force: process.argv.includes('--force')
+  })
+    .then(result => {
+      console.log(JSON.stringify(result.skipped ? result : { jobId: result.jobId, stored: result.stored, quarantined: result.quarantined }));
+    })
+    .catch(error => {
+      console.error('Scheduled scrape failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = {
+  SCRAPING_INTERVAL,
+  getSkipReason,
+  runScheduledScrape
+};
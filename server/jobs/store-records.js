@@ -0,0 +1,87 @@
+/**
+ * Store accepted scraper records: each one is checked against its offer's
+ * published price and its size's peers (see ../scrapers/outliers.js), then
+ * plausible records are upserted into diapers and suspicious ones go to
+ * price_quarantine for an admin to release or discard.
+ */
+
+const { findOutlierReasons } = require('../scrapers/outliers');
+
+/**
+ * Key an offer the way the diapers unique constraint does
+ * @param {string} retailer - Retailer name
+ * @param {string} productId - Retailer's product id
+ * @param {number} count - Pack count
+ * @returns {string} - Lookup key
+ */
+function offerKey(retailer, productId, count) {
+  return [retailer, productId, count].join('|');
+}
+
+/**
+ * Split records into ones to publish and ones to quarantine
+ * @param {Array<Object>} records - Accepted product records
+ * @param {Object} baselines - { previous, peers } from DatabaseService.getOutlierBaselines()
+ * @returns {Array<Object>} - Per record: { record, reasons, diaperId, previous, peerMedian }
+ */
+function screenRecords(records, { previous = [], peers = [] }) {
+  const previousByOffer = new Map(previous.map(row => [
+    offerKey(row.retailer, row.retailer_product_id, row.count),
+    { id: row.id, pricePerDiaper: parseFloat(row.price_per_diaper) }
+  ]));
+  const peersBySize = new Map(peers.map(row => [
+    row.size,
+    { median: parseFloat(parseFloat(row.median).toFixed(4)), count: row.count }
+  ]));
+
+  return records.map(record => {
+    const existing = previousByOffer.get(offerKey(record.retailer, String(record.id), record.count));
+    const sizePeers = peersBySize.get(record.size) || null;
+    const baseline = { previous: existing ? existing.pricePerDiaper : null, peers: sizePeers };
+
+    return {
+      record,
+      reasons: findOutlierReasons(record, baseline),
+      diaperId: existing ? existing.id : null,
+      previous: baseline.previous,
+      peerMedian: sizePeers ? sizePeers.median : null
+    };
+  });
+}
+
+/**
+ * Screen and store records
+ * @param {Object} db - DatabaseService
+ * @param {Array<Object>} records - Accepted product records
+ * @param {Object} options - { jobId } scrape job the records came from
+ * @returns {Promise<Object>} - { results, published, quarantined } where results has one entry per
+ *   record, in order: the upsert result, or { id, outcome: 'quarantined' } with the existing diaper id
+ */
+async function storeRecords(db, records, { jobId = null } = {}) {
+  if (records.length === 0) return { results: [], published: 0, quarantined: 0 };
+
+  const screened = screenRecords(records, await db.getOutlierBaselines(records));
+  const toPublish = screened.filter(entry => entry.reasons.length === 0);
+  const toQuarantine = screened.filter(entry => entry.reasons.length > 0);
+
+  const upserted = toPublish.length > 0 ? await db.batchUpsertDiapers(toPublish.map(entry => entry.record)) : [];
+  if (toQuarantine.length > 0) {
+    for (const { record, reasons } of toQuarantine) {
+      console.warn(`[${record.retailer}] Quarantined ${record.id}: ${reasons.join('; ')}`);
+    }
+    await db.quarantineRecords(jobId, toQuarantine);
+  }
+
+  // The offer was still listed, so a quarantined record counts as seen
+  let next = 0;
+  const results = screened.map(entry => (entry.reasons.length === 0
+    ? upserted[next++]
+    : { id: entry.diaperId, outcome: 'quarantined' }));
+
+  return { results, published: toPublish.length, quarantined: toQuarantine.length };
+}
+
+module.exports = {
+  screenRecords,
+  storeRecords
+};
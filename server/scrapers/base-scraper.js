@@ -2,6 +2,11 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const https = require('https');
 const HttpsProxyAgent = require('https-proxy-agent');
+const ResponseCache = require('./response-cache');
+const titleParser = require('./diaper-title-parser');
+const provenance = require('./provenance');
+const structuredData = require('./structured-data');
+const { requestScheduler } = require('./request-scheduler');
 
 /**
  * Base Scraper class that provides common functionality for all retailer scrapers
@@ -23,10 +28,92 @@ class BaseScraper {
       'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
     ];
     
+    // Record/replay retailer responses (SCRAPER_CACHE_MODE=record|replay)
+    this.responseCache = ResponseCache.fromEnv();
+    
+    // Shared politeness limits; subclasses may set a longer minRequestInterval (ms)
+    this.scheduler = requestScheduler;
+    this.minRequestInterval = undefined;
+    
+    // Per-run counters reported by ScraperManager
+    this.resetStats();
+    
     // Configure axios with enhanced settings to avoid detection
     this.configureAxios();
   }
   
+  /**
+   * Switch this scraper to record or replay responses
+   * @param {string} mode - 'off', 'record' or 'replay'
+   * @param {string} directory - Directory holding the recordings
+   */
+  useResponseCache(mode, directory) {
+    this.responseCache = new ResponseCache(mode, directory || this.responseCache.directory);
+  }
+  
+  /**
+   * Run a live request through the shared scheduler, which enforces
+   * robots.txt, the per-host concurrency cap and this retailer's interval
+   * @param {string} url - URL about to be requested
+   * @param {Function} task - Performs the request and returns a promise
+   * @returns {Promise<*>} - Whatever the task resolves to
+   */
+  async schedule(url, task) {
+    try {
+      return await this.scheduler.schedule(this.name, url, () => {
+        this.recordRequest(url);
+        return task();
+      }, { minInterval: this.minRequestInterval });
+    } catch (error) {
+      if (error.code === 'ROBOTS_DISALLOWED') {
+        this.stats.skipped.push({ url, reason: 'robots.txt' });
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Clear the counters for a new run
+   */
+  resetStats() {
+    this.stats = {
+      startedAt: null,
+      finishedAt: null,
+      requestsMade: 0,
+      pagesBlocked: 0,
+      queries: [],
+      errors: [],
+      skipped: []
+    };
+  }
+  
+  /**
+   * Count a request, live or replayed
+   * @param {string} url - URL requested
+   */
+  recordRequest(url) {
+    this.stats.requestsMade++;
+    if (!this.stats.queries.includes(url)) this.stats.queries.push(url);
+  }
+  
+  /**
+   * Count a page the retailer answered with a CAPTCHA or block page
+   * @param {string} url - URL that was blocked
+   */
+  recordBlocked(url) {
+    this.stats.pagesBlocked++;
+    this.recordError(url, new Error('Blocked or CAPTCHA page'));
+  }
+  
+  /**
+   * Keep a failure for the run's error details
+   * @param {string|null} url - URL being scraped, or null when the whole search failed
+   * @param {Error} error - What went wrong
+   */
+  recordError(url, error) {
+    this.stats.errors.push({ url, message: error.message, at: new Date().toISOString() });
+  }
+  
   /**
    * Configure axios with settings to avoid bot detection
    */
@@ -87,30 +174,47 @@ class BaseScraper {
    * @returns {Promise<Object>} - The HTTP response
    */
   async makeRequest(url) {
+    // Serve recorded pages without touching the network
+    if (this.responseCache.isReplaying) {
+      console.log(`Replaying ${url} for ${this.name}`);
+      this.recordRequest(url);
+      return this.responseCache.load(url);
+    }
+    
     let lastError;
     
     for (let attempt = 1; attempt <= this.retryCount; attempt++) {
       try {
         console.log(`Fetching ${url} from ${this.name} (Attempt ${attempt}/${this.retryCount})`);
         
-        // Use exponential backoff strategy with jitter
-        const jitter = Math.random() * 500;
-        const delay = Math.min(((this.retryDelay * Math.pow(1.5, attempt - 1)) + jitter), 10000);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        // Back off exponentially (with jitter) before retries; the scheduler paces first attempts
+        if (attempt > 1) {
+          const jitter = Math.random() * 500;
+          const delay = Math.min(((this.retryDelay * Math.pow(1.5, attempt - 1)) + jitter), 10000);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
         
         // Rotate headers on each attempt
         this.axiosInstance.defaults.headers = this.getRandomHeaders();
         
-        const response = await this.axiosInstance.get(url);
+        const response = await this.schedule(url, () => this.axiosInstance.get(url));
         
         // Check if we got a CAPTCHA or empty response
         if (response.data.includes('captcha') || response.data.includes('CAPTCHA') || response.data.length < 1000) {
           console.log(`Detected potential CAPTCHA or blocked response from ${this.name}`);
+          this.stats.pagesBlocked++;
           throw new Error('CAPTCHA detected or blocked response');
         }
         
+        if (this.responseCache.isRecording) {
+          this.responseCache.save(url, response.data, { status: response.status, source: 'http' });
+        }
+        
         return response;
       } catch (error) {
+        // robots.txt won't change between attempts
+        if (error.code === 'ROBOTS_DISALLOWED') throw error;
+        
         lastError = error;
         console.error(`Attempt ${attempt} for ${this.name} failed: ${error.message}`);
         
@@ -176,6 +280,136 @@ class BaseScraper {
     return null;
   }
 
+  /**
+   * Determine if a product is a diaper product of the specified brand
+   * @param {string} title - Product title
+   * @param {string} brand - Target brand
+   * @param {string} category - Retailer category, when the listing has one
+   * @returns {boolean} - True if this is a diaper product of the target brand
+   */
+  isDiaperProduct(title, brand, category) {
+    return titleParser.isDiaperProduct(title, brand, category);
+  }
+
+  /**
+   * Extract count of diapers from product title, including multipacks
+   * @param {string} title - Product title
+   * @returns {number|null} - Count of diapers in the listing
+   */
+  extractCount(title) {
+    return titleParser.extractCount(title);
+  }
+
+  /**
+   * Extract count of diapers together with how it was derived
+   * @param {string} title - Product title
+   * @returns {Object} - { count, countSource }
+   */
+  extractCountDetails(title) {
+    return titleParser.extractCountDetails(title);
+  }
+
+  /**
+   * Build the provenance fields (sources and confidence) for a record
+   * @param {string} countSource - How the count was derived
+   * @param {string} titleSource - How the title was derived
+   * @returns {Object} - { countSource, titleSource, confidence }
+   */
+  describeProvenance(countSource, titleSource = 'listing') {
+    return provenance.describeProvenance(countSource, titleSource);
+  }
+
+  /**
+   * Extract diaper type (product line) from product title
+   * @param {string} title - Product title
+   * @param {string} brand - Diaper brand
+   * @returns {string} - Diaper type
+   */
+  extractDiaperType(title, brand) {
+    return titleParser.extractDiaperType(title, brand);
+  }
+
+  /**
+   * Extract schema.org products (JSON-LD, microdata or Open Graph) from a page
+   * @param {string|Object} html - Page HTML or a loaded Cheerio document
+   * @returns {Array} - Normalized structured products
+   */
+  extractStructuredProducts(html) {
+    return structuredData.extractStructuredProducts(html);
+  }
+
+  /**
+   * Build diaper records from a page's structured data.
+   * Scrapers call this before their CSS selectors and only fall back to
+   * selectors when it returns nothing.
+   * @param {string|Object} html - Page HTML or a loaded Cheerio document
+   * @param {Object} options - { brand, size, limit }
+   * @returns {Array} - Diaper records in the standard scraper shape
+   */
+  extractStructuredRecords(html, options = {}) {
+    const records = this.buildProductRecords(this.extractStructuredProducts(html), options, 'structured-data');
+
+    if (records.length > 0) {
+      console.log(`Found ${records.length} ${this.name} products in structured data`);
+    }
+    return records;
+  }
+
+  /**
+   * Turn normalized products into diaper records, dropping non-diapers,
+   * other sizes and listings without a readable pack count
+   * @param {Array} products - Products shaped like extractStructuredProducts() output,
+   *   optionally with the retailer's category name
+   * @param {Object} options - { brand, size, limit }
+   * @param {string} titleSource - Where the product names came from
+   * @returns {Array} - Diaper records in the standard scraper shape
+   */
+  buildProductRecords(products, options = {}, titleSource = 'listing') {
+    const { brand, size, limit = 8 } = options;
+    const records = [];
+
+    for (const product of products) {
+      if (records.length >= limit) break;
+
+      const title = product.name;
+      if (!this.isDiaperProduct(title, brand, product.category)) continue;
+
+      // Search pages list neighbouring sizes too
+      const titleSize = titleParser.extractSize(title);
+      if (size && titleSize && titleSize !== String(size)) continue;
+
+      const { count, countSource } = this.extractCountDetails(title);
+      if (!count) continue;
+
+      const url = product.url && !product.url.startsWith('http')
+        ? `${this.baseUrl}${product.url}`
+        : product.url;
+
+      records.push({
+        // Without a SKU the id is taken from the URL (see productIdFromUrl)
+        id: product.sku || product.gtin || null,
+        brand,
+        type: this.extractDiaperType(title, brand),
+        size,
+        count,
+        retailer: this.name,
+        price: product.price,
+        regularPrice: product.regularPrice || null,
+        promoText: product.promoText || null,
+        promoEndsAt: product.promoEndsAt || null,
+        currency: product.priceCurrency || 'CAD',
+        pricePerDiaper: this.calculatePricePerDiaper(product.price, count),
+        url,
+        gtin: product.gtin || null,
+        inStock: product.inStock !== false,
+        ...this.describeProvenance(countSource, titleSource),
+        lastUpdated: new Date()
+      });
+    }
+
+    return records;
+  }
+
   /**
    * Search for diapers - should be implemented by each retailer
    * @param {Object} searchParams - Search parameters
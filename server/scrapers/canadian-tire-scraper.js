@@ -67,9 +67,18 @@ class CanadianTireScraper extends BaseScraper {
                 // Check for blocking or errors
                 if (response.data.includes('blocked') || response.data.includes('captcha')) {
                   console.log('Canadian Tire returned blocking page - trying alternate URL');
+                  this.recordBlocked(url);
                   continue;
                 }
                 
+                // Prefer schema.org product data, which survives page redesigns
+                const structuredRecords = this.extractStructuredRecords($, { brand, size, limit: 1 });
+                if (structuredRecords.length > 0) {
+                  results.push(...structuredRecords);
+                  foundProducts = true;
+                  break;
+                }
+                
                 // Try multiple selectors for product items
                 const productSelectors = [
                   '.product-tile',
@@ -100,7 +109,7 @@ class CanadianTireScraper extends BaseScraper {
                     if (!title) return;
                     
                     // Skip if not relevant to diapers or not the right brand
-                    if (!title.toLowerCase().includes('diaper') || !title.toLowerCase().includes(brand.toLowerCase())) {
+                    if (!this.isDiaperProduct(title, brand)) {
                       return;
                     }
                     
@@ -120,13 +129,8 @@ class CanadianTireScraper extends BaseScraper {
               // Extract product ID
               const productId = $(element).data('product-id') || `canadiantire-${Date.now()}-${i}`;
               
-              // Extract count (number of diapers)
-              let count = null;
-              // Look for count in the title (e.g., "198 Count")
-              const countMatch = title.match(/(\d+)\s*(count|ct|pack)/i);
-              if (countMatch) {
-                count = parseInt(countMatch[1], 10);
-              }
+              // Extract count (number of diapers), including multipacks
+              const { count, countSource } = this.extractCountDetails(title);
               
               // Skip if we couldn't find a count
               if (!count) return;
@@ -162,9 +166,11 @@ class CanadianTireScraper extends BaseScraper {
                         retailer: this.name,
                         brand: brand,
                         size: size,
+                        count: count,
                         link: fullLink,
                         image: fullImageUrl,
                         inStock: true,
+                        ...this.describeProvenance(countSource),
                         lastUpdated: new Date().toISOString()
                       };
                       
@@ -177,10 +183,10 @@ class CanadianTireScraper extends BaseScraper {
                   if (foundProducts) break;
                 }
                 
-                // Add delay between requests
-                await this.delay(this.getRandomDelay(800, 1500));
-                
               } catch (error) {
+                // A missing recording means the replay fixtures are incomplete
+                if (error.code === 'REPLAY_MISS') throw error;
+                this.recordError(url, error);
                 console.error(`Error searching ${this.name} for ${searchQuery} at ${url}:`, error.message);
                 // Continue with next URL
               }
@@ -193,48 +199,12 @@ class CanadianTireScraper extends BaseScraper {
       return results;
       
     } catch (error) {
+      if (error.code === 'REPLAY_MISS') throw error;
+      this.recordError(null, error);
       console.error(`Error in ${this.name} scraper:`, error);
       return [];
     }
   }
-  
-  /**
-   * Extract diaper type from product title
-   * @param {string} title - Product title
-   * @param {string} brand - Diaper brand
-   * @returns {string} - Diaper type
-   */
-  extractDiaperType(title, brand) {
-    const lowerTitle = title.toLowerCase();
-    
-    // Common diaper types by brand
-    const typeMap = {
-      'pampers': {
-        'swaddlers': 'Swaddlers',
-        'baby dry': 'Baby Dry',
-        'cruisers': 'Cruisers',
-        'pure': 'Pure'
-      },
-      'huggies': {
-        'little snugglers': 'Little Snugglers',
-        'snug & dry': 'Snug & Dry',
-        'little movers': 'Little Movers',
-        'special delivery': 'Special Delivery'
-      }
-    };
-    
-    const brandTypes = typeMap[brand.toLowerCase()];
-    if (brandTypes) {
-      for (const [typeKey, typeName] of Object.entries(brandTypes)) {
-        if (lowerTitle.includes(typeKey)) {
-          return typeName;
-        }
-      }
-    }
-    
-    // Default case if we can't determine the type
-    return 'Regular';
-  }
 }
 
 module.exports = CanadianTireScraper;
@@ -1,4 +1,5 @@
 const BaseScraper = require('./base-scraper');
+const { productIdFromUrl } = require('./product-record');
 
 /**
  * Scraper for Costco Canada
@@ -6,6 +7,7 @@ const BaseScraper = require('./base-scraper');
 class CostcoScraper extends BaseScraper {
   constructor() {
     super('Costco Canada', 'https://www.costco.ca');
+    this.minRequestInterval = 3500;
   }
   
   /**
@@ -70,9 +72,18 @@ class CostcoScraper extends BaseScraper {
                 if (response.data.includes('access denied') || response.data.includes('captcha') || 
                     response.data.includes('CAPTCHA') || response.data.includes('Too many requests')) {
                   console.log('Costco access denied or CAPTCHA detected - trying alternate URL');
+                  this.recordBlocked(url);
                   continue; // Try the next URL pattern
                 }
                 
+                // Prefer schema.org product data, which survives page redesigns
+                const structuredRecords = this.extractStructuredRecords($, { brand, size, limit: 3 });
+                if (structuredRecords.length > 0) {
+                  results.push(...structuredRecords);
+                  foundProducts = true;
+                  break;
+                }
+                
                 // Try multiple product container selectors as Costco occasionally updates their HTML structure
                 const productSelectors = [
                   '.product-tile-set',
@@ -152,11 +163,11 @@ class CostcoScraper extends BaseScraper {
                     
                     if (!productUrl) return;
                     
-                    // Generate product ID from URL or create a unique identifier
-                    const productId = productUrl.split('/').pop() || `costco-${Date.now()}-${i}`;
+                    // Costco item number from the URL
+                    const productId = productIdFromUrl(productUrl);
                     
                     // Extract count from title
-                    const count = this.extractCount(title);
+                    const { count, countSource } = this.extractCountDetails(title);
                     if (!count) return;
                     
                     // Calculate price per diaper
@@ -175,6 +186,7 @@ class CostcoScraper extends BaseScraper {
                       price,
                       pricePerDiaper,
                       url: fullUrl,
+                      ...this.describeProvenance(countSource),
                       lastUpdated: new Date()
                     });
                     
@@ -189,54 +201,27 @@ class CostcoScraper extends BaseScraper {
                 // If we found products, no need to try more URLs
                 if (foundProducts) break;
                 
-                // Add variable delay between requests
-                await new Promise(resolve => setTimeout(resolve, 2000 + Math.random() * 3000));
-                
               } catch (error) {
+                // A missing recording means the replay fixtures are incomplete
+                if (error.code === 'REPLAY_MISS') throw error;
+                this.recordError(url, error);
                 console.error(`Error searching Costco with URL ${url}:`, error.message);
                 continue; // Try the next URL
               }
             }
           }
-          
-          // Add a longer delay between different size searches
-          await new Promise(resolve => setTimeout(resolve, 3000 + Math.random() * 2000));
         }
       }
       
       console.log(`Costco search complete. Found ${results.length} products.`);
       return results;
     } catch (error) {
+      if (error.code === 'REPLAY_MISS') throw error;
+      this.recordError(null, error);
       console.error('Error in Costco scraper:', error);
       return [];
     }
   }
-
-  /**
-   * Determine if a product is a diaper product of the specified brand
-   * @param {string} title - Product title
-   * @param {string} brand - Target brand
-   * @returns {boolean} - True if this is a diaper product of the target brand
-   */
-  isDiaperProduct(title, brand) {
-    if (!title) return false;
-    
-    const lowerTitle = title.toLowerCase();
-    const lowerBrand = brand.toLowerCase();
-    
-    // Check if title contains the brand
-    if (!lowerTitle.includes(lowerBrand)) return false;
-    
-    // Check if this is a diaper product
-    const diaperKeywords = ['diaper', 'diapers', 'nappies', 'nappy'];
-    const hasDiaperKeyword = diaperKeywords.some(keyword => lowerTitle.includes(keyword));
-    
-    // Exclude training pants, swim diapers, and wipes unless specifically searching for them
-    const excludeKeywords = ['wipes', 'swim', 'training pants', 'pull-up', 'pull up', 'pullup'];
-    const hasExcludeKeyword = excludeKeywords.some(keyword => lowerTitle.includes(keyword));
-    
-    return hasDiaperKeyword && !hasExcludeKeyword;
-  }
   
   /**
    * Clean price text and convert to float
@@ -254,82 +239,6 @@ class CostcoScraper extends BaseScraper {
     const price = parseFloat(cleaned);
     return isNaN(price) ? null : price;
   }
-  
-  /**
-   * Extract count of diapers from product title
-   * @param {string} title - Product title
-   * @returns {number|null} - Count of diapers in the pack
-   */
-  extractCount(title) {
-    if (!title) return null;
-    
-    // Check for common count patterns in title
-    // Look for patterns like "192 Count", "192-Count", "Count 192", "192ct", "192 ct"
-    const countPatterns = [
-      /(\d+)\s*-?\s*count/i,      // 192 Count or 192-Count
-      /count\s*-?\s*(\d+)/i,     // Count 192 or Count-192
-      /(\d+)\s*-?\s*ct\b/i,      // 192 ct or 192-ct
-      /(\d+)\s*-?\s*pieces/i,    // 192 pieces or 192-pieces
-      /(\d+)\s*-?\s*pack/i,      // 192 pack or 192-pack
-      /(\d+)\s*-?\s*nappies/i,   // 192 nappies or 192-nappies
-      /pack\s*of\s*(\d+)/i,      // Pack of 192
-      /box\s*of\s*(\d+)/i,       // Box of 192
-      /case\s*of\s*(\d+)/i       // Case of 192
-    ];
-    
-    for (const pattern of countPatterns) {
-      const match = title.match(pattern);
-      if (match && match[1]) {
-        const count = parseInt(match[1], 10);
-        if (!isNaN(count) && count > 0) {
-          return count;
-        }
-      }
-    }
-    
-    return null;
-  }
-  
-  /**
-   * Extract diaper type from product title
-   * @param {string} title - Product title
-   * @param {string} brand - Diaper brand
-   * @returns {string} - Diaper type
-   */
-  extractDiaperType(title, brand) {
-    const lowerTitle = title.toLowerCase();
-    
-    // Common diaper types by brand
-    const typeMap = {
-      'pampers': {
-        'swaddlers': 'Swaddlers',
-        'baby dry': 'Baby Dry',
-        'cruisers': 'Cruisers',
-        'pure': 'Pure'
-      },
-      'huggies': {
-        'little snugglers': 'Little Snugglers',
-        'snug & dry': 'Snug & Dry',
-        'little movers': 'Little Movers',
-        'special delivery': 'Special Delivery'
-      },
-      'kirkland': {
-        'signature': 'Signature'
-      }
-    };
-    
-    const brandTypes = typeMap[brand.toLowerCase()];
-    if (brandTypes) {
-      for (const [typeKey, typeName] of Object.entries(brandTypes)) {
-        if (lowerTitle.includes(typeKey)) {
-          return typeName;
-        }
-      }
-    }
-    
-    // Default case if we can't determine the type
-    return 'Regular';
-  }
 }
 
 module.exports = CostcoScraper;
@@ -0,0 +1,494 @@
+/**
+ * Shared parsing of retailer product titles into diaper attributes.
+ *
+ * Every scraper (and the get-diapers function) reads brand, product line,
+ * size, weight range and pack count out of free-form titles such as
+ * "Pampers Baby Dry Diapers, Size 3, 16-28 lb, 2 x 84 Count". Keeping the
+ * rules here means a fix for one retailer's wording applies to all of them.
+ */
+
+/**
+ * Known brands with the title spellings that identify them and their
+ * product lines. Lines are checked in order, so more specific names
+ * ("Cruisers 360") must come before the names they contain ("Cruisers").
+ */
+const BRANDS = [
+  {
+    name: 'Pampers',
+    aliases: ['pampers'],
+    lines: [
+      ['Swaddlers Overnights', ['swaddlers overnights', 'swaddlers overnight']],
+      ['Swaddlers 360', ['swaddlers 360']],
+      ['Swaddlers', ['swaddlers', 'swaddler']],
+      ['Baby Dry Night', ['baby dry night', 'baby-dry night']],
+      ['Baby Dry', ['baby dry', 'baby-dry']],
+      ['Cruisers 360', ['cruisers 360']],
+      ['Cruisers', ['cruisers', 'cruiser']],
+      ['Pure', ['pure protection', 'pure']],
+      ['Sensitive', ['sensitive']]
+    ]
+  },
+  {
+    name: 'Huggies',
+    aliases: ['huggies'],
+    lines: [
+      ['Little Snugglers Plus', ['little snugglers plus', 'snugglers plus']],
+      ['Little Snugglers', ['little snugglers', 'snugglers']],
+      ['Little Movers', ['little movers', 'movers']],
+      ['Snug & Dry', ['snug & dry', 'snug and dry', 'snug&dry', 'snug n dry']],
+      ['Special Delivery', ['special delivery']],
+      ['Skin Essentials', ['skin essentials']],
+      ['Overnites', ['overnites', 'overnights', 'overnight']]
+    ]
+  },
+  {
+    name: 'Kirkland',
+    aliases: ['kirkland signature', 'kirkland'],
+    lines: [
+      ['Signature', ['signature']]
+    ]
+  },
+  {
+    name: 'Parents Choice',
+    aliases: ["parent's choice", 'parents choice'],
+    lines: [
+      ['Premium', ['premium']],
+      ['Dry & Gentle', ['dry & gentle', 'dry and gentle']]
+    ]
+  },
+  {
+    name: 'Life Brand',
+    aliases: ['life brand'],
+    lines: [
+      ['Ultra Dry', ['ultra dry', 'ultra-dry']],
+      ['Premium', ['premium']]
+    ]
+  },
+  {
+    name: 'Seventh Generation',
+    aliases: ['seventh generation', '7th generation'],
+    lines: [
+      ['Free & Clear', ['free & clear', 'free and clear']]
+    ]
+  },
+  {
+    name: 'Honest Company',
+    aliases: ['the honest company', 'honest company', 'honest'],
+    lines: [
+      ['Clean Conscious', ['clean conscious']],
+      ['Club Box', ['club box']],
+      ['Overnights', ['overnights', 'overnight']]
+    ]
+  },
+  {
+    name: 'Presidents Choice',
+    aliases: ["president's choice", 'presidents choice'],
+    lines: [
+      ['Ultra Soft', ['ultra soft', 'ultra-soft']],
+      ['Premium', ['premium']]
+    ]
+  },
+  {
+    name: 'No Name',
+    aliases: ['no name'],
+    lines: []
+  },
+  {
+    name: 'Rascals',
+    aliases: ['rascals'],
+    lines: [
+      ['Premium', ['premium']]
+    ]
+  }
+];
+
+// Words that mark a title as a diaper, and products that use the word but are not diapers
+const DIAPER_KEYWORDS = ['diaper', 'nappies', 'nappy'];
+const EXCLUDE_KEYWORDS = [
+  'wipes', 'swim', 'training pants', 'pull-up', 'pull up', 'pullup', 'easy ups', 'goodnites',
+  'ninjamas', 'learning pants', 'diaper cream', 'rash', 'ointment', 'diaper bag', 'diaper pail', 'liners'
+];
+
+// Plausible number of diapers in a single listing
+const MIN_COUNT = 8;
+const MAX_COUNT = 500;
+
+// Largest number treated as a multipack multiplier rather than a diaper count
+const MAX_PACKS = 12;
+
+const WEIGHT_PATTERN = /(?:(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*)?(\d+(?:\.\d+)?)\s*(\+)?\s*(lbs?|pounds|kg)\b\.?/gi;
+const UP_TO_WEIGHT_PATTERN = /(?:up\s*to|under|<)\s*(\d+(?:\.\d+)?)\s*(lbs?|pounds|kg)\b\.?/gi;
+
+const COUNT_UNIT = '(?:count|ct|diapers?|pcs?|pieces|nappies)';
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} str - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check a lowercased title for a phrase on word boundaries
+ * @param {string} lowerTitle - Lowercased title
+ * @param {string} phrase - Lowercased phrase
+ * @returns {boolean} - True when the phrase appears as whole words
+ */
+function hasPhrase(lowerTitle, phrase) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(phrase)}($|[^a-z0-9])`).test(lowerTitle);
+}
+
+/**
+ * Normalize curly apostrophes and whitespace so titles compare consistently
+ * @param {string} title - Raw title
+ * @returns {string} - Normalized title
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .replace(/[‘’`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find a known brand by its canonical name or any alias
+ * @param {string} name - Brand name as given by a caller (any case)
+ * @returns {Object|null} - Brand entry
+ */
+function findBrand(name) {
+  if (!name) return null;
+  const lowerName = normalizeTitle(name).toLowerCase();
+
+  return BRANDS.find(brand =>
+    brand.name.toLowerCase() === lowerName || brand.aliases.includes(lowerName)
+  ) || null;
+}
+
+/**
+ * Detect which known brand a title belongs to
+ * @param {string} title - Product title
+ * @returns {string|null} - Canonical brand name
+ */
+function extractBrand(title) {
+  const lowerTitle = normalizeTitle(title).toLowerCase();
+  const brand = BRANDS.find(entry => entry.aliases.some(alias => hasPhrase(lowerTitle, alias)));
+  return brand ? brand.name : null;
+}
+
+/**
+ * Check whether a title mentions a brand, accepting any of its aliases
+ * @param {string} title - Product title
+ * @param {string} brandName - Brand to look for
+ * @returns {boolean} - True when the title names the brand
+ */
+function titleHasBrand(title, brandName) {
+  const lowerTitle = normalizeTitle(title).toLowerCase();
+  const brand = findBrand(brandName);
+  const spellings = brand ? [brand.name.toLowerCase(), ...brand.aliases] : [normalizeTitle(brandName).toLowerCase()];
+
+  return spellings.some(spelling => hasPhrase(lowerTitle, spelling));
+}
+
+/**
+ * Determine if a product is a diaper product of the specified brand
+ * @param {string} title - Product title
+ * @param {string} brand - Target brand
+ * @param {string} category - Retailer category, for titles that never say "diaper"
+ * @returns {boolean} - True if this is a diaper product of the target brand
+ */
+function isDiaperProduct(title, brand, category) {
+  if (!title) return false;
+  if (brand && !titleHasBrand(title, brand)) return false;
+
+  const lowerTitle = normalizeTitle(title).toLowerCase();
+  const lowerCategory = (category || '').toLowerCase();
+  const hasDiaperKeyword = DIAPER_KEYWORDS.some(keyword =>
+    lowerTitle.includes(keyword) || lowerCategory.includes(keyword));
+  const hasExcludeKeyword = EXCLUDE_KEYWORDS.some(keyword => lowerTitle.includes(keyword));
+
+  return hasDiaperKeyword && !hasExcludeKeyword;
+}
+
+/**
+ * Extract diaper type (product line) from product title
+ * @param {string} title - Product title
+ * @param {string} brand - Diaper brand (detected from the title when omitted)
+ * @returns {string} - Diaper type, 'Regular' when no known line matches
+ */
+function extractDiaperType(title, brand) {
+  const lowerTitle = normalizeTitle(title).toLowerCase();
+  const brandEntry = findBrand(brand || extractBrand(title));
+
+  if (brandEntry) {
+    for (const [typeName, spellings] of brandEntry.lines) {
+      if (spellings.some(spelling => hasPhrase(lowerTitle, spelling))) {
+        return typeName;
+      }
+    }
+  }
+
+  // Default case if we can't determine the type
+  return 'Regular';
+}
+
+/**
+ * Extract the weight range printed on a title (e.g. "16-28 lb", "27+ lbs")
+ * @param {string} title - Product title
+ * @returns {Object|null} - { min, max, unit } with null for an open end
+ */
+function extractWeightRange(title) {
+  const text = normalizeTitle(title);
+
+  for (const match of text.matchAll(WEIGHT_PATTERN)) {
+    const [, low, high, plus, unit] = match;
+    const normalizedUnit = unit.toLowerCase().startsWith('k') ? 'kg' : 'lb';
+
+    if (low) {
+      return { min: parseFloat(low), max: parseFloat(high), unit: normalizedUnit };
+    }
+    if (plus) {
+      return { min: parseFloat(high), max: null, unit: normalizedUnit };
+    }
+  }
+
+  const upTo = UP_TO_WEIGHT_PATTERN.exec(text);
+  UP_TO_WEIGHT_PATTERN.lastIndex = 0;
+  if (upTo) {
+    return { min: null, max: parseFloat(upTo[1]), unit: upTo[2].toLowerCase().startsWith('k') ? 'kg' : 'lb' };
+  }
+
+  return null;
+}
+
+/**
+ * Remove weight ranges and "360°" line names so their numbers are not
+ * mistaken for counts or sizes
+ * @param {string} text - Title text
+ * @returns {string} - Title without those numbers
+ */
+function stripWeights(text) {
+  return text
+    .replace(WEIGHT_PATTERN, ' ')
+    .replace(UP_TO_WEIGHT_PATTERN, ' ')
+    .replace(/\b360\s*°?/g, ' ');
+}
+
+/**
+ * Normalize a size token ("newborn", "NB", "0", "3") to the stored size code
+ * @param {string} token - Size token from a title
+ * @returns {string} - 'P' for preemie, 'N' for newborn, otherwise the number
+ */
+function normalizeSizeToken(token) {
+  const lowerToken = token.toLowerCase();
+  if (lowerToken.startsWith('pre') || lowerToken === 'p') return 'P';
+  if (lowerToken.startsWith('new') || lowerToken === 'nb' || lowerToken === 'n') return 'N';
+  return String(parseInt(lowerToken, 10));
+}
+
+/**
+ * Extract the diaper size from a title
+ * Multi-size listings ("Size 1-6", "Sizes NB-2") have no single size and return null.
+ * @param {string} title - Product title
+ * @returns {string|null} - Size code ('P', 'N', '1'...'8')
+ */
+function extractSize(title) {
+  const text = stripWeights(normalizeTitle(title));
+  const sizeToken = '(preemie|newborn|nb|n|p|\\d{1,2})';
+
+  // Ranges such as "Size 1-6", "Sizes NB-5" or "Size 3 to 6" cover several sizes
+  const rangePattern = new RegExp(`\\bsizes?\\s*:?\\s*${sizeToken}\\s*(?:-|–|to)\\s*${sizeToken}\\b`, 'i');
+  const singlePattern = new RegExp(`\\bsizes?\\s*:?\\s*${sizeToken}\\b(?!\\s*(?:-|–|to)\\s*(?:\\d|n\\b|nb\\b))`, 'i');
+
+  const single = text.match(singlePattern);
+  if (single && !rangePattern.test(text)) {
+    return normalizeSizeToken(single[1]);
+  }
+  if (rangePattern.test(text)) {
+    return null;
+  }
+
+  if (/\bpreemie\b/i.test(text)) return 'P';
+  if (/\bnewborn\b/i.test(text)) return 'N';
+
+  return null;
+}
+
+/**
+ * Check a candidate pack count against the plausible range
+ * @param {number} count - Candidate count
+ * @returns {boolean} - True when the count is plausible for one listing
+ */
+function isPlausibleCount(count) {
+  return Number.isInteger(count) && count >= MIN_COUNT && count <= MAX_COUNT;
+}
+
+/**
+ * Parse the pack count of a title, including multipacks
+ * @param {string} title - Product title
+ * @returns {Object|null} - { count, packs, perPack } or null when no count is stated
+ */
+function parseCount(title) {
+  if (!title) return null;
+  const text = stripWeights(normalizeTitle(title));
+
+  // Variant listings ("108-150 Count", "58-160CT") cover several pack sizes
+  if (new RegExp(`\\d+\\s*(?:-|–)\\s*\\d+\\s*${COUNT_UNIT}\\b`, 'i').test(text) ||
+      /\bcount\s*\d+\s*(?:-|–)\s*\d+/i.test(text)) {
+    return null;
+  }
+
+  // "2 x 84 Count", "2 × 84ct", "2 packs of 84"
+  const multipackPatterns = [
+    new RegExp(`\\b(\\d{1,2})\\s*[x×]\\s*(\\d+)\\s*-?\\s*${COUNT_UNIT}?`, 'i'),
+    /\b(\d{1,2})\s*packs?\s*of\s*(\d+)/i
+  ];
+  for (const pattern of multipackPatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const packs = parseInt(match[1], 10);
+      const perPack = parseInt(match[2], 10);
+      if (packs >= 1 && packs <= MAX_PACKS && isPlausibleCount(perPack)) {
+        return { count: packs * perPack, packs, perPack };
+      }
+    }
+  }
+
+  // Single pack counts, most explicit wording first
+  const countPatterns = [
+    new RegExp(`(\\d+)\\s*-?\\s*${COUNT_UNIT}\\b`, 'gi'), // 192 Count, 192-ct, 192 diapers
+    /count\s*:?\s*-?\s*(\d+)/gi,                           // Count 192 or Count: 192
+    /(\d+)\s*-?\s*pack\b/gi,                                // 192-pack
+    /(?:box|case|pack|bag)\s*of\s*(\d+)/gi                  // Pack of 192
+  ];
+
+  let perPack = null;
+  let perPackMatch = null;
+  for (const pattern of countPatterns) {
+    // "Size 3 Diapers, 84 Count" has an implausible first match, so check them all
+    perPackMatch = [...text.matchAll(pattern)].find(candidate => isPlausibleCount(parseInt(candidate[1], 10)));
+    if (perPackMatch) {
+      perPack = parseInt(perPackMatch[1], 10);
+      break;
+    }
+  }
+  if (!perPack) return null;
+
+  // "84 Count (Pack of 2)" sells two packs in one listing. A "Pack of 12"
+  // already read as the count isn't a multiplier too
+  const packOf = [...text.matchAll(/pack\s*of\s*(\d{1,2})\b/gi)].find(candidate => candidate.index !== perPackMatch.index);
+  const packs = packOf ? parseInt(packOf[1], 10) : 1;
+  if (packs > 1 && packs <= MAX_PACKS) {
+    return { count: packs * perPack, packs, perPack };
+  }
+
+  return { count: perPack, packs: 1, perPack };
+}
+
+/**
+ * Guess a count from loose numbers or pack-size keywords
+ * Only used when the caller explicitly opts in, since these are not stated counts.
+ * @param {string} title - Product title
+ * @returns {Object|null} - { count, source } of the guess
+ */
+function guessCount(title) {
+  const text = stripWeights(normalizeTitle(title));
+
+  // Look for any reasonable number in the product name
+  const allNumbers = text.match(/\b(\d{2,3})\b/g);
+  if (allNumbers) {
+    for (const numStr of allNumbers) {
+      const num = parseInt(numStr, 10);
+      if (num >= 20 && num <= 300) {
+        return { count: num, source: 'fallback-number' };
+      }
+    }
+  }
+
+  // Typical counts for the pack-size names retailers use
+  const lowerText = text.toLowerCase();
+  const keywordDefaults = [
+    [['mega', 'family'], 144],
+    [['jumbo', 'giant'], 120],
+    [['super', 'economy'], 96],
+    [['newborn', 'preemie'], 84]
+  ];
+  for (const [keywords, count] of keywordDefaults) {
+    if (keywords.some(keyword => lowerText.includes(keyword))) {
+      return { count, source: 'keyword-default' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract count of diapers from product title
+ * @param {string} title - Product title
+ * @param {Object} options - { fallback: true } to guess when no count is stated
+ * @returns {number|null} - Count of diapers in the listing
+ */
+function extractCount(title, options = {}) {
+  return extractCountDetails(title, options).count;
+}
+
+/**
+ * Extract the count together with how it was derived
+ * @param {string} title - Product title
+ * @param {Object} options - { fallback: true } to guess when no count is stated
+ * @returns {Object} - { count, countSource } where countSource is 'pattern',
+ *   'multipack', 'fallback-number', 'keyword-default' or null
+ */
+function extractCountDetails(title, options = {}) {
+  const parsed = parseCount(title);
+  if (parsed) {
+    return { count: parsed.count, countSource: parsed.packs > 1 ? 'multipack' : 'pattern' };
+  }
+
+  if (options.fallback) {
+    const guess = guessCount(title);
+    if (guess) {
+      return { count: guess.count, countSource: guess.source };
+    }
+  }
+
+  return { count: null, countSource: null };
+}
+
+/**
+ * Parse every attribute we know how to read from a title
+ * @param {string} title - Product title
+ * @param {Object} options - { brand } to use when the caller already knows it
+ * @returns {Object} - { brand, type, size, weight, count, packs, perPack, isDiaper }
+ */
+function parseTitle(title, options = {}) {
+  const brandEntry = findBrand(options.brand);
+  const brand = brandEntry ? brandEntry.name : (options.brand || extractBrand(title));
+  const counts = parseCount(title) || { count: null, packs: null, perPack: null };
+
+  return {
+    brand,
+    type: extractDiaperType(title, brand),
+    size: extractSize(title),
+    weight: extractWeightRange(title),
+    count: counts.count,
+    packs: counts.packs,
+    perPack: counts.perPack,
+    isDiaper: isDiaperProduct(title, brand)
+  };
+}
+
+module.exports = {
+  BRANDS,
+  findBrand,
+  extractBrand,
+  isDiaperProduct,
+  extractDiaperType,
+  extractWeightRange,
+  extractSize,
+  parseCount,
+  extractCount,
+  extractCountDetails,
+  parseTitle
+};
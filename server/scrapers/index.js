@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { validateRecords } = require('./product-record');
 
 /**
  * ScraperManager coordinates all the individual retailer scrapers
@@ -40,34 +41,152 @@ class ScraperManager {
   }
 
   /**
-   * Run a job to fetch all diaper data from all scrapers
-   * @param {Object} options - Options for the search job
-   * @returns {Promise<Array>} - Results of the search job
+   * Get the scrapers matching retailer names, e.g. "walmart" for Walmart.ca
+   * @param {Array<string>} retailers - Names to match, or empty for all scrapers
+   * @returns {Array<Object>} - Matching scraper instances
    */
-  async runScrapingJob(options = {}) {
+  getScrapers(retailers = []) {
+    if (!retailers || retailers.length === 0) return this.scrapers;
+
+    const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const wanted = retailers.map(normalize);
+    return this.scrapers.filter(scraper => wanted.some(name => normalize(scraper.name).includes(name)));
+  }
+
+  /**
+   * Record or replay responses for every loaded scraper
+   * @param {string} mode - 'off', 'record' or 'replay'
+   * @param {string} directory - Directory holding the recordings
+   */
+  useResponseCache(mode, directory) {
+    for (const scraper of this.scrapers) {
+      scraper.useResponseCache(mode, directory);
+    }
+  }
+
+  /**
+   * Run a job to fetch all diaper data from all scrapers.
+   * Every result is checked against the product record contract; only
+   * accepted records are returned and the rest are listed in the report.
+   * When a database is given the job and each retailer's run are logged.
+   * @param {Object} options - Options for the search job; `retailers` limits which scrapers run
+   * @param {Object} context - { db, job } DatabaseService to log the job to, and a scrape_jobs row already opened for it
+   * @returns {Promise<Object>} - { jobId, records, report } where report is keyed by retailer
+   */
+  async runScrapingJob(options = {}, { db = null, job: claimedJob = null } = {}) {
     console.log('Starting diaper price scraping job...');
     const startTime = Date.now();
-    let allProducts = [];
-
-    const scrapingPromises = this.scrapers.map(scraper =>
-      scraper.searchDiapers(options)
-        .then(products => {
-          console.log(`[${scraper.name}] Found ${products.length} products`);
-          return products;
-        })
-        .catch(error => {
-          console.error(`Error running scraper for ${scraper.name}:`, error);
-          return []; // Return empty array on error to not fail the whole job
-        })
-    );
-
-    const results = await Promise.all(scrapingPromises);
-    allProducts = [].concat(...results);
+    const report = {};
+    const job = claimedJob || (db ? await db.createScrapeJob(options) : null);
+    const records = [];
+
+    try {
+      const scrapingPromises = this.getScrapers(options.retailers).map(scraper => {
+        if (scraper.resetStats) scraper.resetStats();
+        const startedAt = new Date();
+
+        return scraper.searchDiapers(options)
+          .then(products => {
+            console.log(`[${scraper.name}] Found ${products.length} products`);
+            return { scraper, products, startedAt, finishedAt: new Date() };
+          })
+          .catch(error => {
+            // Replay runs must not quietly pass with missing recordings
+            if (error.code === 'REPLAY_MISS') throw error;
+            console.error(`Error running scraper for ${scraper.name}:`, error);
+            // Don't fail the whole job
+            return { scraper, products: [], error, startedAt, finishedAt: new Date() };
+          });
+      });
+
+      const results = await Promise.all(scrapingPromises);
+
+      for (const { scraper, products, error, startedAt, finishedAt } of results) {
+        const { accepted, rejected } = validateRecords(products, { retailer: scraper.name });
+        const stats = scraper.stats || {};
+        records.push(...accepted);
+
+        report[scraper.name] = {
+          startedAt,
+          finishedAt,
+          success: !error && accepted.length > 0,
+          found: products.length,
+          accepted: accepted.length,
+          rejected: rejected.length,
+          rejections: rejected.map(({ record, reasons }) => ({
+            id: record.id || null,
+            title: record.title || null,
+            reasons
+          })),
+          requestsMade: stats.requestsMade || 0,
+          pagesBlocked: stats.pagesBlocked || 0,
+          queries: stats.queries || [],
+          errors: stats.errors || [],
+          skipped: stats.skipped || [],
+          error: error ? error.message : null
+        };
+
+        if (rejected.length > 0) {
+          console.warn(`[${scraper.name}] Rejected ${rejected.length} of ${products.length} records`);
+        }
+      }
+    } catch (error) {
+      if (job) await this.closeJob(db, job.id, { status: 'failed', error: error.message });
+      throw error;
+    }
 
     const duration = (Date.now() - startTime) / 1000;
-    console.log(`Scraping job finished in ${duration.toFixed(2)}s. Total products found: ${allProducts.length}`);
+    console.log(`Scraping job finished in ${duration.toFixed(2)}s. Total valid products: ${records.length}`);
 
-    return allProducts;
+    if (job) await this.logJob(db, job.id, report);
+
+    return { jobId: job ? job.id : null, records, report };
+  }
+
+  /**
+   * Write each retailer's run and the job totals to the database.
+   * Logging failures are reported but never lose the scraped records.
+   * @param {Object} db - DatabaseService
+   * @param {number} jobId - Id from createScrapeJob()
+   * @param {Object} report - Report built by runScrapingJob()
+   */
+  async logJob(db, jobId, report) {
+    const runs = Object.entries(report);
+
+    for (const [retailer, run] of runs) {
+      try {
+        await db.logRetailerRun(jobId, retailer, run);
+      } catch (error) {
+        console.error(`Could not log ${retailer} run for scrape job ${jobId}:`, error.message);
+      }
+    }
+
+    const succeeded = runs.filter(([, run]) => run.success).length;
+    let status = 'partial';
+    if (succeeded === runs.length) status = 'succeeded';
+    if (succeeded === 0) status = 'failed';
+
+    await this.closeJob(db, jobId, {
+      status,
+      retailersRun: runs.length,
+      found: runs.reduce((sum, [, run]) => sum + run.found, 0),
+      accepted: runs.reduce((sum, [, run]) => sum + run.accepted, 0),
+      rejected: runs.reduce((sum, [, run]) => sum + run.rejected, 0)
+    });
+  }
+
+  /**
+   * Mark a job finished without letting a database error escape
+   * @param {Object} db - DatabaseService
+   * @param {number} jobId - Id from createScrapeJob()
+   * @param {Object} summary - { status, retailersRun, found, accepted, rejected, error }
+   */
+  async closeJob(db, jobId, summary) {
+    try {
+      await db.finishScrapeJob(jobId, summary);
+    } catch (error) {
+      console.error(`Could not finish scrape job ${jobId}:`, error.message);
+    }
   }
 }
 
@@ -0,0 +1,62 @@
+/**
+ * Outlier checks run on accepted records before they are published.
+ *
+ * The product record contract (./product-record.js) only rejects values that
+ * are impossible. These checks catch values that are possible but unlikely,
+ * such as "19,99 $" parsed as 1999 or a misread count: a price per diaper
+ * that jumps against the offer's last published price, or sits far outside
+ * what other offers of the same size cost. Such records are quarantined for
+ * an admin to review instead of replacing the published price.
+ */
+
+// A change in price per diaper by this factor or more, either way, is suspect
+const MAX_JUMP_RATIO = parseFloat(process.env.QUARANTINE_MAX_JUMP_RATIO) || 5;
+
+// Plausible band around the median price per diaper of the same size
+const PEER_BAND_RATIO = parseFloat(process.env.QUARANTINE_PEER_BAND_RATIO) || 3;
+
+// Fewer published offers of a size than this and the median isn't trusted
+const MIN_PEERS = 3;
+
+/**
+ * Format a ratio for a reason message
+ * @param {number} ratio - Ratio above 1
+ * @returns {string} - e.g. "5.2x"
+ */
+function formatRatio(ratio) {
+  return `${ratio.toFixed(1)}x`;
+}
+
+/**
+ * List the ways a record looks implausible against its baselines
+ * @param {Object} record - Accepted product record
+ * @param {Object} baseline - { previous, peers: { median, count } } price per diaper baselines
+ * @returns {Array<string>} - Human-readable reasons, empty when the record can be published
+ */
+function findOutlierReasons(record, { previous = null, peers = null } = {}) {
+  const reasons = [];
+  const value = record.pricePerDiaper;
+
+  if (previous > 0) {
+    const ratio = Math.max(value / previous, previous / value);
+    if (ratio >= MAX_JUMP_RATIO) {
+      reasons.push(`pricePerDiaper ${value} changed ${formatRatio(ratio)} from ${previous}`);
+    }
+  }
+
+  if (peers && peers.count >= MIN_PEERS && peers.median > 0) {
+    const ratio = Math.max(value / peers.median, peers.median / value);
+    if (ratio >= PEER_BAND_RATIO) {
+      reasons.push(`pricePerDiaper ${value} is ${formatRatio(ratio)} away from the size ${record.size} median of ${peers.median}`);
+    }
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  MAX_JUMP_RATIO,
+  PEER_BAND_RATIO,
+  MIN_PEERS,
+  findOutlierReasons
+};
@@ -0,0 +1,244 @@
+const titleParser = require('./diaper-title-parser');
+const provenance = require('./provenance');
+const { parseDecimal } = require('./structured-data');
+
+/**
+ * The product record contract every scraper result must meet before it is
+ * stored.
+ *
+ * Scrapers grew up with different shapes (`name`/`link`, `title`/`vendor`,
+ * `type`/`url`...). ScraperManager runs every result through
+ * validateRecords(), which maps those spellings onto the fields below,
+ * coerces types, and rejects anything that would corrupt price-per-diaper
+ * rankings. Only accepted records are passed to DatabaseService.
+ */
+
+// field: { type, required, aliases, maxLength, default }
+// `id` is the retailer's own product identifier (ASIN, Costco item number,
+// Walmart SKU...). Together with retailer and count it identifies an offer.
+const PRODUCT_RECORD_SCHEMA = {
+  id: { type: 'string', required: true, maxLength: 100, aliases: ['productId', 'asin', 'sku'] },
+  title: { type: 'string', aliases: ['name', 'productName'] },
+  brand: { type: 'string', required: true, maxLength: 100 },
+  type: { type: 'string', required: true, maxLength: 200, aliases: ['diaperType'] },
+  size: { type: 'string', required: true, maxLength: 10 },
+  count: { type: 'integer', required: true, aliases: ['quantity', 'diaperCount'] },
+  retailer: { type: 'string', required: true, maxLength: 100, aliases: ['vendor', 'store'] },
+  price: { type: 'number', required: true },
+  // price is what a shopper pays now. On a sale, regularPrice is the usual
+  // price and salePrice repeats price
+  regularPrice: { type: 'number', aliases: ['wasPrice', 'listPrice'] },
+  salePrice: { type: 'number', aliases: ['promoPrice'] },
+  promoText: { type: 'string', maxLength: 200, aliases: ['promotion', 'promoLabel'] },
+  promoEndsAt: { type: 'date', aliases: ['saleEndsAt', 'priceValidUntil'] },
+  pricePerDiaper: { type: 'number', required: true },
+  currency: { type: 'string', default: 'CAD' },
+  url: { type: 'url', required: true, aliases: ['link', 'productUrl', 'href'] },
+  image: { type: 'string', aliases: ['imageUrl'] },
+  gtin: { type: 'string', aliases: ['upc', 'ean'] },
+  inStock: { type: 'boolean', default: true, aliases: ['in_stock', 'available'] },
+  countSource: { type: 'string' },
+  titleSource: { type: 'string' },
+  confidence: { type: 'number' },
+  lastUpdated: { type: 'date', aliases: ['updatedAt', 'scrapedAt'] }
+};
+
+// Sanity bounds that catch misparsed prices and counts
+const MAX_COUNT = 1000;
+const MAX_PRICE = 1000;
+const MAX_PRICE_PER_DIAPER = 5;
+
+// How far a scraper's own price per diaper may drift from price / count
+const PRICE_PER_DIAPER_TOLERANCE = 0.01;
+
+/**
+ * Coerce a raw value to a schema type
+ * @param {*} value - Raw value
+ * @param {string} type - Schema type
+ * @returns {*} - Coerced value, or undefined when it cannot be coerced
+ */
+function coerce(value, type) {
+  if (value === null || value === undefined || value === '') return undefined;
+
+  switch (type) {
+    case 'string':
+    case 'url': {
+      const text = String(value).trim();
+      return text || undefined;
+    }
+    case 'number': {
+      // "19,99 $" is read the way structured data prices are, not as 1999
+      const number = typeof value === 'number' ? value : (/^\s*-/.test(value) ? -1 : 1) * parseDecimal(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'integer': {
+      const number = typeof value === 'number' ? value : parseInt(String(value).replace(/[^\d-]/g, ''), 10);
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|yes|1|in[\s_]?stock)$/i.test(String(value).trim())) return true;
+      if (/^(false|no|0|out[\s_]?of[\s_]?stock)$/i.test(String(value).trim())) return false;
+      return undefined;
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? undefined : date;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Work out a retailer's product identifier from a product URL. Keep in step
+ * with the backfill in database/migrations/006_offer_identity.up.sql.
+ * @param {string} url - Product URL
+ * @returns {string|undefined} - ASIN, Costco item number or last path segment
+ */
+function productIdFromUrl(url) {
+  if (!url) return undefined;
+
+  const match = url.match(/\/dp\/([A-Z0-9]{10})/) || url.match(/\.product\.(\d+)\.html/);
+  if (match) return match[1];
+
+  const lastSegment = url.split(/[?#]/)[0].replace(/\/+$/, '').split('/').pop().replace(/\.html$/, '');
+  return lastSegment || undefined;
+}
+
+/**
+ * Map a raw scraper result onto the declared fields and coerce their types
+ * @param {Object} raw - Scraper result in any of the legacy shapes
+ * @param {Object} defaults - Values used when the result lacks them (e.g. { retailer })
+ * @returns {Object} - Normalized record (may still be invalid)
+ */
+function normalizeRecord(raw, defaults = {}) {
+  const record = {};
+
+  for (const [field, spec] of Object.entries(PRODUCT_RECORD_SCHEMA)) {
+    const candidates = [field, ...(spec.aliases || [])];
+    const key = candidates.find(name => raw[name] !== undefined && raw[name] !== null && raw[name] !== '');
+    let value = key ? coerce(raw[key], spec.type) : undefined;
+
+    if (value === undefined) value = coerce(defaults[field], spec.type);
+    if (value === undefined && spec.default !== undefined) value = spec.default;
+    if (value !== undefined) record[field] = value;
+  }
+
+  // Derive what older scrapers left out
+  if (!record.id) record.id = productIdFromUrl(record.url);
+  if (record.price === undefined && record.salePrice !== undefined) record.price = record.salePrice;
+  if (record.salePrice === undefined && record.regularPrice > record.price) record.salePrice = record.price;
+  if (record.title) {
+    if (!record.brand) record.brand = titleParser.extractBrand(record.title) || undefined;
+    if (!record.type && record.brand) record.type = titleParser.extractDiaperType(record.title, record.brand);
+  }
+  if (record.pricePerDiaper === undefined && record.price > 0 && record.count > 0) {
+    record.pricePerDiaper = parseFloat((record.price / record.count).toFixed(4));
+  }
+  if (record.confidence === undefined && record.countSource) {
+    Object.assign(record, provenance.describeProvenance(record.countSource, record.titleSource));
+  }
+  if (!record.lastUpdated) record.lastUpdated = new Date();
+
+  // Drop fields that could not be derived so they read as missing
+  for (const field of Object.keys(record)) {
+    if (record[field] === undefined) delete record[field];
+  }
+
+  return record;
+}
+
+/**
+ * List the ways a normalized record breaks the contract
+ * @param {Object} record - Normalized record
+ * @returns {Array<string>} - Human-readable reasons, empty when valid
+ */
+function findViolations(record) {
+  const reasons = [];
+
+  for (const [field, spec] of Object.entries(PRODUCT_RECORD_SCHEMA)) {
+    const value = record[field];
+    if (value === undefined) {
+      if (spec.required) reasons.push(`${field} is missing`);
+      continue;
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+      reasons.push(`${field} is longer than ${spec.maxLength} characters`);
+    }
+  }
+
+  if (record.count !== undefined && (record.count <= 0 || record.count > MAX_COUNT)) {
+    reasons.push(`count ${record.count} is outside 1-${MAX_COUNT}`);
+  }
+  if (record.price !== undefined && (record.price <= 0 || record.price > MAX_PRICE)) {
+    reasons.push(`price ${record.price} is outside 0-${MAX_PRICE}`);
+  }
+  if (record.pricePerDiaper !== undefined) {
+    if (record.pricePerDiaper <= 0 || record.pricePerDiaper > MAX_PRICE_PER_DIAPER) {
+      reasons.push(`pricePerDiaper ${record.pricePerDiaper} is outside 0-${MAX_PRICE_PER_DIAPER}`);
+    } else if (record.price > 0 && record.count > 0 &&
+        Math.abs(record.pricePerDiaper - record.price / record.count) > PRICE_PER_DIAPER_TOLERANCE) {
+      reasons.push(`pricePerDiaper ${record.pricePerDiaper} does not match price / count`);
+    }
+  }
+  if (record.regularPrice !== undefined && record.price !== undefined && record.regularPrice < record.price) {
+    reasons.push('regularPrice is lower than price');
+  }
+  if (record.salePrice !== undefined && record.price !== undefined && record.salePrice !== record.price) {
+    reasons.push('salePrice does not match price');
+  }
+  if (record.url !== undefined && !/^https?:\/\//i.test(record.url)) {
+    reasons.push(`url "${record.url}" is not absolute`);
+  }
+  if (record.confidence !== undefined && (record.confidence < 0 || record.confidence > 1)) {
+    reasons.push(`confidence ${record.confidence} is outside 0-1`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Normalize and validate a single scraper result
+ * @param {Object} raw - Scraper result
+ * @param {Object} defaults - Values used when the result lacks them (e.g. { retailer })
+ * @returns {Object} - { record, valid, reasons }
+ */
+function validateRecord(raw, defaults = {}) {
+  if (!raw || typeof raw !== 'object') {
+    return { record: null, valid: false, reasons: ['record is not an object'] };
+  }
+
+  const record = normalizeRecord(raw, defaults);
+  const reasons = findViolations(record);
+  return { record, valid: reasons.length === 0, reasons };
+}
+
+/**
+ * Validate a batch of scraper results
+ * @param {Array} rawRecords - Scraper results
+ * @param {Object} defaults - Values used when a result lacks them (e.g. { retailer })
+ * @returns {Object} - { accepted, rejected: [{ record, reasons }] }
+ */
+function validateRecords(rawRecords, defaults = {}) {
+  const accepted = [];
+  const rejected = [];
+
+  for (const raw of rawRecords || []) {
+    const { record, valid, reasons } = validateRecord(raw, defaults);
+    if (valid) {
+      accepted.push(record);
+    } else {
+      rejected.push({ record: record || raw, reasons });
+    }
+  }
+
+  return { accepted, rejected };
+}
+
+module.exports = {
+  PRODUCT_RECORD_SCHEMA,
+  productIdFromUrl,
+  normalizeRecord,
+  validateRecord,
+  validateRecords
+};
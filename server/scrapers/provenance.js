@@ -0,0 +1,70 @@
+/**
+ * Confidence scoring for how a scraped record's count and title were derived.
+ *
+ * Price per diaper is only as good as the pack count behind it, so every
+ * record carries its count and title sources and a confidence score.
+ * Records below LOW_CONFIDENCE_THRESHOLD are hidden from rankings unless
+ * a user asks to see them.
+ */
+
+// How much we trust each way of obtaining a pack count
+const COUNT_CONFIDENCE = {
+  'pattern': 0.95,         // "198 Count" stated in the title
+  'multipack': 0.9,        // "2 x 84 Count" multiplied out
+  'fallback-number': 0.4,  // Any plausible number found in the title
+  'keyword-default': 0.2   // Typical count for "mega", "jumbo"... packs
+};
+
+// How much we trust each way of obtaining a product title
+const TITLE_CONFIDENCE = {
+  'listing': 1,            // Read from the retailer's title element
+  'structured-data': 1,    // Read from schema.org JSON-LD, microdata or Open Graph
+  'text-pattern': 0.6,     // Pulled out of the listing's full text
+  'generated': 0.2         // Built from the search brand and size
+};
+
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.MIN_PUBLISH_CONFIDENCE || '0.7');
+
+/**
+ * Score a record from its count and title sources
+ * @param {string} countSource - How the count was derived
+ * @param {string} titleSource - How the title was derived
+ * @returns {number} - Confidence between 0 and 1
+ */
+function scoreConfidence(countSource, titleSource = 'listing') {
+  const countScore = COUNT_CONFIDENCE[countSource] || 0;
+  const titleScore = TITLE_CONFIDENCE[titleSource] || 0;
+  return Math.min(countScore, titleScore);
+}
+
+/**
+ * Build the provenance fields attached to every scraped record
+ * @param {string} countSource - How the count was derived
+ * @param {string} titleSource - How the title was derived
+ * @returns {Object} - { countSource, titleSource, confidence }
+ */
+function describeProvenance(countSource, titleSource = 'listing') {
+  return {
+    countSource,
+    titleSource,
+    confidence: scoreConfidence(countSource, titleSource)
+  };
+}
+
+/**
+ * Check whether a confidence score is too low to rank by default
+ * @param {number} confidence - Confidence between 0 and 1
+ * @returns {boolean} - True when the record should be hidden by default
+ */
+function isLowConfidence(confidence) {
+  return confidence === null || confidence === undefined || confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+module.exports = {
+  COUNT_CONFIDENCE,
+  TITLE_CONFIDENCE,
+  LOW_CONFIDENCE_THRESHOLD,
+  scoreConfidence,
+  describeProvenance,
+  isLowConfidence
+};
@@ -0,0 +1,302 @@
+const axios = require('axios');
+
+// Product token we look for in robots.txt before falling back to "*"
+const ROBOTS_USER_AGENT = process.env.SCRAPER_ROBOTS_AGENT || 'DiaperPricesBot';
+const ROBOTS_CACHE_TTL = 24 * 60 * 60 * 1000;
+// Retry a robots.txt that failed with a server error sooner than a good one
+const ROBOTS_ERROR_TTL = 15 * 60 * 1000;
+
+/**
+ * Parse robots.txt into the rules that apply to one user agent
+ * @param {string} text - robots.txt contents
+ * @param {string} userAgent - Our product token
+ * @returns {Object} - { rules: [{ allow, pattern }], crawlDelay }
+ */
+function parseRobots(text, userAgent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds)) current.crawlDelay = seconds * 1000;
+    }
+  }
+
+  const token = userAgent.toLowerCase();
+  const group = groups.find(g => g.agents.some(agent => agent !== '*' && token.includes(agent))) ||
+    groups.find(g => g.agents.includes('*'));
+
+  return group ? { rules: group.rules, crawlDelay: group.crawlDelay } : { rules: [], crawlDelay: null };
+}
+
+/**
+ * Check a robots.txt path pattern against a URL path
+ * @param {string} pattern - Pattern with optional * and $
+ * @param {string} path - URL path and query
+ * @returns {boolean} - True when the pattern matches
+ */
+function patternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Decide whether a path is allowed: the longest matching rule wins and
+ * Allow wins a tie
+ * @param {Array} rules - Rules from parseRobots()
+ * @param {string} path - URL path and query
+ * @returns {boolean} - True when crawling the path is allowed
+ */
+function isPathAllowed(rules, path) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!patternMatches(rule.pattern, path)) continue;
+    if (!best || rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+/**
+ * Central gate for every live request the scrapers make.
+ *
+ * - At most `maxConcurrentPerHost` requests run against one host at a time
+ * - Requests for one retailer start at least `minInterval` ms apart (or the
+ *   site's Crawl-delay, whichever is longer)
+ * - robots.txt is fetched once per origin, cached, and disallowed URLs are
+ *   skipped with a ROBOTS_DISALLOWED error
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.maxConcurrentPerHost = options.maxConcurrentPerHost ||
+      parseInt(process.env.SCRAPER_MAX_CONCURRENT_PER_HOST || '1', 10);
+    this.minInterval = options.minInterval !== undefined
+      ? options.minInterval
+      : parseInt(process.env.SCRAPER_MIN_INTERVAL_MS || '3000', 10);
+    // Up to this fraction of the interval is added at random so requests don't tick like a clock
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.25;
+    this.respectRobots = options.respectRobots !== undefined
+      ? options.respectRobots
+      : process.env.SCRAPER_IGNORE_ROBOTS !== 'true';
+
+    this.fetchRobotsTxt = options.fetchRobotsTxt || RequestScheduler.fetchRobotsTxt;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = options.now || Date.now;
+
+    this.hosts = new Map();        // host -> { active, waiting: [] }
+    this.nextSlot = new Map();     // retailer -> earliest start time for its next request
+    this.robotsCache = new Map();  // origin -> Promise<{ rules, crawlDelay, expiresAt }>
+    this.skipped = [];
+  }
+
+  /**
+   * Download robots.txt for an origin
+   * @param {string} origin - e.g. "https://www.amazon.ca"
+   * @returns {Promise<Object>} - { status, text }
+   */
+  static async fetchRobotsTxt(origin) {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 10000,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    return { status: response.status, text: typeof response.data === 'string' ? response.data : '' };
+  }
+
+  /**
+   * Run a request for a retailer once robots.txt, the host's concurrency cap
+   * and the retailer's interval allow it
+   * @param {string} retailer - Retailer name, used for interval tracking
+   * @param {string} url - URL about to be requested
+   * @param {Function} task - Performs the request and returns a promise
+   * @param {Object} options - { minInterval } overriding the default for this retailer
+   * @returns {Promise<*>} - Whatever the task resolves to
+   */
+  async schedule(retailer, url, task, options = {}) {
+    const { host, origin } = new URL(url);
+    const robots = await this.getRobots(origin);
+
+    if (!this.isAllowedBy(robots, url)) {
+      this.skipped.push({ retailer, url, reason: 'robots.txt', at: new Date(this.now()) });
+      console.warn(`[${retailer}] Skipping ${url}: disallowed by robots.txt`);
+      const error = new Error(`Disallowed by robots.txt: ${url}`);
+      error.code = 'ROBOTS_DISALLOWED';
+      error.url = url;
+      throw error;
+    }
+
+    await this.acquire(host);
+    try {
+      const interval = Math.max(
+        options.minInterval !== undefined ? options.minInterval : this.minInterval,
+        robots.crawlDelay || 0
+      );
+      await this.waitForTurn(retailer, interval);
+      return await task();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  /**
+   * Check a URL against robots.txt without requesting it
+   * @param {string} url - URL to check
+   * @returns {Promise<boolean>} - True when the URL may be crawled
+   */
+  async isAllowed(url) {
+    const { origin } = new URL(url);
+    return this.isAllowedBy(await this.getRobots(origin), url);
+  }
+
+  /**
+   * Check a URL against robots rules that are already loaded
+   * @param {Object} robots - Cached robots entry
+   * @param {string} url - URL to check
+   * @returns {boolean} - True when the URL may be crawled
+   */
+  isAllowedBy(robots, url) {
+    if (!this.respectRobots) return true;
+    if (robots.disallowAll) return false;
+    const { pathname, search } = new URL(url);
+    return isPathAllowed(robots.rules, `${pathname}${search}`);
+  }
+
+  /**
+   * Get the cached robots.txt rules for an origin, fetching them when stale
+   * @param {string} origin - e.g. "https://www.amazon.ca"
+   * @returns {Promise<Object>} - { rules, crawlDelay, disallowAll, expiresAt }
+   */
+  async getRobots(origin) {
+    if (!this.respectRobots) return { rules: [], crawlDelay: null };
+
+    const cached = this.robotsCache.get(origin);
+    if (cached) {
+      const entry = await cached;
+      if (entry.expiresAt > this.now()) return entry;
+    }
+
+    // Share one download between concurrent callers
+    const pending = this.loadRobots(origin);
+    this.robotsCache.set(origin, pending);
+    return pending;
+  }
+
+  /**
+   * Download and parse robots.txt, following the usual conventions:
+   * a missing file allows everything, a server error disallows everything
+   * until it is retried
+   * @param {string} origin - e.g. "https://www.amazon.ca"
+   * @returns {Promise<Object>} - { rules, crawlDelay, disallowAll, expiresAt }
+   */
+  async loadRobots(origin) {
+    try {
+      const { status, text } = await this.fetchRobotsTxt(origin);
+
+      if (status >= 500) {
+        console.warn(`robots.txt for ${origin} returned ${status}; pausing requests to it`);
+        return { rules: [], crawlDelay: null, disallowAll: true, expiresAt: this.now() + ROBOTS_ERROR_TTL };
+      }
+      if (status >= 400) {
+        return { rules: [], crawlDelay: null, disallowAll: false, expiresAt: this.now() + ROBOTS_CACHE_TTL };
+      }
+
+      const { rules, crawlDelay } = parseRobots(text);
+      console.log(`Loaded robots.txt for ${origin} (${rules.length} rules)`);
+      return { rules, crawlDelay, disallowAll: false, expiresAt: this.now() + ROBOTS_CACHE_TTL };
+    } catch (error) {
+      console.warn(`Could not fetch robots.txt for ${origin}: ${error.message}; pausing requests to it`);
+      return { rules: [], crawlDelay: null, disallowAll: true, expiresAt: this.now() + ROBOTS_ERROR_TTL };
+    }
+  }
+
+  /**
+   * Wait for a free request slot on a host
+   * @param {string} host - Host name
+   */
+  async acquire(host) {
+    const state = this.hosts.get(host) || { active: 0, waiting: [] };
+    this.hosts.set(host, state);
+
+    if (state.active < this.maxConcurrentPerHost) {
+      state.active++;
+      return;
+    }
+
+    // release() hands its slot straight to the next waiter
+    await new Promise(resolve => state.waiting.push(resolve));
+  }
+
+  /**
+   * Give a host's request slot to the next waiter, or free it
+   * @param {string} host - Host name
+   */
+  release(host) {
+    const state = this.hosts.get(host);
+    if (!state) return;
+
+    const next = state.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  }
+
+  /**
+   * Reserve the retailer's next start time and sleep until it arrives
+   * @param {string} retailer - Retailer name
+   * @param {number} interval - Minimum ms between request starts
+   */
+  async waitForTurn(retailer, interval) {
+    const now = this.now();
+    const startAt = Math.max(now, this.nextSlot.get(retailer) || 0);
+    const spacing = interval + Math.random() * interval * this.jitter;
+    this.nextSlot.set(retailer, startAt + spacing);
+
+    if (startAt > now) {
+      await this.sleep(startAt - now);
+    }
+  }
+}
+
+// One scheduler shared by every scraper so limits hold across the whole job
+const requestScheduler = new RequestScheduler();
+
+module.exports = {
+  requestScheduler,
+  RequestScheduler,
+  parseRobots,
+  isPathAllowed
+};
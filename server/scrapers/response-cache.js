@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../tests/fixtures/recordings');
+const CACHE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Stores and serves recorded retailer responses so scrapers can run offline.
+ *
+ * In `record` mode every successful response is written to disk keyed by URL.
+ * In `replay` mode responses are served from those files and a missing
+ * recording is an error rather than a silent fallback to the network.
+ */
+class ResponseCache {
+  constructor(mode = 'off', directory = DEFAULT_CACHE_DIR) {
+    if (!CACHE_MODES.includes(mode)) {
+      throw new Error(`Unknown response cache mode "${mode}" (expected one of ${CACHE_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.directory = directory;
+  }
+
+  /**
+   * Build a cache from SCRAPER_CACHE_MODE and SCRAPER_CACHE_DIR
+   * @returns {ResponseCache} - Configured cache
+   */
+  static fromEnv() {
+    return new ResponseCache(
+      process.env.SCRAPER_CACHE_MODE || 'off',
+      process.env.SCRAPER_CACHE_DIR || DEFAULT_CACHE_DIR
+    );
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Get the file name stem used for a URL
+   * @param {string} url - Requested URL
+   * @returns {string} - Host prefixed hash of the URL
+   */
+  keyFor(url) {
+    let host = 'unknown';
+    try {
+      host = new URL(url).hostname.replace(/^www\d*\./, '');
+    } catch (error) {
+      // Keep the generic prefix for relative or malformed URLs
+    }
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+    return `${host.replace(/[^a-z0-9.-]/gi, '_')}-${hash}`;
+  }
+
+  /**
+   * Save a response body for a URL
+   * @param {string} url - Requested URL
+   * @param {string} body - Response body
+   * @param {Object} meta - Extra metadata (status, source)
+   * @returns {string} - Path of the saved body
+   */
+  save(url, body, meta = {}) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const key = this.keyFor(url);
+    const bodyPath = path.join(this.directory, `${key}.html`);
+
+    fs.writeFileSync(bodyPath, body);
+    fs.writeFileSync(path.join(this.directory, `${key}.json`), JSON.stringify({
+      url,
+      status: meta.status || 200,
+      source: meta.source || 'http',
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+
+    console.log(`Recorded ${url} to ${bodyPath}`);
+    return bodyPath;
+  }
+
+  /**
+   * Load a recorded response for a URL
+   * @param {string} url - Requested URL
+   * @returns {Object} - Axios-like response ({ data, status, headers, config })
+   */
+  load(url) {
+    const key = this.keyFor(url);
+    const bodyPath = path.join(this.directory, `${key}.html`);
+
+    if (!fs.existsSync(bodyPath)) {
+      const error = new Error(`Replay cache miss for ${url} (expected ${bodyPath})`);
+      error.code = 'REPLAY_MISS';
+      error.url = url;
+      throw error;
+    }
+
+    const metaPath = path.join(this.directory, `${key}.json`);
+    const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : {};
+
+    return {
+      data: fs.readFileSync(bodyPath, 'utf8'),
+      status: meta.status || 200,
+      headers: {},
+      config: { url },
+      fromCache: true
+    };
+  }
+}
+
+ResponseCache.DEFAULT_CACHE_DIR = DEFAULT_CACHE_DIR;
+
+module.exports = ResponseCache;
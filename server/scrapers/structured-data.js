@@ -0,0 +1,385 @@
+const cheerio = require('cheerio');
+
+/**
+ * Reads schema.org Product data that retailers embed for search engines.
+ *
+ * Retailers restyle their pages often but rarely change the structured data
+ * Google reads, so scrapers try this before their CSS selectors. Three
+ * sources are read in order of reliability and the first that yields
+ * products wins:
+ *   1. JSON-LD (<script type="application/ld+json">)
+ *   2. Microdata (itemscope/itemprop attributes)
+ *   3. Open Graph product tags (og:title, product:price:amount...)
+ *
+ * Every product comes back in the same normalized shape:
+ *   { name, brand, sku, gtin, url, image, price, regularPrice, promoText,
+ *     promoEndsAt, priceCurrency, availability, inStock, source }
+ */
+
+const GTIN_KEYS = ['gtin13', 'gtin12', 'gtin14', 'gtin8', 'gtin'];
+
+// schema.org price types that describe the pre-sale price
+const REGULAR_PRICE_TYPES = ['ListPrice', 'StrikethroughPrice', 'MSRP'];
+
+const IN_STOCK_VALUES = ['InStock', 'LimitedAvailability', 'OnlineOnly', 'InStoreOnly', 'PreSale', 'PreOrder'];
+
+/**
+ * Reduce a schema.org enumeration URL to its bare value
+ * @param {string} value - e.g. "https://schema.org/InStock"
+ * @returns {string|null} - e.g. "InStock"
+ */
+function schemaValue(value) {
+  if (!value || typeof value !== 'string') return null;
+  return value.trim().replace(/^https?:\/\/schema\.org\//i, '') || null;
+}
+
+/**
+ * Read the digits of a localized decimal, ignoring currency signs and sign
+ * @param {string} text - e.g. "19,99 $" or "$1,299.99"
+ * @returns {number} - The number, or NaN when there is none
+ */
+function parseDecimal(text) {
+  // "19,99" is a French-Canadian decimal, "1,299.99" has a thousands separator
+  let cleaned = String(text).replace(/[^\d.,]/g, '');
+  cleaned = /,\d{2}$/.test(cleaned) && !cleaned.includes('.')
+    ? cleaned.replace(',', '.')
+    : cleaned.replace(/,/g, '');
+
+  return parseFloat(cleaned);
+}
+
+/**
+ * Parse a structured-data price, which may be a number or a localized string
+ * @param {string|number} value - Price value
+ * @returns {number|null} - Price as a number
+ */
+function parsePrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+
+  const price = parseDecimal(value);
+  return isNaN(price) || price <= 0 ? null : price;
+}
+
+/**
+ * Read a text value that may be a string, an object with a name, or an array
+ * @param {*} value - Raw value
+ * @returns {string|null} - Text value
+ */
+function textValue(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return textValue(value[0]);
+  if (typeof value === 'object') return textValue(value.name || value['@id'] || value.url);
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Check whether a JSON-LD node has the given @type
+ * @param {Object} node - JSON-LD node
+ * @param {string} type - schema.org type name
+ * @returns {boolean} - True if the node is of that type
+ */
+function hasType(node, type) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(t => schemaValue(t) === type);
+}
+
+/**
+ * Work out current and regular price from one or more offers
+ * @param {Object|Array} offers - schema.org Offer, AggregateOffer or array of either
+ * @returns {Object} - { price, regularPrice, promoEndsAt, priceCurrency, availability }
+ */
+function readOffers(offers) {
+  const list = (Array.isArray(offers) ? offers : [offers]).filter(Boolean);
+  const result = { price: null, regularPrice: null, promoEndsAt: null, priceCurrency: null, availability: null };
+
+  for (const offer of list) {
+    // Marketplace offers nest the real offers one level down
+    if (offer.offers) {
+      const nested = readOffers(offer.offers);
+      if (nested.price && (!result.price || nested.price < result.price)) Object.assign(result, nested);
+      continue;
+    }
+
+    let price = parsePrice(offer.price !== undefined ? offer.price : offer.lowPrice);
+    let regularPrice = null;
+    let validThrough = offer.priceValidUntil || null;
+
+    const specs = offer.priceSpecification
+      ? (Array.isArray(offer.priceSpecification) ? offer.priceSpecification : [offer.priceSpecification])
+      : [];
+    for (const spec of specs) {
+      const specPrice = parsePrice(spec.price);
+      if (!specPrice) continue;
+      if (REGULAR_PRICE_TYPES.includes(schemaValue(spec.priceType))) {
+        regularPrice = specPrice;
+      } else {
+        if (!price) price = specPrice;
+        if (spec.validThrough) validThrough = spec.validThrough;
+      }
+    }
+
+    if (!price) continue;
+
+    // Keep the cheapest offer when a product lists several
+    if (!result.price || price < result.price) {
+      result.price = price;
+      result.regularPrice = regularPrice && regularPrice > price ? regularPrice : null;
+      // Google asks for priceValidUntil on every offer, so it only means a
+      // sale end date when there is a higher regular price
+      result.promoEndsAt = result.regularPrice ? validThrough : null;
+      result.priceCurrency = offer.priceCurrency || (specs[0] && specs[0].priceCurrency) || null;
+      result.availability = schemaValue(offer.availability);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build a normalized product, or null when it lacks a name or price
+ * @param {Object} fields - Raw fields
+ * @param {string} source - 'json-ld', 'microdata' or 'open-graph'
+ * @returns {Object|null} - Normalized product
+ */
+function normalizeProduct(fields, source) {
+  const name = textValue(fields.name);
+  if (!name || !fields.price) return null;
+
+  const availability = fields.availability || null;
+
+  return {
+    name,
+    brand: textValue(fields.brand),
+    sku: textValue(fields.sku),
+    gtin: textValue(fields.gtin),
+    url: textValue(fields.url),
+    image: textValue(fields.image),
+    price: fields.price,
+    regularPrice: fields.regularPrice || null,
+    promoText: textValue(fields.promoText),
+    promoEndsAt: fields.promoEndsAt || null,
+    priceCurrency: fields.priceCurrency || null,
+    availability,
+    // Listings without availability are assumed buyable, as on the selector path
+    inStock: availability ? IN_STOCK_VALUES.includes(availability) : true,
+    source
+  };
+}
+
+/**
+ * Collect every Product node from parsed JSON-LD, wherever it is nested
+ * @param {*} node - Parsed JSON-LD value
+ * @param {Array} found - Accumulator
+ * @returns {Array} - Product nodes
+ */
+function collectProductNodes(node, found = []) {
+  if (!node || typeof node !== 'object') return found;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => collectProductNodes(child, found));
+    return found;
+  }
+
+  if (hasType(node, 'Product')) {
+    found.push(node);
+    return found;
+  }
+
+  // Product groups keep each size or count as a variant
+  if (hasType(node, 'ProductGroup') && node.hasVariant) {
+    const variants = Array.isArray(node.hasVariant) ? node.hasVariant : [node.hasVariant];
+    variants.forEach(variant => found.push({ brand: node.brand, ...variant }));
+    return found;
+  }
+
+  // Search pages wrap products in ItemList > ListItem > item, others use @graph
+  for (const key of ['@graph', 'itemListElement', 'item', 'mainEntity']) {
+    if (node[key]) collectProductNodes(node[key], found);
+  }
+
+  return found;
+}
+
+/**
+ * Extract products from JSON-LD script blocks
+ * @param {Object} $ - Cheerio document
+ * @returns {Array} - Normalized products
+ */
+function fromJsonLd($) {
+  const products = [];
+
+  $('script[type="application/ld+json"]').each((i, element) => {
+    let data;
+    try {
+      data = JSON.parse($(element).html());
+    } catch (error) {
+      // Some retailers ship malformed blocks next to valid ones
+      return;
+    }
+
+    for (const node of collectProductNodes(data)) {
+      const gtinKey = GTIN_KEYS.find(key => node[key]);
+      const product = normalizeProduct({
+        name: node.name,
+        brand: node.brand,
+        sku: node.sku || node.productID,
+        gtin: gtinKey ? node[gtinKey] : null,
+        url: node.url || (node.offers && !Array.isArray(node.offers) ? node.offers.url : null),
+        image: node.image,
+        ...readOffers(node.offers)
+      }, 'json-ld');
+
+      if (product) products.push(product);
+    }
+  });
+
+  return products;
+}
+
+/**
+ * Read the itemprop values that belong directly to an itemscope
+ * @param {Object} $ - Cheerio document
+ * @param {Object} scope - Cheerio element with itemscope
+ * @returns {Object} - Property name to value (nested scopes become objects)
+ */
+function readItemProps($, scope) {
+  const props = {};
+
+  scope.find('[itemprop]').each((i, element) => {
+    const el = $(element);
+
+    // Skip properties owned by a nested itemscope
+    const owner = el.parent().closest('[itemscope]');
+    if (!owner.length || owner[0] !== scope[0]) return;
+
+    const names = el.attr('itemprop').split(/\s+/);
+    let value;
+    if (el.is('[itemscope]')) {
+      value = readItemProps($, el);
+    } else {
+      value = el.attr('content') || el.attr('href') || el.attr('src') || el.attr('value') || el.text().trim();
+    }
+
+    for (const name of names) {
+      if (props[name] === undefined) props[name] = value;
+    }
+  });
+
+  return props;
+}
+
+/**
+ * Extract products from microdata markup
+ * @param {Object} $ - Cheerio document
+ * @returns {Array} - Normalized products
+ */
+function fromMicrodata($) {
+  const products = [];
+
+  $('[itemscope][itemtype]').each((i, element) => {
+    const scope = $(element);
+    if (!/schema\.org\/Product$/i.test(scope.attr('itemtype').trim())) return;
+
+    const props = readItemProps($, scope);
+    const offers = props.offers && typeof props.offers === 'object' ? props.offers : {};
+    const gtinKey = GTIN_KEYS.find(key => props[key]);
+
+    const product = normalizeProduct({
+      name: props.name,
+      brand: props.brand,
+      sku: props.sku || props.productID,
+      gtin: gtinKey ? props[gtinKey] : null,
+      url: props.url || offers.url,
+      image: props.image,
+      ...readOffers({
+        price: offers.price || props.price,
+        lowPrice: offers.lowPrice,
+        priceCurrency: offers.priceCurrency,
+        availability: offers.availability,
+        priceValidUntil: offers.priceValidUntil,
+        priceSpecification: offers.priceSpecification
+      })
+    }, 'microdata');
+
+    if (product) products.push(product);
+  });
+
+  return products;
+}
+
+/**
+ * Extract the page's product from Open Graph product tags
+ * @param {Object} $ - Cheerio document
+ * @returns {Array} - Zero or one normalized product
+ */
+function fromOpenGraph($) {
+  const meta = property => {
+    const value = $(`meta[property="${property}"]`).attr('content');
+    return value ? value.trim() : null;
+  };
+
+  const ogType = meta('og:type');
+  if (ogType && !/product/i.test(ogType)) return [];
+
+  const salePrice = parsePrice(meta('product:sale_price:amount'));
+  const listedPrice = parsePrice(meta('product:price:amount') || meta('og:price:amount'));
+  const originalPrice = parsePrice(meta('product:original_price:amount'));
+
+  const price = salePrice || listedPrice;
+  const regularPrice = [originalPrice, salePrice ? listedPrice : null]
+    .find(candidate => candidate && price && candidate > price) || null;
+
+  // og:availability uses "instock"/"in stock", schema.org uses "InStock"
+  const rawAvailability = meta('product:availability') || meta('og:availability');
+  let availability = null;
+  if (rawAvailability) {
+    const compact = rawAvailability.replace(/[\s_-]/g, '').toLowerCase();
+    availability = compact === 'instock' ? 'InStock'
+      : compact === 'outofstock' ? 'OutOfStock'
+        : compact === 'preorder' ? 'PreOrder'
+          : schemaValue(rawAvailability);
+  }
+
+  const product = normalizeProduct({
+    name: meta('og:title'),
+    brand: meta('product:brand') || meta('og:brand'),
+    sku: meta('product:retailer_item_id'),
+    gtin: meta('product:gtin') || meta('product:ean') || meta('product:upc') || meta('og:upc'),
+    url: meta('og:url'),
+    image: meta('og:image'),
+    price,
+    regularPrice,
+    promoEndsAt: regularPrice ? meta('product:sale_price_dates:end') : null,
+    priceCurrency: meta('product:price:currency') || meta('product:sale_price:currency') || meta('og:price:currency'),
+    availability
+  }, 'open-graph');
+
+  return product ? [product] : [];
+}
+
+/**
+ * Extract schema.org products from a page
+ * @param {string|Object} html - Page HTML or an already loaded Cheerio document
+ * @returns {Array} - Normalized products from the most reliable source present
+ */
+function extractStructuredProducts(html) {
+  const $ = typeof html === 'string' ? cheerio.load(html) : html;
+
+  for (const extract of [fromJsonLd, fromMicrodata, fromOpenGraph]) {
+    const products = extract($);
+    if (products.length > 0) return products;
+  }
+
+  return [];
+}
+
+module.exports = {
+  extractStructuredProducts,
+  fromJsonLd,
+  fromMicrodata,
+  fromOpenGraph,
+  parseDecimal,
+  parsePrice
+};
@@ -69,9 +69,18 @@ class SuperstoreScraper extends BaseScraper {
                 // Check for blocking or errors
                 if (response.data.includes('blocked') || response.data.includes('captcha')) {
                   console.log('Real Canadian Superstore returned blocking page - trying alternate URL');
+                  this.recordBlocked(url);
                   continue;
                 }
                 
+                // Prefer schema.org product data, which survives page redesigns
+                const structuredRecords = this.extractStructuredRecords($, { brand, size, limit: 1 });
+                if (structuredRecords.length > 0) {
+                  results.push(...structuredRecords);
+                  foundProducts = true;
+                  break;
+                }
+                
                 // Try multiple selectors for product items
                 const productSelectors = [
                   '.product-tile',
@@ -102,7 +111,7 @@ class SuperstoreScraper extends BaseScraper {
                     if (!title) return;
                     
                     // Skip if not relevant to diapers or not the right brand
-                    if (!title.toLowerCase().includes('diaper') || !title.toLowerCase().includes(brand.toLowerCase())) {
+                    if (!this.isDiaperProduct(title, brand)) {
                       return;
                     }
                     
@@ -119,6 +128,9 @@ class SuperstoreScraper extends BaseScraper {
                     
                     if (!price) return;
                     
+                    // Extract count (number of diapers), including multipacks
+                    const { count, countSource } = this.extractCountDetails(title);
+                    
                     // Try multiple selectors for link
                     const linkSelectors = ['a', '.product-link', '.item-link'];
                     let link = '';
@@ -150,9 +162,11 @@ class SuperstoreScraper extends BaseScraper {
                         retailer: this.name,
                         brand: brand,
                         size: size,
+                        count: count,
                         link: fullLink,
                         image: fullImageUrl,
                         inStock: true,
+                        ...this.describeProvenance(countSource),
                         lastUpdated: new Date().toISOString()
                       };
                       
@@ -165,10 +179,10 @@ class SuperstoreScraper extends BaseScraper {
                   if (foundProducts) break;
                 }
                 
-                // Add delay between requests
-                await this.delay(this.getRandomDelay(800, 1500));
-                
               } catch (error) {
+                // A missing recording means the replay fixtures are incomplete
+                if (error.code === 'REPLAY_MISS') throw error;
+                this.recordError(url, error);
                 console.error(`Error searching ${this.name} for ${searchQuery} at ${url}:`, error.message);
                 // Continue with next URL
               }
@@ -181,51 +195,12 @@ class SuperstoreScraper extends BaseScraper {
       return results;
       
     } catch (error) {
+      if (error.code === 'REPLAY_MISS') throw error;
+      this.recordError(null, error);
       console.error(`Error in ${this.name} scraper:`, error);
       return [];
     }
   }
-
-  /**
-   * Extract diaper type from product title
-   * @param {string} title - Product title
-   * @param {string} brand - Diaper brand
-   * @returns {string} - Diaper type
-   */
-  extractDiaperType(title, brand) {
-    const lowerTitle = title.toLowerCase();
-    
-    // Common diaper types by brand
-    const typeMap = {
-      'pampers': {
-        'swaddlers': 'Swaddlers',
-        'baby dry': 'Baby Dry',
-        'cruisers': 'Cruisers',
-        'pure': 'Pure'
-      },
-      'huggies': {
-        'little snugglers': 'Little Snugglers',
-        'snug & dry': 'Snug & Dry',
-        'little movers': 'Little Movers',
-        'special delivery': 'Special Delivery'
-      },
-      'presidents choice': {
-        'premium': 'Premium'
-      }
-    };
-    
-    const brandTypes = typeMap[brand.toLowerCase()];
-    if (brandTypes) {
-      for (const [typeKey, typeName] of Object.entries(brandTypes)) {
-        if (lowerTitle.includes(typeKey)) {
-          return typeName;
-        }
-      }
-    }
-    
-    // Default case if we can't determine the type
-    return 'Regular';
-  }
 }
 
 module.exports = SuperstoreScraper;
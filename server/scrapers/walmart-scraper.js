@@ -1,13 +1,22 @@
-const fs = require('fs');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 puppeteer.use(StealthPlugin());
 const ac = require('@antiadmin/anticaptchaofficial');
 const BaseScraper = require('./base-scraper');
 
+// Badge keys Walmart.ca uses for price promotions
+const PROMO_FLAG_KEYS = ['ROLLBACK', 'REDUCED_PRICE', 'CLEAR_OUT_DEALS', 'CLEARANCE'];
+
+/**
+ * Scraper for Walmart Canada
+ *
+ * Walmart.ca is a Next.js app, so every search page ships its results as
+ * JSON in the __NEXT_DATA__ script. We read that first and only fall back to
+ * schema.org structured data when it is missing.
+ */
 class WalmartScraper extends BaseScraper {
     constructor() {
-        super('Walmart');
+        super('Walmart.ca', 'https://www.walmart.ca');
         // Use environment variable for API key security
         const apiKey = process.env.ANTICAPTCHA_API_KEY;
         if (apiKey) {
@@ -15,16 +24,116 @@ class WalmartScraper extends BaseScraper {
         } else {
             console.warn('Anti-Captcha API key not found in environment variables');
         }
+        this.browser = null;
+    }
+
+    /**
+     * Build the search URL for a query
+     * @param {string} searchQuery - The search query
+     * @returns {string} - Walmart.ca search URL
+     */
+    getSearchUrl(searchQuery) {
+        return `${this.baseUrl}/en/search?${new URLSearchParams({ q: searchQuery })}`;
+    }
+
+    /**
+     * Search for diapers on Walmart.ca
+     * @param {Object} params - Search parameters
+     * @returns {Promise<Array>} - Array of diaper products
+     */
+    async searchDiapers(params = {}) {
+        const brands = params.brands || ['Pampers', 'Huggies', 'Parents Choice'];
+        const sizes = params.sizes || ['1', '2', '3', '4', '5', '6'];
+        const results = [];
+
+        try {
+            for (const brand of brands) {
+                for (const size of sizes) {
+                    const url = this.getSearchUrl(`${brand} diapers size ${size}`);
+
+                    try {
+                        console.log(`Searching Walmart.ca for: ${brand} size ${size} at ${url}`);
+                        const html = await this.fetchPage(url);
+                        const products = this.parseSearchResults(html, { brand, size, limit: 5 });
+
+                        // Pages are kept by the response cache, not written here
+                        if (products.length === 0 && !this.responseCache.isReplaying) {
+                            console.warn(`No Walmart.ca products parsed from ${url}; run with SCRAPER_CACHE_MODE=record to keep the page`);
+                        }
+
+                        console.log(`Found ${products.length} Walmart.ca products for ${brand} size ${size}`);
+                        results.push(...products);
+                    } catch (error) {
+                        // A missing recording means the replay fixtures are incomplete
+                        if (error.code === 'REPLAY_MISS') throw error;
+                        this.recordError(url, error);
+                        console.error(`Error searching Walmart.ca at ${url}:`, error.message);
+                    }
+                }
+            }
+
+            console.log(`Walmart.ca search complete. Found ${results.length} products.`);
+            return results;
+        } catch (error) {
+            if (error.code === 'REPLAY_MISS') throw error;
+            this.recordError(null, error);
+            console.error(`Error scraping ${this.name}:`, error);
+            return results;
+        } finally {
+            await this.closeBrowser();
+        }
     }
 
-        async searchDiapers(searchParams) {
-        // Note: For now, we'll use a hardcoded URL for testing, as was done previously.
-        // A future implementation should construct the URL from searchParams.
-        const url = 'https://www.walmart.ca/en/ip/huggies-little-movers-diapers-size-4-150-diapers/6000201375940';
-        let browser = null;
+    /**
+     * Get a page's HTML, from recordings in replay mode or a headless browser otherwise
+     * @param {string} url - Page URL
+     * @returns {Promise<string>} - Page HTML
+     */
+    async fetchPage(url) {
+        // Serve recorded pages without launching a browser
+        if (this.responseCache.isReplaying) {
+            console.log(`Replaying ${url} for ${this.name}`);
+            this.recordRequest(url);
+            return this.responseCache.load(url).data;
+        }
+
+        const page = await this.openPage();
         try {
-            browser = await puppeteer.launch({ 
-                headless: false,
+            console.log('Navigating to:', url);
+            await this.schedule(url, () => page.goto(url, { waitUntil: 'networkidle2' }));
+            await new Promise(resolve => setTimeout(resolve, 3000));
+
+            const pageInfo = await page.evaluate(() => {
+                return {
+                    title: document.title,
+                    hasHumanVerification: document.title.includes('Human verification'),
+                    hasPressAndHold: document.body.innerText.includes('press and hold')
+                };
+            });
+
+            if (pageInfo.hasHumanVerification || pageInfo.hasPressAndHold) {
+                this.stats.pagesBlocked++;
+                await this.solveCaptcha(page, url);
+            }
+
+            const html = await page.content();
+            if (this.responseCache.isRecording) {
+                this.responseCache.save(url, html, { source: 'puppeteer' });
+            }
+            return html;
+        } finally {
+            await page.close();
+        }
+    }
+
+    /**
+     * Open a tab in the shared headless browser, launching it on first use
+     * @returns {Promise<Object>} - Puppeteer page
+     */
+    async openPage() {
+        if (!this.browser) {
+            this.browser = await puppeteer.launch({
+                headless: true,
                 args: [
                     '--no-sandbox',
                     '--disable-setuid-sandbox',
@@ -36,123 +145,164 @@ class WalmartScraper extends BaseScraper {
                     '--disable-features=VizDisplayCompositor'
                 ]
             });
-            const page = await browser.newPage();
-            
-            // Set realistic viewport and user agent
-            await page.setViewport({ width: 1366, height: 768 });
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-            
-            // Start from homepage to establish session
+
+            // Start from the homepage to establish a session
+            const homepage = await this.browser.newPage();
+            await homepage.setUserAgent(this.getRandomUserAgent());
             console.log('Starting from Walmart homepage...');
-            await page.goto('https://www.walmart.ca/en', { waitUntil: 'networkidle2' });
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            console.log('Navigating to product page:', url);
-            await page.goto(url, { waitUntil: 'networkidle2' });
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            console.log('Page loaded successfully');
+            await this.schedule(`${this.baseUrl}/en`, () => homepage.goto(`${this.baseUrl}/en`, { waitUntil: 'networkidle2' }));
+            await homepage.close();
+        }
 
-            const pageInfo = await page.evaluate(() => {
-                return {
-                    title: document.title,
-                    bodyText: document.body.innerText.substring(0, 500),
-                    hasHumanVerification: document.title.includes('Human verification'),
-                    hasPressAndHold: document.body.innerText.includes('press and hold'),
-                    url: window.location.href
-                };
-            });
-            
-            console.log('Page info:', pageInfo);
-            const isCaptcha = pageInfo.hasHumanVerification || pageInfo.hasPressAndHold;
-
-            if (isCaptcha) {
-                console.log('CAPTCHA detected! Solving with Anti-Captcha...');
-                console.log('Using template: walmart-perimeter-x');
-
-                try {
-                    const solution = await ac.solveAntiGateTask(
-                        url,
-                        'walmart-perimeter-x', // Template created in Anti-Captcha dashboard
-                        {}
-                    );
+        const page = await this.browser.newPage();
 
-                    console.log('Anti-Captcha solution received:', JSON.stringify(solution, null, 2));
+        // Set realistic viewport and user agent
+        await page.setViewport({ width: 1366, height: 768 });
+        await page.setUserAgent(this.getRandomUserAgent());
+        return page;
+    }
 
-                    if (!solution || !solution.cookies) {
-                        await page.screenshot({ path: 'captcha_error.png' });
-                        throw new Error('Failed to get a valid solution from Anti-Captcha.');
-                    }
+    /**
+     * Close the shared browser if it was launched
+     */
+    async closeBrowser() {
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+        }
+    }
 
-                    console.log('Applying cookies and local storage...');
-                    const cookies = Object.entries(solution.cookies).map(([name, value]) => ({ name, value, url: page.url() }));
-                    await page.setCookie(...cookies);
+    /**
+     * Solve Walmart's PerimeterX challenge with Anti-Captcha and reload the page
+     * @param {Object} page - Puppeteer page showing the challenge
+     * @param {string} url - URL that was challenged
+     */
+    async solveCaptcha(page, url) {
+        console.log('CAPTCHA detected! Solving with Anti-Captcha...');
+        console.log('Using template: walmart-perimeter-x');
 
-                    await page.evaluate(localStorageData => {
-                        if (!localStorageData) return;
-                        for (const [key, value] of Object.entries(localStorageData)) {
-                            localStorage.setItem(key, value);
-                        }
-                    }, solution.localStorage);
+        try {
+            const solution = await ac.solveAntiGateTask(
+                url,
+                'walmart-perimeter-x', // Template created in Anti-Captcha dashboard
+                {}
+            );
 
-                    console.log('Reloading page with CAPTCHA solution...');
-                    await page.reload({ waitUntil: 'networkidle2' });
+            if (!solution || !solution.cookies) {
+                await page.screenshot({ path: 'captcha_error.png' });
+                throw new Error('Failed to get a valid solution from Anti-Captcha.');
+            }
 
-                    console.log('Page reloaded. Taking screenshot...');
-                    await page.screenshot({ path: 'post_captcha.png' });
-                    const pageTitle = await page.title();
-                    console.log('Page title after reload:', pageTitle);
+            console.log('Applying cookies and local storage...');
+            const cookies = Object.entries(solution.cookies).map(([name, value]) => ({ name, value, url: page.url() }));
+            await page.setCookie(...cookies);
 
-                } catch (error) {
-                    console.error('Error solving CAPTCHA with Anti-Captcha:', error);
-                    await page.screenshot({ path: 'captcha_fatal_error.png' });
-                    throw new Error('Failed to solve CAPTCHA.');
+            await page.evaluate(localStorageData => {
+                if (!localStorageData) return;
+                for (const [key, value] of Object.entries(localStorageData)) {
+                    localStorage.setItem(key, value);
                 }
-            }
+            }, solution.localStorage);
 
-            console.log('Attempting to scrape product data...');
-            const productData = await page.evaluate(() => {
-                const scriptElement = document.querySelector('script[type="application/ld+json"]');
-                if (!scriptElement) {
-                    return { error: 'Failed to find product data JSON script.' };
-                }
+            console.log('Reloading page with CAPTCHA solution...');
+            await page.reload({ waitUntil: 'networkidle2' });
+            console.log('Page title after reload:', await page.title());
+        } catch (error) {
+            console.error('Error solving CAPTCHA with Anti-Captcha:', error);
+            await page.screenshot({ path: 'captcha_fatal_error.png' });
+            throw new Error('Failed to solve CAPTCHA.');
+        }
+    }
 
-                try {
-                    const jsonData = JSON.parse(scriptElement.innerHTML);
-                    // The JSON contains an array of objects, we usually want the one of type 'Product'
-                    const productInfo = Array.isArray(jsonData) ? jsonData.find(item => item['@type'] === 'Product') : jsonData;
+    /**
+     * Read the Next.js page state embedded in a Walmart.ca page
+     * @param {string} html - Page HTML
+     * @returns {Object|null} - Parsed __NEXT_DATA__, or null when absent
+     */
+    extractNextData(html) {
+        const $ = this.loadHtml(html);
+        const script = $('script#__NEXT_DATA__').html();
+        if (!script) return null;
 
-                    if (!productInfo || !productInfo.name || !productInfo.offers) {
-                         return { error: 'Product data not found in JSON script.' };
-                    }
+        try {
+            return JSON.parse(script);
+        } catch (error) {
+            console.error('Failed to parse Walmart.ca page state:', error.message);
+            return null;
+        }
+    }
 
-                    return {
-                        title: productInfo.name,
-                        price: productInfo.offers.price,
-                        size: 'N/A',
-                        quantity: 1,
-                    };
-                } catch (e) {
-                    return { error: 'Failed to parse product data JSON.' };
-                }
-            });
+    /**
+     * Pull products out of the page state of a search or product page
+     * @param {Object} nextData - Parsed __NEXT_DATA__
+     * @returns {Array} - Products shaped like BaseScraper.extractStructuredProducts() output
+     */
+    extractPageStateProducts(nextData) {
+        const initialData = nextData && nextData.props && nextData.props.pageProps
+            ? nextData.props.pageProps.initialData || {}
+            : {};
 
-            if (productData.error) {
-                console.error(productData.error);
-                await page.screenshot({ path: 'scraper_error.png' });
-                fs.writeFileSync('scraper_error.html', await page.content());
-                throw new Error(productData.error);
-            }
+        // Search pages: searchResult.itemStacks[].items[]
+        const stacks = (initialData.searchResult && initialData.searchResult.itemStacks) || [];
+        const items = [].concat(...stacks.map(stack => stack.items || []))
+            .filter(item => item.__typename === 'Product');
 
-            return [{ ...productData, vendor: this.vendor, url }];
+        // Product pages: data.product
+        if (initialData.data && initialData.data.product) {
+            items.push(initialData.data.product);
+        }
 
-        } catch (error) {
-            console.error(`Error scraping ${this.vendor}:`, error);
-            return [];
-        } finally {
-            if (browser) {
-                await browser.close();
-            }
+        return items
+            .map(item => {
+                const priceInfo = item.priceInfo || {};
+                const price = typeof item.price === 'number'
+                    ? item.price
+                    : this.cleanPrice(
+                        (priceInfo.currentPrice && priceInfo.currentPrice.priceString) || priceInfo.linePrice
+                    );
+                const wasPrice = this.cleanPrice(
+                    (priceInfo.wasPrice && priceInfo.wasPrice.priceString) || priceInfo.wasPrice
+                );
+                const availability = (item.availabilityStatusV2 && item.availabilityStatusV2.value) ||
+                    item.availabilityStatus;
+                const categoryPath = (item.category && item.category.path) || [];
+                // e.g. "Rollback"; other flags are things like "Best seller"
+                const promoFlag = ((item.badges && item.badges.flags) || [])
+                    .find(flag => PROMO_FLAG_KEYS.includes(flag.key));
+
+                return {
+                    name: item.name,
+                    brand: item.brand || null,
+                    sku: item.usItemId || item.id,
+                    gtin: item.upc || null,
+                    url: item.canonicalUrl ? item.canonicalUrl.split('?')[0] : null,
+                    image: item.image || (item.imageInfo && item.imageInfo.thumbnailUrl) || null,
+                    // e.g. "Disposable Diapers" for titles like "Huggies Little Snugglers Plus, Size 1, 192-pack"
+                    category: categoryPath.length ? categoryPath[categoryPath.length - 1].name : null,
+                    price,
+                    regularPrice: wasPrice && wasPrice > price ? wasPrice : null,
+                    promoText: promoFlag ? promoFlag.text : null,
+                    priceCurrency: 'CAD',
+                    availability: availability || null,
+                    inStock: item.isOutOfStock === true ? false : (!availability || availability === 'IN_STOCK')
+                };
+            })
+            .filter(product => product.name && product.price);
+    }
+
+    /**
+     * Build diaper records from a Walmart.ca search or product page
+     * @param {string} html - Page HTML
+     * @param {Object} options - { brand, size, limit }
+     * @returns {Array} - Diaper records in the standard scraper shape
+     */
+    parseSearchResults(html, options = {}) {
+        const products = this.extractPageStateProducts(this.extractNextData(html));
+        if (products.length > 0) {
+            return this.buildProductRecords(products, options);
         }
+
+        return this.extractStructuredRecords(html, options);
     }
 }
 
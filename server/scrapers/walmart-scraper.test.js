@@ -9,7 +9,7 @@ describe('WalmartScraper', () => {
   });
 
   it('should fetch diaper products for a given brand and size', async () => {
-    const params = { brand: 'huggies', size: '4' };
+    const params = { brands: ['Huggies'], sizes: ['4'] };
     const results = await scraper.searchDiapers(params);
 
     console.log('Test Results:', results);
@@ -19,12 +19,12 @@ describe('WalmartScraper', () => {
 
     const product = results[0];
     expect(product).toHaveProperty('id');
-    expect(product).toHaveProperty('brand', 'huggies');
+    expect(product).toHaveProperty('brand', 'Huggies');
     expect(product).toHaveProperty('size', '4');
     expect(product).toHaveProperty('count');
     expect(product).toHaveProperty('price');
     expect(product).toHaveProperty('pricePerDiaper');
     expect(product).toHaveProperty('url');
-    expect(product).toHaveProperty('retailer', 'Walmart');
+    expect(product).toHaveProperty('retailer', 'Walmart.ca');
   }, 30000); // 30 second timeout for the test
 });
@@ -1,4 +1,5 @@
 const BaseScraper = require('./base-scraper');
+const { productIdFromUrl } = require('./product-record');
 const puppeteer = require('puppeteer');
 
 /**
@@ -7,6 +8,7 @@ const puppeteer = require('puppeteer');
 class WellScraper extends BaseScraper {
   constructor() {
     super('Well.ca', 'https://well.ca');
+    this.minRequestInterval = 5500;
     this.browser = null;
     this.browserLaunchTime = null;
     this.maxBrowserLifetime = 1000 * 60 * 30; // 30 minutes
@@ -57,6 +59,14 @@ class WellScraper extends BaseScraper {
    * @returns {Promise<Object>} - HTML content and status
    */
   async scrapeWithPuppeteer(url) {
+    // Serve recorded pages without launching a browser
+    if (this.responseCache.isReplaying) {
+      console.log(`Replaying ${url} for ${this.name}`);
+      this.recordRequest(url);
+      const { data } = this.responseCache.load(url);
+      return { html: data, success: true, blocked: false };
+    }
+    
     console.log(`Scraping ${url} with Puppeteer`);
     let page = null;
     
@@ -81,14 +91,11 @@ class WellScraper extends BaseScraper {
         'Upgrade-Insecure-Requests': '1'
       });
       
-      // Add a random delay before navigation to seem more human-like
-      await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-      
-      // Navigate to the URL with a generous timeout
-      await page.goto(url, {
+      // Navigate to the URL with a generous timeout, paced by the shared scheduler
+      await this.schedule(url, () => page.goto(url, {
         waitUntil: 'networkidle2',
         timeout: 30000
-      });
+      }));
       
       // Add some random scrolling to simulate human behavior
       await this.simulateHumanScrolling(page);
@@ -105,13 +112,23 @@ class WellScraper extends BaseScraper {
       
       if (isBlocked) {
         console.log('Detected CAPTCHA or access restriction with Puppeteer');
+        this.recordBlocked(url);
         if (page) await page.close();
         return { html: null, success: false, blocked: true };
       }
       
+      if (this.responseCache.isRecording) {
+        this.responseCache.save(url, pageContent, { source: 'puppeteer' });
+      }
+      
       return { html: pageContent, success: true, blocked: false };
     } catch (error) {
+      // The scheduler has already logged the robots.txt skip
+      if (error.code === 'ROBOTS_DISALLOWED') {
+        return { html: null, success: false, skipped: true };
+      }
       console.error(`Error with Puppeteer for ${url}:`, error.message);
+      this.recordError(url, error);
       return { html: null, success: false, error: error.message };
     } finally {
       if (page) await page.close();
@@ -244,6 +261,14 @@ class WellScraper extends BaseScraper {
                 // Parse the HTML content with cheerio
                 const $ = this.loadHtml(result.html);
                 
+                // Prefer schema.org product data, which survives page redesigns
+                const structuredRecords = this.extractStructuredRecords($, { brand, size, limit: 2 });
+                if (structuredRecords.length > 0) {
+                  results.push(...structuredRecords);
+                  foundProducts = true;
+                  break;
+                }
+                
                 // Product container selectors to try
                 const productSelectors = [
                   '.product-listing .product-grid-item',
@@ -351,16 +376,16 @@ class WellScraper extends BaseScraper {
                       productUrl = $(element).attr('href');
                     }
                     
-                    // If we found a URL, extract ID from it or use a timestamp
+                    // If we found a URL, extract ID from it
                     if (productUrl) {
-                      productId = productUrl.split('/').pop() || `well-${Date.now()}-${i}`;
+                      productId = productIdFromUrl(productUrl);
                     } else {
                       // Try to find product ID in data attributes
-                      productId = $(element).attr('data-product-id') || $(element).attr('id') || `well-${Date.now()}-${i}`;
+                      productId = $(element).attr('data-product-id') || $(element).attr('id') || null;
                     }
                     
                     // Extract count from title
-                    const count = this.extractCount(title);
+                    const { count, countSource } = this.extractCountDetails(title);
                     if (!count) {
                       console.log(`Could not find diaper count in: ${title}`);
                       return;
@@ -387,6 +412,7 @@ class WellScraper extends BaseScraper {
                       price,
                       pricePerDiaper,
                       url: fullUrl,
+                      ...this.describeProvenance(countSource),
                       lastUpdated: new Date()
                     });
                     
@@ -401,26 +427,23 @@ class WellScraper extends BaseScraper {
                 // If we found products, no need to try more URLs
                 if (foundProducts) break;
                 
-                // Add variable delay between requests
-                const delay = 4000 + Math.random() * 3000;
-                console.log(`Adding delay of ${Math.round(delay/1000)} seconds before next request`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                
               } catch (error) {
+                // A missing recording means the replay fixtures are incomplete
+                if (error.code === 'REPLAY_MISS') throw error;
+                this.recordError(url, error);
                 console.error(`Error searching Well.ca with URL ${url}:`, error.message);
                 continue; // Try the next URL
               }
             }
           }
-          
-          // Add a longer delay between different size searches
-          await new Promise(resolve => setTimeout(resolve, 5000 + Math.random() * 3000));
         }
       }
       
       console.log(`Well.ca search complete. Found ${results.length} products.`);
       return results;
     } catch (error) {
+      if (error.code === 'REPLAY_MISS') throw error;
+      this.recordError(null, error);
       console.error('Error in Well.ca scraper:', error);
       return [];
     } finally {
@@ -432,32 +455,6 @@ class WellScraper extends BaseScraper {
       }
     }
   }
-
-  /**
-   * Determine if a product is a diaper product of the specified brand
-   * @param {string} title - Product title
-   * @param {string} brand - Target brand
-   * @returns {boolean} - True if this is a diaper product of the target brand
-   */
-  isDiaperProduct(title, brand) {
-    if (!title) return false;
-    
-    const lowerTitle = title.toLowerCase();
-    const lowerBrand = brand.toLowerCase();
-    
-    // Check if title contains the brand
-    if (!lowerTitle.includes(lowerBrand)) return false;
-    
-    // Check if this is a diaper product
-    const diaperKeywords = ['diaper', 'diapers', 'nappies', 'nappy'];
-    const hasDiaperKeyword = diaperKeywords.some(keyword => lowerTitle.includes(keyword));
-    
-    // Exclude training pants, swim diapers, and wipes unless specifically searching for them
-    const excludeKeywords = ['wipes', 'swim', 'training pants', 'pull-up', 'pull up', 'pullup'];
-    const hasExcludeKeyword = excludeKeywords.some(keyword => lowerTitle.includes(keyword));
-    
-    return hasDiaperKeyword && !hasExcludeKeyword;
-  }
   
   /**
    * Clean price text and convert to float
@@ -475,82 +472,6 @@ class WellScraper extends BaseScraper {
     const price = parseFloat(cleaned);
     return isNaN(price) ? null : price;
   }
-  
-  /**
-   * Extract count of diapers from product title
-   * @param {string} title - Product title
-   * @returns {number|null} - Count of diapers in the pack
-   */
-  extractCount(title) {
-    if (!title) return null;
-    
-    // Check for common count patterns in title
-    // Look for patterns like "192 Count", "192-Count", "Count 192", "192ct", "192 ct"
-    const countPatterns = [
-      /(\d+)\s*-?\s*count/i,      // 192 Count or 192-Count
-      /count\s*-?\s*(\d+)/i,     // Count 192 or Count-192
-      /(\d+)\s*-?\s*ct\b/i,      // 192 ct or 192-ct
-      /(\d+)\s*-?\s*pieces/i,    // 192 pieces or 192-pieces
-      /(\d+)\s*-?\s*pack/i,      // 192 pack or 192-pack
-      /(\d+)\s*-?\s*nappies/i,   // 192 nappies or 192-nappies
-      /pack\s*of\s*(\d+)/i,      // Pack of 192
-      /box\s*of\s*(\d+)/i,       // Box of 192
-      /case\s*of\s*(\d+)/i       // Case of 192
-    ];
-    
-    for (const pattern of countPatterns) {
-      const match = title.match(pattern);
-      if (match && match[1]) {
-        const count = parseInt(match[1], 10);
-        if (!isNaN(count) && count > 0) {
-          return count;
-        }
-      }
-    }
-    
-    return null;
-  }
-  
-  /**
-   * Extract diaper type from product title
-   * @param {string} title - Product title
-   * @param {string} brand - Diaper brand
-   * @returns {string} - Diaper type
-   */
-  extractDiaperType(title, brand) {
-    const lowerTitle = title.toLowerCase();
-    
-    // Common diaper types by brand
-    const typeMap = {
-      'pampers': {
-        'swaddlers': 'Swaddlers',
-        'baby dry': 'Baby Dry',
-        'cruisers': 'Cruisers',
-        'pure': 'Pure'
-      },
-      'huggies': {
-        'little snugglers': 'Little Snugglers',
-        'snug & dry': 'Snug & Dry',
-        'little movers': 'Little Movers',
-        'special delivery': 'Special Delivery'
-      },
-      'seventh generation': {
-        'free & clear': 'Free & Clear'
-      }
-    };
-    
-    const brandTypes = typeMap[brand.toLowerCase()];
-    if (brandTypes) {
-      for (const [typeKey, typeName] of Object.entries(brandTypes)) {
-        if (lowerTitle.includes(typeKey)) {
-          return typeName;
-        }
-      }
-    }
-    
-    // Default case if we can't determine the type
-    return 'Regular';
-  }
 }
 
 module.exports = WellScraper;
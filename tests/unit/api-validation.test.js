@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const { spec, errorBody, validateRequest, withValidation } = require('../../server/api/validate');
+
+// Scheduled functions and the scrape they start are not part of the API
+const SCHEDULED_FUNCTIONS = ['scheduled-scrape', 'scrape-background', 'rollup-price-history'];
+
+/**
+ * Collect every $ref in the spec
+ */
+function findRefs(node, refs = []) {
+  if (node && typeof node === 'object') {
+    if (node.$ref) refs.push(node.$ref);
+    Object.values(node).forEach(child => findRefs(child, refs));
+  }
+  return refs;
+}
+
+describe('API validation', () => {
+  describe('OpenAPI document', () => {
+    test('should describe every HTTP function', () => {
+      const functions = fs.readdirSync(path.join(__dirname, '../../netlify/functions'))
+        .map(file => path.basename(file, '.js'))
+        .filter(name => !SCHEDULED_FUNCTIONS.includes(name));
+
+      expect(Object.keys(spec.paths).sort()).toEqual(functions.map(name => `/${name}`).sort());
+    });
+
+    test('should give every declared error code a title', () => {
+      for (const code of spec.components.schemas.Error.properties.code.enum) {
+        expect(errorBody(code, 'message')).toEqual({ error: expect.any(String), code, message: 'message', details: [] });
+      }
+    });
+
+    test('should only reference components that exist', () => {
+      for (const ref of findRefs(spec)) {
+        const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+        expect([ref, target]).toEqual([ref, expect.any(Object)]);
+      }
+    });
+
+    test('should be served from /api/openapi', async () => {
+      const { handler } = require('../../netlify/functions/openapi');
+
+      const response = await handler({ httpMethod: 'GET' });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body)).toEqual(spec);
+    });
+  });
+
+  describe('validateRequest', () => {
+    test('should accept valid requests and ones the spec does not describe', () => {
+      expect(validateRequest('/get-diapers', {
+        httpMethod: 'GET',
+        queryStringParameters: { brand: 'Pampers,Huggies', minPricePerDiaper: '0.25', page: '2', includeLowConfidence: 'true' }
+      })).toBeNull();
+      expect(validateRequest('/get-diapers', { queryStringParameters: null })).toBeNull();
+      expect(validateRequest('/admin-quarantine', { httpMethod: 'DELETE' })).toBeNull();
+    });
+
+    test.each([
+      ['/get-diaper', {}, 'id', 'MISSING_PARAMETER', 'id is required'],
+      ['/get-diaper', { id: '1.5' }, 'id', 'INVALID_TYPE', 'id must be a positive integer'],
+      ['/get-price-history', { id: '12', days: '400' }, 'days', 'OUT_OF_RANGE', 'days must be an integer between 1 and 366'],
+      ['/get-price-history', { id: '12', from: 'July 1' }, 'from', 'INVALID_VALUE', 'from must be a date in YYYY-MM-DD format'],
+      ['/get-diapers', { sortOrder: 'ASC; DROP TABLE diapers' }, 'sortOrder', 'INVALID_VALUE', 'sortOrder must be one of asc, desc'],
+      ['/get-diapers', { maxPricePerDiaper: '-0.1' }, 'maxPricePerDiaper', 'OUT_OF_RANGE', 'maxPricePerDiaper must be a non-negative number'],
+      ['/get-diapers', { includeLowConfidence: 'yes' }, 'includeLowConfidence', 'INVALID_TYPE', 'includeLowConfidence must be true or false'],
+      ['/get-facets', { size: `3,${'4'.repeat(11)}` }, 'size', 'OUT_OF_RANGE', 'size must be at most 10 characters']
+    ])('should reject %s with %p', (requestPath, params, name, code, message) => {
+      expect(validateRequest(requestPath, { httpMethod: 'GET', queryStringParameters: params })).toEqual({
+        error: 'Invalid request',
+        code: 'INVALID_REQUEST',
+        message,
+        details: [{ in: 'query', name, code, message }]
+      });
+    });
+
+    test('should check every value of a repeated parameter and report every bad parameter', () => {
+      const error = validateRequest('/get-diapers', {
+        httpMethod: 'GET',
+        queryStringParameters: { retailer: 'Walmart.ca', limit: '0' },
+        multiValueQueryStringParameters: { retailer: ['Walmart.ca', 'x'.repeat(101)], limit: ['0'] }
+      });
+
+      expect(error.details.map(detail => [detail.name, detail.code])).toEqual([
+        ['retailer', 'OUT_OF_RANGE'],
+        ['limit', 'OUT_OF_RANGE']
+      ]);
+    });
+
+    test('should check JSON bodies with their JSON types', () => {
+      const post = body => validateRequest('/admin-quarantine', { httpMethod: 'POST', body });
+
+      expect(post('{ "id": 3, "action": "release" }')).toBeNull();
+      expect(post('id=3')).toMatchObject({ error: 'Invalid request', code: 'INVALID_BODY', message: 'Body must be JSON' });
+      expect(post('{ "id": "3" }').details).toEqual([
+        { in: 'body', name: 'id', code: 'INVALID_TYPE', message: 'id must be a positive integer' },
+        { in: 'body', name: 'action', code: 'MISSING_PARAMETER', message: 'action is required' }
+      ]);
+    });
+  });
+
+  test('withValidation should answer invalid requests without calling the handler', async () => {
+    const handler = jest.fn().mockResolvedValue({ statusCode: 200 });
+    const headers = { 'Content-Type': 'application/json' };
+    const validated = withValidation('/get-diaper', headers, handler);
+
+    const response = await validated({ httpMethod: 'GET', queryStringParameters: { id: 'abc' } });
+
+    expect(response).toMatchObject({ statusCode: 400, headers });
+    expect(JSON.parse(response.body).details[0]).toMatchObject({ name: 'id', code: 'INVALID_TYPE' });
+    expect(handler).not.toHaveBeenCalled();
+
+    await validated({ httpMethod: 'GET', queryStringParameters: { id: '12' } }, { functionName: 'get-diaper' });
+    expect(handler).toHaveBeenCalledWith({ httpMethod: 'GET', queryStringParameters: { id: '12' } }, { functionName: 'get-diaper' });
+  });
+});
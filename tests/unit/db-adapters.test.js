@@ -0,0 +1,103 @@
+jest.mock('@netlify/neon', () => ({ neon: jest.fn() }), { virtual: true });
+jest.mock('pg', () => ({ Pool: jest.fn() }), { virtual: true });
+
+const { neon } = require('@netlify/neon');
+const { Pool } = require('pg');
+const { createAdapter } = require('../../database/adapters');
+const DatabaseService = require('../../database/db-service');
+
+/**
+ * Fake pg pool whose client records every query
+ */
+function createPool({ failOn } = {}) {
+  const client = {
+    query: jest.fn(async query => {
+      if (failOn && query.includes(failOn)) throw new Error('duplicate key');
+      return { rows: [{ query }] };
+    }),
+    release: jest.fn()
+  };
+  return {
+    client,
+    query: jest.fn(async () => ({ rows: [{ id: 1 }] })),
+    connect: jest.fn(async () => client),
+    end: jest.fn()
+  };
+}
+
+describe('Database adapters', () => {
+  describe('createAdapter', () => {
+    test('should use Neon when its URL is set', () => {
+      neon.mockReturnValue(jest.fn());
+
+      expect(createAdapter({ NETLIFY_DATABASE_URL: 'postgres://neon/db' }).adapterName).toBe('Netlify Neon');
+      expect(neon).toHaveBeenCalledWith('postgres://neon/db');
+    });
+
+    test('should use plain Postgres for DATABASE_URL', () => {
+      Pool.mockImplementation(() => createPool());
+
+      expect(createAdapter({ DATABASE_URL: 'postgres://localhost/diapers' }).adapterName).toBe('Postgres');
+      expect(Pool).toHaveBeenCalledWith({ connectionString: 'postgres://localhost/diapers', max: 5 });
+    });
+
+    test.each([
+      [{}, 'Database URL not found in environment variables (set DATABASE_URL)'],
+      [{ DB_ADAPTER: 'neon' }, 'Database URL not found in environment variables (set NETLIFY_DATABASE_URL)'],
+      [{ DB_ADAPTER: 'sqlite' }, 'Unknown DB_ADAPTER "sqlite". Use neon or pg.']
+    ])('should explain a bad configuration %p', (env, message) => {
+      expect(() => createAdapter(env)).toThrow(message);
+    });
+  });
+
+  describe('pg adapter', () => {
+    test('should resolve queries to rows', async () => {
+      const pool = createPool();
+      Pool.mockImplementation(() => pool);
+      const sql = createAdapter({ DATABASE_URL: 'postgres://localhost/diapers' });
+
+      expect(await sql('SELECT id FROM diapers WHERE id = $1', [1])).toEqual([{ id: 1 }]);
+      expect(pool.query).toHaveBeenCalledWith('SELECT id FROM diapers WHERE id = $1', [1]);
+    });
+
+    test('should commit a transaction and return rows per query', async () => {
+      const pool = createPool();
+      Pool.mockImplementation(() => pool);
+      const sql = createAdapter({ DATABASE_URL: 'postgres://localhost/diapers' });
+
+      const results = await sql.transaction([['INSERT a'], ['INSERT b', [2]]]);
+
+      expect(results).toEqual([[{ query: 'INSERT a' }], [{ query: 'INSERT b' }]]);
+      expect(pool.client.query.mock.calls.map(([query]) => query)).toEqual(['BEGIN', 'INSERT a', 'INSERT b', 'COMMIT']);
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    test('should roll back when a query fails', async () => {
+      const pool = createPool({ failOn: 'INSERT b' });
+      Pool.mockImplementation(() => pool);
+      const sql = createAdapter({ DATABASE_URL: 'postgres://localhost/diapers' });
+
+      await expect(sql.transaction([['INSERT a'], ['INSERT b']])).rejects.toThrow('duplicate key');
+      expect(pool.client.query.mock.calls.map(([query]) => query)).toEqual(['BEGIN', 'INSERT a', 'INSERT b', 'ROLLBACK']);
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('DatabaseService', () => {
+    test('should not connect until the first query', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Functions can be required without a database configured
+      expect(() => require('../../netlify/functions/get-diapers')).not.toThrow();
+      await expect(new DatabaseService().getBrands()).rejects.toThrow('Database URL not found');
+
+      console.error.mockRestore();
+    });
+
+    test('should accept an injected adapter', async () => {
+      const sql = jest.fn().mockResolvedValue([{ brand: 'Huggies' }, { brand: 'Pampers' }]);
+
+      expect(await new DatabaseService({ adapter: sql }).getBrands()).toEqual(['Huggies', 'Pampers']);
+    });
+  });
+});
@@ -0,0 +1,354 @@
+const DatabaseService = require('../../database/db-service');
+
+const diaper = {
+  id: '123',
+  brand: 'Pampers',
+  type: 'Cruisers',
+  size: '4',
+  count: 168,
+  retailer: 'Shoppers Drug Mart',
+  price: 64.99,
+  pricePerDiaper: 0.3868,
+  url: 'https://www.shoppersdrugmart.ca/pampers-cruisers/p/123',
+  inStock: true
+};
+
+describe('DatabaseService', () => {
+  let sql;
+  let db;
+
+  beforeEach(() => {
+    // Adapter-level client: sql.transaction takes [query, params] pairs
+    sql = jest.fn();
+    sql.transaction = jest.fn();
+    db = new DatabaseService({ adapter: sql });
+  });
+
+  describe('batch upsert', () => {
+    test('should write diapers and history in one statement inside a transaction', async () => {
+      sql.transaction.mockResolvedValue([[{ ord: 0, id: 5, outcome: 'updated', history_reason: 'change' }]]);
+
+      const result = await db.upsertDiaper(diaper);
+
+      expect(sql).not.toHaveBeenCalled();
+      const [[[query, params]]] = sql.transaction.mock.calls[0];
+      expect(query).toMatch(/INSERT INTO diapers[\s\S]*INSERT INTO price_history/);
+      expect(query).toContain('l.in_stock IS DISTINCT FROM u.in_stock');
+      expect(JSON.parse(params[0])).toEqual([
+        expect.objectContaining({ ord: 0, retailer_product_id: '123', price_per_diaper: 0.3868, in_stock: true })
+      ]);
+      // Heartbeat interval in hours
+      expect(params[1]).toBe(24);
+      expect(result).toEqual({ ord: 0, id: 5, outcome: 'updated', history_reason: 'change' });
+    });
+
+    test('should return outcomes in input order and keep the last copy of a duplicate', async () => {
+      const batch = [diaper, { ...diaper, id: '124' }, { ...diaper, price: 59.99 }];
+      sql.transaction.mockResolvedValue([[
+        { ord: 1, id: 6, outcome: 'unchanged', history_reason: null },
+        { ord: 2, id: 5, outcome: 'inserted', history_reason: 'initial' }
+      ]]);
+
+      const results = await db.batchUpsertDiapers(batch);
+
+      const rows = JSON.parse(sql.transaction.mock.calls[0][0][0][1][0]);
+      expect(rows.map(row => row.ord)).toEqual([1, 2]);
+      expect(results.map(r => r.outcome)).toEqual(['duplicate', 'unchanged', 'inserted']);
+      expect(console.log).toHaveBeenCalledWith(
+        'Completed batch upsert of 3 diapers: 1 inserted, 0 updated, 1 unchanged (1 price history rows)'
+      );
+    });
+
+    test('should split large batches into chunks within the same transaction', async () => {
+      const batch = Array.from({ length: 1200 }, (_, i) => ({ ...diaper, id: String(i) }));
+      sql.transaction.mockResolvedValue([[], [], []]);
+
+      await db.batchUpsertDiapers(batch);
+
+      expect(sql.transaction).toHaveBeenCalledTimes(1);
+      expect(sql.transaction.mock.calls[0][0].map(([, params]) => JSON.parse(params[0]).length)).toEqual([500, 500, 200]);
+    });
+
+    test('should store sale prices and promotions with the offer and its history', async () => {
+      sql.transaction.mockResolvedValue([[{ ord: 0, id: 5, outcome: 'updated', history_reason: 'change' }]]);
+
+      await db.upsertDiaper({
+        ...diaper,
+        regularPrice: 74.99,
+        salePrice: 64.99,
+        promoText: 'Rollback',
+        promoEndsAt: new Date('2025-08-31T04:00:00Z')
+      });
+
+      const [[[query, params]]] = sql.transaction.mock.calls[0];
+      expect(query).toMatch(/INSERT INTO price_history \(diaper_id, price, price_per_diaper, in_stock,\s+regular_price, sale_price, promo_text, promo_ends_at/);
+      expect(query).toContain('l.promo_text IS DISTINCT FROM u.promo_text');
+      expect(JSON.parse(params[0])[0]).toMatchObject({
+        regular_price: 74.99,
+        sale_price: 64.99,
+        promo_text: 'Rollback',
+        promo_ends_at: '2025-08-31T04:00:00.000Z'
+      });
+    });
+
+    test('should not trust records without provenance', async () => {
+      sql.transaction.mockResolvedValue([[]]);
+
+      await db.batchUpsertDiapers([diaper, { ...diaper, count: 84, countSource: 'pattern' }]);
+
+      const rows = JSON.parse(sql.transaction.mock.calls[0][0][0][1][0]);
+      expect(rows.map(row => row.confidence)).toEqual([0, 0.95]);
+    });
+
+    test('should key offers on product id and pack count', async () => {
+      sql.transaction.mockResolvedValue([[
+        { ord: 0, id: 5, outcome: 'unchanged', history_reason: null },
+        { ord: 1, id: 6, outcome: 'inserted', history_reason: 'initial' }
+      ]]);
+
+      // Same product line, two pack sizes
+      const results = await db.batchUpsertDiapers([diaper, { ...diaper, count: 84, price: 32.99, pricePerDiaper: 0.3927 }]);
+
+      const [[[query, params]]] = sql.transaction.mock.calls[0];
+      expect(query).toContain('ON CONFLICT (retailer, retailer_product_id, count)');
+      expect(JSON.parse(params[0]).map(row => row.count)).toEqual([168, 84]);
+      expect(results.map(r => r.outcome)).toEqual(['unchanged', 'inserted']);
+    });
+
+    test('should refuse offers without a retailer product id', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(db.batchUpsertDiapers([{ ...diaper, id: undefined }]))
+        .rejects.toThrow('Shoppers Drug Mart offer Pampers Cruisers has no retailer product id');
+      expect(sql.transaction).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    test('should rethrow when the transaction rolls back', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      sql.transaction.mockRejectedValue(new Error('deadlock detected'));
+
+      await expect(db.batchUpsertDiapers([diaper])).rejects.toThrow('deadlock detected');
+      consoleError.mockRestore();
+    });
+
+    test('should not touch the database for an empty batch', async () => {
+      expect(await db.batchUpsertDiapers([])).toEqual([]);
+      expect(sql.transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diaper listing', () => {
+    test('should filter on lists of values and a price per diaper range', async () => {
+      sql.transaction.mockResolvedValue([[{ total: 2 }], [{ id: 7, price_per_diaper: '0.2500' }]]);
+
+      const page = await db.getDiaperPage(
+        { brands: ['Pampers', 'Huggies'], sizes: ['4'], minPricePerDiaper: 0.2, maxPricePerDiaper: 0.3, minConfidence: 0.7 },
+        { page: 2, limit: 10 }
+      );
+
+      const [[countQuery, countParams], [pageQuery, pageParams]] = sql.transaction.mock.calls[0][0];
+      expect(countQuery).toContain('in_stock = $1 AND confidence >= $2 AND brand = ANY($3) AND size = ANY($4)');
+      expect(countParams).toEqual([true, 0.7, ['Pampers', 'Huggies'], ['4'], 0.2, 0.3]);
+      expect(pageQuery).toContain('ORDER BY price_per_diaper ASC, id ASC');
+      // Peer confidence, one extra row to detect a next page, offset
+      expect(pageParams.slice(-3)).toEqual([0, 11, 10]);
+      expect(page).toEqual({ rows: [{ id: 7, price_per_diaper: '0.2500' }], total: 2, next: null });
+    });
+
+    test('should continue after a cursor and return the next one', async () => {
+      const rows = [
+        { id: 3, brand: 'Pampers', sort_key: 'Pampers' },
+        { id: 8, brand: 'Kirkland', sort_key: 'Kirkland' },
+        { id: 2, brand: 'Huggies', sort_key: 'Huggies' }
+      ];
+      sql.transaction.mockResolvedValue([[{ total: 9 }], rows]);
+
+      const page = await db.getDiaperPage(
+        { inStock: null },
+        { sortBy: 'brand', sortOrder: 'desc', limit: 2, cursor: { value: 'Seventh Generation', id: 5 } }
+      );
+
+      const [[countQuery], [pageQuery, pageParams]] = sql.transaction.mock.calls[0][0];
+      expect(countQuery).not.toContain('in_stock');
+      expect(pageQuery).toContain('(brand, id) < ($1::text, $2::integer)');
+      expect(pageQuery).toContain('ORDER BY brand DESC, id DESC');
+      expect(pageParams).toEqual(['Seventh Generation', 5, 0, 3, 0]);
+      expect(page).toEqual({ rows: rows.slice(0, 2), total: 9, next: { value: 'Kirkland', id: 8 } });
+    });
+
+    test('should page through rows updated in the same millisecond', async () => {
+      // One batch upsert stamps every row with the same CURRENT_TIMESTAMP
+      const updatedAt = '2025-07-31 12:00:00.123456+00';
+      const rows = [4, 5, 6].map(id => ({ id, updated_at: new Date('2025-07-31T12:00:00.123Z'), sort_key: updatedAt }));
+      sql.transaction
+        .mockResolvedValueOnce([[{ total: 3 }], rows])
+        .mockResolvedValueOnce([[{ total: 3 }], rows.slice(2)]);
+
+      const first = await db.getDiaperPage({}, { sortBy: 'updated', limit: 2 });
+      const second = await db.getDiaperPage({}, { sortBy: 'updated', limit: 2, cursor: first.next });
+
+      expect(first.next).toEqual({ value: updatedAt, id: 5 });
+      const [, [pageQuery, pageParams]] = sql.transaction.mock.calls[1][0];
+      expect(pageQuery).toContain('updated_at::text AS sort_key');
+      expect(pageQuery).toContain('(updated_at, id) > ($2::timestamptz, $3::integer)');
+      expect(pageParams.slice(1, 3)).toEqual([updatedAt, 5]);
+      expect(second).toEqual({ rows: rows.slice(2), total: 3, next: null });
+    });
+
+    test('should count each facet without its own filter', async () => {
+      const brands = [{ value: 'Huggies', count: 2 }, { value: 'Pampers', count: 3 }];
+      const sizes = [{ value: 'N', count: 0 }, { value: '4', count: 3 }];
+      const retailers = [{ value: 'Walmart.ca', count: 3 }];
+      sql.transaction.mockResolvedValue([brands, sizes, retailers, [{ total: 3 }]]);
+
+      const facets = await db.getFacets({ brands: ['Pampers'], sizes: ['4'] });
+
+      const [[brandQuery, brandParams], [sizeQuery, sizeParams], , [totalQuery, totalParams]] = sql.transaction.mock.calls[0][0];
+      expect(brandQuery).toContain('GROUP BY brand');
+      expect(brandParams).toEqual([true, ['4']]);
+      expect(sizeQuery).toContain("ORDER BY CASE WHEN size ~ '^[0-9]+$' THEN size::integer ELSE -1 END, size");
+      expect(sizeParams).toEqual([true, ['Pampers']]);
+      expect(totalQuery).toContain('brand = ANY($2) AND size = ANY($3)');
+      expect(totalParams).toEqual([true, ['Pampers'], ['4']]);
+      expect(facets).toEqual({ brands, sizes, retailers, total: 3 });
+    });
+
+    test('should never put the sort order into SQL as given', async () => {
+      sql.mockResolvedValue([]);
+
+      await db.getAllDiapers({ brand: 'Pampers', sortBy: 'price', sortOrder: 'desc; DROP TABLE diapers' });
+
+      const [query, params] = sql.mock.calls[0];
+      expect(query).toContain('ORDER BY price ASC, id ASC');
+      expect(params).toEqual([true, ['Pampers']]);
+    });
+
+    test('should fingerprint the catalog including reconciled offers', async () => {
+      sql.mockResolvedValue([{ last_modified: '2025-07-31T12:00:00.000Z', offers: 5, missed_runs: 2 }]);
+
+      const version = await db.getCatalogVersion();
+
+      expect(sql.mock.calls[0][0]).toContain('SUM(missed_runs)');
+      expect(version).toEqual({ last_modified: '2025-07-31T12:00:00.000Z', offers: 5, missed_runs: 2 });
+    });
+  });
+
+  describe('offer reconciliation', () => {
+    test('should count a missed run for offers the retailer did not return', async () => {
+      sql.mockResolvedValue([{ missed: 3, marked_unavailable: 1, archived: 0 }]);
+
+      const result = await db.reconcileRetailerOffers('Walmart', [4, 7], { unavailableAfter: 3, archiveAfter: 10 });
+
+      const [query, params] = sql.mock.calls[0];
+      expect(query).toContain('NOT (id = ANY($2::int[]))');
+      expect(query).toMatch(/INSERT INTO price_history/);
+      expect(params).toEqual(['Walmart', [4, 7], 3, 10]);
+      expect(result).toEqual({ missed: 3, marked_unavailable: 1, archived: 0 });
+    });
+  });
+
+  describe('scrape jobs', () => {
+    test('should claim a job under a lock and only when no other run holds the slot', async () => {
+      sql.transaction.mockResolvedValue([[{}], [{ id: 8, started_at: '2025-08-01T12:00:00.000Z' }]]);
+
+      const job = await db.claimScrapeJob({ brands: ['Pampers'] }, { runningMs: 7200000, intervalMs: 42300000 });
+
+      const [[lockQuery], [insertQuery, insertParams]] = sql.transaction.mock.calls[0][0];
+      expect(lockQuery).toContain('pg_advisory_xact_lock');
+      expect(insertQuery).toMatch(/INSERT INTO scrape_jobs[\s\S]*WHERE NOT EXISTS/);
+      expect(insertParams).toEqual(['{"brands":["Pampers"]}', 7200000, 42300000]);
+      expect(job).toEqual({ id: 8, started_at: '2025-08-01T12:00:00.000Z' });
+    });
+
+    test('should return null when another run holds the slot', async () => {
+      sql.transaction.mockResolvedValue([[{}], []]);
+
+      expect(await db.claimScrapeJob({}, { runningMs: 7200000, intervalMs: 42300000 })).toBeNull();
+    });
+  });
+
+  describe('price history rollups', () => {
+    test('should move old raw rows into daily rows in one statement', async () => {
+      sql.mockResolvedValue([{ raw_rows: 48, days: 2 }]);
+
+      const result = await db.rollupPriceHistory('2025-05-04');
+
+      const [query, params] = sql.mock.calls[0];
+      expect(query).toMatch(/DELETE FROM price_history[\s\S]*INSERT INTO price_history_daily[\s\S]*ON CONFLICT \(diaper_id, day\)/);
+      // Each diaper's latest row stays raw for change detection
+      expect(query).toContain('newer.recorded_at > ph.recorded_at');
+      expect(query).toMatch(/RETURNING[^)]*ph\.promo_text/);
+      expect(query).toContain('close_promo_text = CASE WHEN EXCLUDED.close_recorded_at >= pd.close_recorded_at');
+      expect(params).toEqual(['2025-05-04']);
+      expect(result).toEqual({ raw_rows: 48, days: 2 });
+    });
+
+    test('should read raw rows and rollups together', async () => {
+      sql.mockResolvedValue([]);
+
+      await db.getDailyPriceHistory(12, '2025-01-01', '2025-07-31');
+
+      const [query, params] = sql.mock.calls[0];
+      expect(query).toMatch(/FROM price_history\b[\s\S]*FROM price_history_daily[\s\S]*UNION ALL/);
+      expect(query).toContain('close_regular_price, close_sale_price, close_promo_text, close_promo_ends_at');
+      expect(params).toEqual([12, '2025-01-01', '2025-07-31']);
+    });
+  });
+
+  describe('price quarantine', () => {
+    test('should publish a released record in the statement that claims it', async () => {
+      const record = { ...diaper, lastUpdated: '2025-08-01T12:00:00.000Z' };
+      sql.mockResolvedValueOnce([{ id: 3, record, created_at: '2025-08-01T12:00:05.000Z' }])
+        .mockResolvedValueOnce([{ quarantine_id: 3, ord: 0, id: 5, outcome: 'updated', history_reason: 'change' }]);
+
+      const released = await db.releaseQuarantinedRecord(3);
+
+      const [query, params] = sql.mock.calls[1];
+      expect(query).toMatch(/WITH claimed AS \(\s*UPDATE price_quarantine\s*SET status = 'released'/);
+      expect(query).toContain('WHERE EXISTS (SELECT 1 FROM claimed)');
+      expect(query).toContain('d.last_scraped > $4::timestamptz');
+      expect(query).toContain('INSERT INTO diapers');
+      expect(JSON.parse(params[0])).toEqual([expect.objectContaining({ ord: 0, retailer_product_id: '123' })]);
+      expect(params.slice(2)).toEqual([3, '2025-08-01T12:00:00.000Z']);
+      expect(sql.transaction).not.toHaveBeenCalled();
+      expect(released).toEqual({ id: 3, result: { ord: 0, id: 5, outcome: 'updated', history_reason: 'change' } });
+    });
+
+    test('should not publish when a concurrent release claimed the record first', async () => {
+      sql.mockResolvedValueOnce([{ id: 3, record: diaper, created_at: '2025-08-01T12:00:05.000Z' }])
+        .mockResolvedValueOnce([]);
+
+      expect(await db.releaseQuarantinedRecord(3)).toBeNull();
+      // Without a claimed row the upsert's input is empty
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(sql.mock.calls[1][1][3]).toBe('2025-08-01T12:00:05.000Z');
+    });
+
+    test('should not overwrite an offer scraped after the record', async () => {
+      sql.mockResolvedValueOnce([{ id: 3, record: diaper, created_at: '2025-08-01T12:00:05.000Z' }])
+        .mockResolvedValueOnce([{ quarantine_id: 3, ord: null, id: null, outcome: null, history_reason: null }]);
+
+      expect(await db.releaseQuarantinedRecord(3)).toEqual({ id: 3, result: null });
+    });
+
+    test('should leave the record pending when publishing fails', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      sql.mockResolvedValueOnce([{ id: 3, record: diaper, created_at: '2025-08-01T12:00:05.000Z' }])
+        .mockRejectedValueOnce(new Error('deadlock detected'));
+
+      await expect(db.releaseQuarantinedRecord(3)).rejects.toThrow('deadlock detected');
+
+      // The claim rolled back with the upsert, so there is nothing to undo
+      expect(sql).toHaveBeenCalledTimes(2);
+      consoleError.mockRestore();
+    });
+
+    test('should return null when releasing a record that is not pending', async () => {
+      sql.mockResolvedValue([]);
+
+      expect(await db.releaseQuarantinedRecord(3)).toBeNull();
+      expect(sql.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
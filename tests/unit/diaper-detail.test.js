@@ -0,0 +1,101 @@
+jest.mock('../../database/db-service.js', () => jest.fn());
+
+const DatabaseService = require('../../database/db-service.js');
+
+/**
+ * Build a diapers row as the database returns it
+ */
+function offer(id, retailer, count, price, overrides = {}) {
+  return {
+    id,
+    brand: 'Pampers',
+    type: 'Cruisers',
+    size: '4',
+    count,
+    retailer,
+    retailer_product_id: `sku-${id}`,
+    price: price.toFixed(2),
+    price_per_diaper: (price / count).toFixed(4),
+    regular_price: null,
+    sale_price: null,
+    promo_text: null,
+    promo_ends_at: null,
+    url: `https://example.ca/p/${id}`,
+    in_stock: true,
+    confidence: '0.95',
+    last_seen: '2025-08-01T12:00:00.000Z',
+    missed_runs: 0,
+    archived_at: null,
+    ...overrides
+  };
+}
+
+describe('get-diaper function', () => {
+  let db;
+  let handler;
+
+  beforeEach(() => {
+    db = {
+      getCatalogVersion: jest.fn().mockResolvedValue({ last_modified: '2025-07-31T12:00:00.000Z', offers: 5, missed_runs: 0 }),
+      getDiaperById: jest.fn().mockResolvedValue(offer(12, 'Walmart.ca', 168, 64.99)),
+      getProductOffers: jest.fn().mockResolvedValue([
+        offer(30, 'Costco Canada', 216, 69.99),
+        // Cheaper, but the count was guessed
+        offer(31, 'Amazon.ca', 240, 59.99, { confidence: '0.5' }),
+        offer(12, 'Walmart.ca', 168, 64.99, { regular_price: '74.99', sale_price: '64.99', promo_text: 'Rollback' }),
+        offer(33, 'Well.ca', 264, 69.99, { in_stock: false })
+      ]),
+      getDailyPriceHistory: jest.fn().mockResolvedValue([{
+        day: '2025-07-31',
+        min_price: '64.99',
+        max_price: '74.99',
+        avg_price: '69.99',
+        close_price: '64.99',
+        min_price_per_diaper: '0.3868',
+        max_price_per_diaper: '0.4464',
+        avg_price_per_diaper: '0.4166',
+        close_price_per_diaper: '0.3868',
+        in_stock: true,
+        samples: '2'
+      }])
+    };
+    DatabaseService.mockImplementation(() => db);
+    jest.isolateModules(() => {
+      ({ handler } = require('../../netlify/functions/get-diaper'));
+    });
+  });
+
+  test('should return the diaper, every offer for its product line and a history summary', async () => {
+    const response = await handler({ queryStringParameters: { id: '12', days: '7' } });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(db.getProductOffers).toHaveBeenCalledWith('Pampers', 'Cruisers', '4');
+    expect(body.diaper).toMatchObject({ id: 12, retailerProductId: 'sku-12', pricePerDiaper: 0.3868, archived: false });
+    expect(body.offers.map(o => [o.id, o.retailer, o.inStock])).toEqual([
+      [30, 'Costco Canada', true],
+      [31, 'Amazon.ca', true],
+      [12, 'Walmart.ca', true],
+      [33, 'Well.ca', false]
+    ]);
+    expect(body.offers[2]).toMatchObject({ regularPrice: 74.99, onSale: true, promoText: 'Rollback', lastSeen: '2025-08-01T12:00:00.000Z' });
+    expect(body.bestOfferId).toBe(30);
+    expect(body.history).toMatchObject({ days: 1, lowestPrice: 64.99, lowestPricePerDiaper: 0.3868, lowestPricePerDiaperDate: '2025-07-31' });
+  });
+
+  test('should reject a bad id before querying', async () => {
+    const response = await handler({ queryStringParameters: { id: 'pampers' } });
+
+    expect(response.statusCode).toBe(400);
+    expect(db.getDiaperById).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 for an unknown diaper', async () => {
+    db.getDiaperById.mockResolvedValue(null);
+
+    const response = await handler({ queryStringParameters: { id: '99' } });
+
+    expect(response.statusCode).toBe(404);
+    expect(db.getProductOffers).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,240 @@
+jest.mock('../../database/db-service.js', () => jest.fn());
+
+const DatabaseService = require('../../database/db-service.js');
+const { encodeCursor, decodeCursor, parseDiaperFilters, parseDiaperRequest } = require('../../server/catalog/diaper-query');
+
+/**
+ * Build a diaper row as the database returns it
+ */
+function row(id, pricePerDiaper, overrides = {}) {
+  return {
+    id,
+    brand: 'Pampers',
+    type: 'Cruisers',
+    size: '4',
+    count: 168,
+    retailer: 'Walmart.ca',
+    price: '64.99',
+    price_per_diaper: pricePerDiaper,
+    regular_price: null,
+    sale_price: null,
+    confidence: '0.95',
+    peer_avg_price_per_diaper: null,
+    ...overrides
+  };
+}
+
+describe('Diaper listing query', () => {
+  describe('parseDiaperRequest', () => {
+    test('should default to in-stock offers by price per diaper, first page', () => {
+      expect(parseDiaperRequest({})).toEqual({
+        filters: {
+          brands: [],
+          sizes: [],
+          retailers: [],
+          minPricePerDiaper: null,
+          maxPricePerDiaper: null,
+          inStock: true,
+          includeLowConfidence: false
+        },
+        sortBy: 'pricePerDiaper',
+        sortOrder: 'asc',
+        page: 1,
+        limit: 24,
+        cursor: null
+      });
+    });
+
+    test('should read comma-separated and repeated filter values', () => {
+      const request = parseDiaperRequest(
+        { brand: 'Huggies', size: '3, 4,3', retailer: 'all' },
+        { brand: ['Pampers,Huggies', 'Kirkland'] }
+      );
+
+      expect(request.filters).toMatchObject({
+        brands: ['Pampers', 'Huggies', 'Kirkland'],
+        sizes: ['3', '4'],
+        retailers: []
+      });
+    });
+
+    test('should read a price per diaper range, stock filter and paging', () => {
+      const request = parseDiaperRequest({
+        minPricePerDiaper: '0.2',
+        maxPricePerDiaper: '0.35',
+        inStock: 'all',
+        sortBy: 'price',
+        sortOrder: 'DESC',
+        page: '3',
+        limit: '50'
+      });
+
+      expect(request).toMatchObject({
+        filters: { minPricePerDiaper: 0.2, maxPricePerDiaper: 0.35, inStock: null },
+        sortBy: 'price',
+        sortOrder: 'desc',
+        page: 3,
+        limit: 50
+      });
+    });
+
+    test.each([
+      [{ minPricePerDiaper: 'cheap' }, 'minPricePerDiaper must be a non-negative number'],
+      [{ maxPricePerDiaper: '-1' }, 'maxPricePerDiaper must be a non-negative number'],
+      [{ minPricePerDiaper: '0.4', maxPricePerDiaper: '0.3' }, 'minPricePerDiaper must not be above maxPricePerDiaper'],
+      [{ inStock: 'yes' }, 'inStock must be true, false or all'],
+      [{ inStock: 'constructor' }, 'inStock must be true, false or all'],
+      [{ sortBy: 'price_per_diaper; DROP TABLE diapers' }, 'sortBy must be one of pricePerDiaper, price, count, brand, updated'],
+      [{ sortOrder: 'asc, id' }, 'sortOrder must be asc or desc'],
+      [{ page: '0' }, 'page must be a positive integer'],
+      [{ limit: '101' }, 'limit must be an integer between 1 and 100'],
+      [{ cursor: 'not-a-cursor' }, 'cursor is malformed'],
+      [{ cursor: encodeCursor({ sortBy: 'price', sortOrder: 'asc', value: '9.99', id: 4 }) },
+        'cursor was issued for a different sortBy or sortOrder']
+    ])('should reject %p', (params, error) => {
+      expect(parseDiaperRequest(params)).toEqual({ error });
+    });
+
+    test('should parse filters alone for the facets request', () => {
+      expect(parseDiaperFilters({ retailer: 'Walmart.ca', includeLowConfidence: 'true', page: 'ignored' }))
+        .toEqual({ filters: expect.objectContaining({ retailers: ['Walmart.ca'], includeLowConfidence: true }) });
+    });
+
+    test('should round-trip cursors', () => {
+      const position = { sortBy: 'updated', sortOrder: 'desc', value: '2025-08-01T12:00:00.000Z', id: 41 };
+
+      expect(decodeCursor(encodeCursor(position))).toEqual(position);
+      expect(parseDiaperRequest({ sortBy: 'updated', sortOrder: 'desc', cursor: encodeCursor(position) }).cursor)
+        .toEqual(position);
+    });
+
+    test.each([
+      ['pricePerDiaper', 'abc', 1],
+      ['price', '1e5', 1],
+      ['count', '1.5', 1],
+      ['updated', 'yesterday', 1],
+      ['updated', '2025-02-30 12:00:00+00', 1],
+      ['brand', 7, 1],
+      ['pricePerDiaper', '0.27', 0]
+    ])('should reject a %s cursor with value %p and id %p', (sortBy, value, id) => {
+      expect(decodeCursor(encodeCursor({ sortBy, sortOrder: 'asc', value, id }))).toBeNull();
+    });
+
+    test('should accept sort keys as Postgres prints them', () => {
+      const cursor = { sortBy: 'updated', sortOrder: 'asc', value: '2025-07-31 12:00:00.123456+00', id: 5 };
+
+      expect(decodeCursor(encodeCursor(cursor))).toEqual(cursor);
+      expect(decodeCursor(encodeCursor({ ...cursor, sortBy: 'count', value: '168' }))).not.toBeNull();
+    });
+  });
+
+  describe('get-diapers function', () => {
+    let db;
+    let handler;
+
+    beforeEach(() => {
+      db = {
+        getCatalogVersion: jest.fn().mockResolvedValue({ last_modified: '2025-07-31T12:00:00.000Z', offers: 5, missed_runs: 0 }),
+        getDiaperPage: jest.fn().mockResolvedValue({
+          rows: [row(7, '0.2500', { peer_avg_price_per_diaper: '0.3100' }), row(9, '0.2700')],
+          total: 5,
+          next: { value: '0.2700', id: 9 }
+        })
+      };
+      DatabaseService.mockImplementation(() => db);
+      jest.isolateModules(() => {
+        ({ handler } = require('../../netlify/functions/get-diapers'));
+      });
+    });
+
+    test('should return one page with totals and a cursor for the next', async () => {
+      const response = await handler({
+        queryStringParameters: { brand: 'Pampers', limit: '2' },
+        multiValueQueryStringParameters: { brand: ['Pampers', 'Huggies'], limit: ['2'] }
+      });
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(db.getDiaperPage).toHaveBeenCalledWith(
+        expect.objectContaining({ brands: ['Pampers', 'Huggies'], inStock: true, minConfidence: 0.7 }),
+        { sortBy: 'pricePerDiaper', sortOrder: 'asc', page: 1, limit: 2, cursor: null }
+      );
+      expect(body).toMatchObject({ count: 2, total: 5, page: 1, limit: 2, totalPages: 3 });
+      expect(body.diapers[0]).toMatchObject({ id: 7, pricePerDiaper: 0.25, peerAvgPricePerDiaper: 0.31 });
+      expect(decodeCursor(body.nextCursor)).toEqual({ sortBy: 'pricePerDiaper', sortOrder: 'asc', value: '0.2700', id: 9 });
+    });
+
+    test('should page from a cursor', async () => {
+      const cursor = encodeCursor({ sortBy: 'pricePerDiaper', sortOrder: 'asc', value: '0.2700', id: 9 });
+      db.getDiaperPage.mockResolvedValue({ rows: [row(12, '0.2900')], total: 5, next: null });
+
+      const response = await handler({ queryStringParameters: { cursor, limit: '2' } });
+      const body = JSON.parse(response.body);
+
+      expect(db.getDiaperPage.mock.calls[0][1].cursor).toEqual({ sortBy: 'pricePerDiaper', sortOrder: 'asc', value: '0.2700', id: 9 });
+      expect(body).toMatchObject({ count: 1, page: null, nextCursor: null });
+    });
+
+    test('should reject bad parameters before querying', async () => {
+      const response = await handler({ queryStringParameters: { sortOrder: 'asc; DROP TABLE diapers' } });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body)).toEqual({
+        error: 'Invalid request',
+        code: 'INVALID_REQUEST',
+        message: 'sortOrder must be one of asc, desc',
+        details: [{ in: 'query', name: 'sortOrder', code: 'INVALID_VALUE', message: 'sortOrder must be one of asc, desc' }]
+      });
+      expect(db.getDiaperPage).not.toHaveBeenCalled();
+    });
+
+    test('should answer a cursor with a value of the wrong type with a 400', async () => {
+      const cursor = Buffer.from(JSON.stringify(['pricePerDiaper', 'asc', 'abc', 1])).toString('base64url');
+
+      const response = await handler({ queryStringParameters: { cursor } });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body)).toMatchObject({ code: 'INVALID_REQUEST', message: 'cursor is malformed' });
+      expect(db.getDiaperPage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('get-facets function', () => {
+    let db;
+    let handler;
+
+    beforeEach(() => {
+      db = {
+        getCatalogVersion: jest.fn().mockResolvedValue({ last_modified: '2025-07-31T12:00:00.000Z', offers: 5, missed_runs: 0 }),
+        getFacets: jest.fn().mockResolvedValue({
+          brands: [{ value: 'Huggies', count: 2 }, { value: 'Pampers', count: 3 }],
+          sizes: [{ value: '3', count: 0 }, { value: '4', count: 5 }],
+          retailers: [{ value: 'Walmart.ca', count: 5 }],
+          total: 3
+        })
+      };
+      DatabaseService.mockImplementation(() => db);
+      jest.isolateModules(() => {
+        ({ handler } = require('../../netlify/functions/get-facets'));
+      });
+    });
+
+    test('should count options under the applied filters', async () => {
+      const response = await handler({ queryStringParameters: { brand: 'Pampers', size: '4' } });
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(db.getFacets).toHaveBeenCalledWith(
+        expect.objectContaining({ brands: ['Pampers'], sizes: ['4'], inStock: true, minConfidence: 0.7 })
+      );
+      expect(body).toMatchObject({ total: 3, sizes: [{ value: '3', count: 0 }, { value: '4', count: 5 }] });
+    });
+
+    test('should reject bad filters before querying', async () => {
+      const response = await handler({ queryStringParameters: { inStock: 'maybe' } });
+
+      expect(response.statusCode).toBe(400);
+      expect(db.getFacets).not.toHaveBeenCalled();
+    });
+  });
+});
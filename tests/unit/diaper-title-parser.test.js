@@ -0,0 +1,165 @@
+const {
+  parseTitle,
+  extractCount,
+  extractSize,
+  extractWeightRange,
+  extractDiaperType,
+  isDiaperProduct,
+  findBrand
+} = require('../../server/scrapers/diaper-title-parser');
+
+// Real listing titles from Amazon.ca, Costco, Walmart.ca, Well.ca and Canadian Tire
+const TITLE_CORPUS = [
+  // [title, brand, type, size, count]
+  ['Pampers Baby Dry Diapers Size 3, 198 Count', 'Pampers', 'Baby Dry', '3', 198],
+  ['Pampers Swaddlers Diapers - Size 1, 198 Count, Ultra Soft Disposable Baby Diapers', 'Pampers', 'Swaddlers', '1', 198],
+  ['Pampers Swaddlers Overnights Diapers Size 5, 50 Count', 'Pampers', 'Swaddlers Overnights', '5', 50],
+  ['Pampers Cruisers 360 Diapers, Super Pack, 78CT', 'Pampers', 'Cruisers 360', null, 78],
+  ['Pampers Cruisers 360 Pull-On Diapers, Size 3 (16-28 lbs), Babyproof up to 100% leakproof diaper', 'Pampers', 'Cruisers 360', '3', null],
+  ['Pampers Cruisers Diapers Size 4, 2 x 84 Count', 'Pampers', 'Cruisers', '4', 168],
+  ['Pampers Baby Dry Diapers, Size 2, 12-18 lbs, Absorbent Disposable Diapers, 180CT', 'Pampers', 'Baby Dry', '2', 180],
+  ['Pampers Baby Dry Night Overnight Diapers, Size 6, 88 Count', 'Pampers', 'Baby Dry Night', '6', 88],
+  ['Pampers Pure Baby Diapers, Size 4 (22-37 lbs), 58, Up to 100% Leakproof, Premium Hypoallergenic Soft Diapers, 58CT', 'Pampers', 'Pure', '4', 58],
+  ['Pampers Pure Protection Diapers Newborn, 31 Count', 'Pampers', 'Pure', 'N', 31],
+  ['Pampers Swaddlers Diapers, Size Newborn (Up to 10 lb), 84 Count (Pack of 2)', 'Pampers', 'Swaddlers', 'N', 168],
+  ['Pampers Swaddlers Diapers - Super Pack, Sizes NB-7, 84-44 Count', 'Pampers', 'Swaddlers', null, null],
+  ['Pampers Swaddlers Diapers, Super Econo Pack, Size 1-8, 58-160CT', 'Pampers', 'Swaddlers', null, null],
+  ['Pampers Baby Dry Diapers, Super Pack, Size NB-6, 120-64 Count', 'Pampers', 'Baby Dry', null, null],
+  ['Pampers Swaddlers Active Baby Diaper, Ultra Value Pack, 192CT', 'Pampers', 'Swaddlers', null, 192],
+  ['Pampers Swaddlers 360 Pull-On Diapers, for up to 100% Leakproof Skin Protection and Easy Changes, 68CT', 'Pampers', 'Swaddlers 360', null, 68],
+  ['HUGGIES Little Snugglers Baby Diapers, Econo Pack, Size 1-6, Count 108-198, Size 1-6 | 108-150 Count', 'Huggies', 'Little Snugglers', null, null],
+  ['Huggies Little Snugglers Plus, Size 1, 192-pack', 'Huggies', 'Little Snugglers Plus', '1', 192],
+  ['Huggies Little Snugglers Plus Diapers, Sizes 1', 'Huggies', 'Little Snugglers Plus', '1', null],
+  ['Huggies Little Movers HuggFit 360° Baby Diapers with 360° Waistband, Size 3 (16-28 lbs), 26 Count', 'Huggies', 'Little Movers', '3', 26],
+  ['Huggies Little Movers Diapers, Econo pack, Size 6, 108 Count, HUG DPR S3-7 168-88', 'Huggies', 'Little Movers', '6', 108],
+  ['Huggies Little Movers Diapers, Size 3, Pack of 12', 'Huggies', 'Little Movers', '3', 12],
+  ['Huggies Snug & Dry Baby Diapers, ECONO Size 1-8 (8-35+lbs), 256-96 Ct, HUG DPR S6 256-96 Ct', 'Huggies', 'Snug & Dry', null, null],
+  ['Huggies Snug and Dry Diapers, Size 4, 174 Ct', 'Huggies', 'Snug & Dry', '4', 174],
+  ['Huggies Skin Essentials Baby Diapers, Sizes: N-6, 31-15 Count', 'Huggies', 'Skin Essentials', null, null],
+  ['Huggies Little Snugglers Diapers, Jumbo Pack, Size Preemie - 2, Size Preemie - 2 | 32-29 Count', 'Huggies', 'Little Snugglers', null, null],
+  ['Huggies Special Delivery Hypoallergenic Baby Diapers, Size 2 (12-18 lbs), 136 Ct', 'Huggies', 'Special Delivery', '2', 136],
+  ['Huggies Overnites Nighttime Baby Diapers, Size 5, 58 Ct', 'Huggies', 'Overnites', '5', 58],
+  ['Huggies Little Snugglers Diapers Size Newborn, 76 Count', 'Huggies', 'Little Snugglers', 'N', 76],
+  ['Kirkland Signature Diapers Size 3, 180-count', 'Kirkland', 'Signature', '3', 180],
+  ['Kirkland Signature Supreme Diapers, Size 4, 16-28 lb, 174 ct', 'Kirkland', 'Signature', '4', 174],
+  ["Parent's Choice Premium Diapers, Size 3, 92 Diapers", 'Parents Choice', 'Premium', '3', 92],
+  ['Life Brand Ultra Dry Diapers Size 5, 100 Pieces', 'Life Brand', 'Ultra Dry', '5', 100],
+  ['Seventh Generation Free & Clear Baby Diapers, Size 3, 31 Count', 'Seventh Generation', 'Free & Clear', '3', 31],
+  ['The Honest Company Clean Conscious Diapers, Size 4, 23 Count (Pack of 4)', 'Honest Company', 'Clean Conscious', '4', 92],
+  ['Honest Club Box Diapers Size 3 (92 Count)', 'Honest Company', 'Club Box', '3', 92],
+  ["President's Choice Ultra Soft Diapers Size 3 (120 Count)", 'Presidents Choice', 'Ultra Soft', '3', 120],
+  ['Rascals Premium Diapers, Size 1, Carton, 168 Count, Unisex Baby Diaper', 'Rascals', 'Premium', '1', 168],
+  ['No Name Diapers Size 6, 2 packs of 40', 'No Name', 'Regular', '6', 80],
+  ['Pampers Baby Dry Diapers - Jumbo Bag', 'Pampers', 'Baby Dry', null, null]
+];
+
+describe('Diaper Title Parser', () => {
+  describe('parseTitle corpus', () => {
+    test.each(TITLE_CORPUS)('%s', (title, brand, type, size, count) => {
+      const parsed = parseTitle(title);
+
+      expect(parsed.brand).toBe(brand);
+      expect(parsed.type).toBe(type);
+      expect(parsed.size).toBe(size);
+      expect(parsed.count).toBe(count);
+    });
+  });
+
+  describe('multipacks', () => {
+    test.each([
+      ['Pampers Baby Dry Size 3, 2 x 84 Count', 2, 84],
+      ['Pampers Baby Dry Size 3, 3 × 64ct', 3, 64],
+      ['Huggies Snug & Dry Size 4, 84 Count (Pack of 2)', 2, 84],
+      ['Huggies Snug & Dry Size 4, 2 Packs of 58', 2, 58]
+    ])('%s', (title, packs, perPack) => {
+      const parsed = parseTitle(title);
+
+      expect(parsed.packs).toBe(packs);
+      expect(parsed.perPack).toBe(perPack);
+      expect(parsed.count).toBe(packs * perPack);
+    });
+
+    test('should not treat a single pack as a multipack', () => {
+      expect(parseTitle('Pampers Cruisers Size 5, 66 Count (Pack of 1)')).toMatchObject({ count: 66, packs: 1 });
+    });
+  });
+
+  describe('extractWeightRange', () => {
+    test.each([
+      ['Pampers Baby Dry Size 3, 16-28 lb, 198 Count', { min: 16, max: 28, unit: 'lb' }],
+      ['Huggies Size 3 (16-28 lbs), 26 Count', { min: 16, max: 28, unit: 'lb' }],
+      ['Pampers Cruisers 360 Size 5 (27+ lbs)', { min: 27, max: null, unit: 'lb' }],
+      ['Pampers Swaddlers Newborn (Up to 10 lb), 84 Count', { min: null, max: 10, unit: 'lb' }],
+      ['Pampers Premium Protection Size 3, 6-10 kg, 68 Nappies', { min: 6, max: 10, unit: 'kg' }],
+      ['Pampers Baby Dry Size 3, 198 Count', null]
+    ])('%s', (title, expected) => {
+      expect(extractWeightRange(title)).toEqual(expected);
+    });
+
+    test('should not read weights as counts', () => {
+      expect(extractCount('Kirkland Signature Diapers Size 4, 22-37 lbs')).toBeNull();
+      expect(extractCount('Kirkland Signature Diapers Size 4, 22-37 lbs', { fallback: true })).toBeNull();
+    });
+  });
+
+  describe('extractSize', () => {
+    test.each([
+      ['Pampers Swaddlers Size 0, 32 Count', '0'],
+      ['Pampers Swaddlers Size N, 84 Count', 'N'],
+      ['Pampers Swaddlers Size NB, 84 Count', 'N'],
+      ['Pampers Swaddlers Newborn Diapers, 84 Count', 'N'],
+      ['Huggies Little Snugglers Preemie Diapers, 30 Count', 'P'],
+      ['Pampers Cruisers Size: 7, 88 Count', '7'],
+      ['Pampers Cruisers Size 3 to 6 (16-35+ lbs)', null]
+    ])('%s', (title, expected) => {
+      expect(extractSize(title)).toBe(expected);
+    });
+  });
+
+  describe('extractCount fallback', () => {
+    test('should only guess counts when asked to', () => {
+      expect(extractCount('Pampers Baby Dry Mega Pack Size 3')).toBeNull();
+      expect(extractCount('Pampers Baby Dry Mega Pack Size 3', { fallback: true })).toBe(144);
+      expect(extractCount('Huggies Little Movers Jumbo Pack Size 4', { fallback: true })).toBe(120);
+      expect(extractCount('Pampers Baby Dry Size 3 - 104', { fallback: true })).toBe(104);
+    });
+  });
+
+  describe('isDiaperProduct', () => {
+    test.each([
+      ['Pampers Baby Dry Diapers Size 3, 198 Count', 'Pampers', true],
+      ['Pampers Baby Dry Diapers Size 3, 198 Count', 'pampers', true],
+      ["Parent's Choice Premium Diapers, Size 3, 92 Count", 'Parents Choice', true],
+      ['Pampers Sensitive Baby Wipes, 12 Pop-Top Packs', 'Pampers', false],
+      ['Pampers Easy Ups Training Pants Size 4T-5T, 66 Count', 'Pampers', false],
+      ['Huggies Little Swimmers Swim Diapers, Size 4, 20 Count', 'Huggies', false],
+      ['Huggies Pull-Ups Learning Designs Training Pants', 'Huggies', false],
+      ['Huggies Little Snugglers Diapers Size 1, 198 Count', 'Pampers', false],
+      ['Desitin Maximum Strength Diaper Rash Cream', 'Desitin', false]
+    ])('%s (%s)', (title, brand, expected) => {
+      expect(isDiaperProduct(title, brand)).toBe(expected);
+    });
+
+    test('should accept a diaper category for titles without the word', () => {
+      const title = 'Huggies Little Snugglers Plus, Size 1, 192-pack';
+
+      expect(isDiaperProduct(title, 'Huggies')).toBe(false);
+      expect(isDiaperProduct(title, 'Huggies', 'Disposable Diapers')).toBe(true);
+      expect(isDiaperProduct('Huggies Little Swimmers, Size 4', 'Huggies', 'Swim Diapers')).toBe(false);
+    });
+  });
+
+  describe('brand vocabulary', () => {
+    test('should resolve brand aliases to canonical names', () => {
+      expect(findBrand('huggies').name).toBe('Huggies');
+      expect(findBrand("Parent's Choice").name).toBe('Parents Choice');
+      expect(findBrand('the honest company').name).toBe('Honest Company');
+      expect(findBrand('Unknown Brand')).toBeNull();
+    });
+
+    test('should default to Regular when no product line matches', () => {
+      expect(extractDiaperType('Pampers Diapers Size 3, 120 Count', 'Pampers')).toBe('Regular');
+      expect(extractDiaperType('Store Brand Diapers Size 3', 'Store Brand')).toBe('Regular');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../../database/db-service.js', () => jest.fn());
+
+const DatabaseService = require('../../database/db-service.js');
+const { CACHE_CONTROL, buildValidators, isNotModified, cacheHeaders, notModified } = require('../../server/api/http-cache');
+
+const version = { last_modified: '2025-07-31T12:00:00.000Z', offers: 5, missed_runs: 0 };
+
+describe('HTTP caching', () => {
+  describe('buildValidators', () => {
+    test('should change the ETag with the catalog and the extra parts', () => {
+      const validators = buildValidators(version);
+
+      expect(validators).toEqual({ etag: expect.stringMatching(/^W\/"[\w-]{22}"$/), lastModified: 'Thu, 31 Jul 2025 12:00:00 GMT' });
+      expect(buildValidators({ ...version }).etag).toBe(validators.etag);
+      expect(buildValidators({ ...version, missed_runs: 1 }).etag).not.toBe(validators.etag);
+      expect(buildValidators(version, '2025-07-01', '2025-07-31').etag).not.toBe(validators.etag);
+      expect(buildValidators({ last_modified: null, offers: 0, missed_runs: 0 }).lastModified).toBeNull();
+    });
+  });
+
+  describe('isNotModified', () => {
+    const validators = buildValidators(version);
+    const request = headers => ({ httpMethod: 'GET', headers });
+
+    test('should match If-None-Match weakly and in lists', () => {
+      const opaque = validators.etag.replace('W/', '');
+
+      expect(isNotModified(request({ 'if-none-match': validators.etag }), validators)).toBe(true);
+      expect(isNotModified(request({ 'If-None-Match': `"other", ${opaque}` }), validators)).toBe(true);
+      expect(isNotModified(request({ 'if-none-match': '*' }), validators)).toBe(true);
+      expect(isNotModified(request({ 'if-none-match': '"other"' }), validators)).toBe(false);
+      expect(isNotModified(request(undefined), validators)).toBe(false);
+    });
+
+    test('should compare If-Modified-Since unless If-None-Match is sent', () => {
+      expect(isNotModified(request({ 'if-modified-since': 'Thu, 31 Jul 2025 12:00:00 GMT' }), validators)).toBe(true);
+      expect(isNotModified(request({ 'if-modified-since': 'Thu, 31 Jul 2025 11:59:59 GMT' }), validators)).toBe(false);
+      expect(isNotModified(request({ 'if-modified-since': 'yesterday' }), validators)).toBe(false);
+      expect(isNotModified(request({
+        'if-none-match': '"other"',
+        'if-modified-since': 'Thu, 31 Jul 2025 12:00:00 GMT'
+      }), validators)).toBe(false);
+    });
+  });
+
+  test('should let clients serve stale responses for a scrape interval', () => {
+    expect(CACHE_CONTROL).toBe('public, max-age=300, stale-while-revalidate=43200');
+    expect(notModified({ 'Content-Type': 'application/json' }, buildValidators(version))).toEqual({
+      statusCode: 304,
+      headers: { 'Content-Type': 'application/json', ...cacheHeaders(buildValidators(version)) },
+      body: ''
+    });
+  });
+
+  describe('read endpoints', () => {
+    let db;
+    let handler;
+
+    beforeEach(() => {
+      db = {
+        getCatalogVersion: jest.fn().mockResolvedValue(version),
+        getDiaperPage: jest.fn().mockResolvedValue({ rows: [], total: 0, next: null })
+      };
+      DatabaseService.mockImplementation(() => db);
+      jest.isolateModules(() => {
+        ({ handler } = require('../../netlify/functions/get-diapers'));
+      });
+    });
+
+    test('should send validators and answer a matching revalidation with 304', async () => {
+      const event = { httpMethod: 'GET', queryStringParameters: { brand: 'Pampers' } };
+
+      const response = await handler(event);
+      expect(response.statusCode).toBe(200);
+      expect(response.headers).toMatchObject({
+        'Cache-Control': CACHE_CONTROL,
+        'ETag': expect.any(String),
+        'Last-Modified': 'Thu, 31 Jul 2025 12:00:00 GMT'
+      });
+
+      const revalidated = await handler({ ...event, headers: { 'if-none-match': response.headers.ETag } });
+      expect(revalidated).toMatchObject({ statusCode: 304, body: '', headers: { 'ETag': response.headers.ETag } });
+      expect(db.getDiaperPage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should answer with the new data once the catalog changes', async () => {
+      const event = { httpMethod: 'GET', queryStringParameters: {} };
+      const { headers } = await handler(event);
+      db.getCatalogVersion.mockResolvedValue({ ...version, last_modified: '2025-07-31T18:00:00.000Z' });
+
+      const response = await handler({ ...event, headers: { 'if-none-match': headers.ETag } });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.ETag).not.toBe(headers.ETag);
+    });
+
+    test('should answer database failures with INTERNAL_ERROR and no cause', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      db.getDiaperPage.mockRejectedValue(new Error('relation "diapers" does not exist'));
+
+      const response = await handler({ httpMethod: 'GET', queryStringParameters: {} });
+
+      expect(response.statusCode).toBe(500);
+      expect(JSON.parse(response.body)).toMatchObject({ code: 'INTERNAL_ERROR', message: 'Failed to fetch diaper data' });
+      expect(response.body).not.toContain('relation');
+      consoleError.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator, splitStatements } = require('../../database/migrate');
+
+/**
+ * Fake SQL tag that keeps schema_migrations in memory and logs everything else
+ */
+function createSql() {
+  const applied = new Map();
+  const executed = [];
+
+  const sql = jest.fn(async (query, params = []) => {
+    if (query.startsWith('SELECT version')) {
+      return [...applied.keys()].sort().map(version => ({ version, applied_at: applied.get(version) }));
+    }
+    if (query.startsWith('INSERT INTO schema_migrations')) applied.set(params[0], new Date());
+    if (query.startsWith('DELETE FROM schema_migrations')) applied.delete(params[0]);
+    if (!query.includes('schema_migrations')) executed.push(query);
+    return [];
+  });
+
+  return { sql, applied, executed };
+}
+
+describe('Migrations', () => {
+  describe('splitStatements', () => {
+    test('should keep dollar-quoted function bodies whole', () => {
+      const statements = splitStatements(`
+        CREATE OR REPLACE FUNCTION touch() RETURNS TRIGGER AS $$
+        BEGIN
+            NEW.updated_at = CURRENT_TIMESTAMP;
+            RETURN NEW;
+        END;
+        $$ language 'plpgsql';
+        CREATE FUNCTION tagged() RETURNS text AS $body$ SELECT 'a;b' $body$ LANGUAGE sql;
+      `);
+
+      expect(statements).toHaveLength(2);
+      expect(statements[0]).toMatch(/RETURN NEW;\s+END;\s+\$\$ language 'plpgsql'$/);
+      expect(statements[1]).toContain("$body$ SELECT 'a;b' $body$");
+    });
+
+    test('should ignore semicolons in strings and comments', () => {
+      expect(splitStatements(`
+        -- seed; not a statement
+        INSERT INTO diapers (brand) VALUES ('President''s Choice; Ultra');
+        /* block; comment */ SELECT $1
+      `)).toEqual([
+        "INSERT INTO diapers (brand) VALUES ('President''s Choice; Ultra')",
+        'SELECT $1'
+      ]);
+    });
+
+    test('should split every shipped migration and seed into clean statements', () => {
+      const directories = ['migrations', 'seeds'].map(name => path.join(__dirname, '../../database', name));
+
+      for (const directory of directories) {
+        for (const file of fs.readdirSync(directory)) {
+          const statements = splitStatements(fs.readFileSync(path.join(directory, file), 'utf8'));
+          expect(statements.length).toBeGreaterThan(0);
+          for (const statement of statements) {
+            expect(statement).toMatch(/^(CREATE|ALTER|DROP|INSERT|UPDATE|DELETE|WITH)\b/);
+          }
+        }
+      }
+    });
+  });
+
+  describe('Migrator', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(directory, '001_create_a.up.sql'), 'CREATE TABLE a (id INT);');
+      fs.writeFileSync(path.join(directory, '001_create_a.down.sql'), 'DROP TABLE a;');
+      fs.writeFileSync(path.join(directory, '002_create_b.up.sql'), 'CREATE TABLE b (id INT); CREATE INDEX b_id ON b(id);');
+      fs.writeFileSync(path.join(directory, '002_create_b.down.sql'), 'DROP TABLE b;');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should apply pending migrations once, in order', async () => {
+      const { sql, applied, executed } = createSql();
+      const migrator = new Migrator(sql, { directory });
+
+      expect(await migrator.up()).toEqual([
+        { version: '001', name: 'create_a' },
+        { version: '002', name: 'create_b' }
+      ]);
+      expect(await migrator.up()).toEqual([]);
+      expect(executed).toEqual(['CREATE TABLE a (id INT)', 'CREATE TABLE b (id INT)', 'CREATE INDEX b_id ON b(id)']);
+      expect([...applied.keys()]).toEqual(['001', '002']);
+    });
+
+    test('should stop at --to and report status', async () => {
+      const { sql } = createSql();
+      const migrator = new Migrator(sql, { directory });
+
+      await migrator.up({ to: '001' });
+
+      expect(await migrator.status()).toEqual([
+        { version: '001', name: 'create_a', applied: true, appliedAt: expect.any(Date) },
+        { version: '002', name: 'create_b', applied: false, appliedAt: null }
+      ]);
+    });
+
+    test('should revert the latest migrations', async () => {
+      const { sql, applied, executed } = createSql();
+      const migrator = new Migrator(sql, { directory });
+      await migrator.up();
+
+      expect(await migrator.down()).toEqual([{ version: '002', name: 'create_b' }]);
+      expect(executed[executed.length - 1]).toBe('DROP TABLE b');
+      expect([...applied.keys()]).toEqual(['001']);
+    });
+
+    test('should run a migration and its bookkeeping in one transaction when supported', async () => {
+      const { sql } = createSql();
+      sql.transaction = jest.fn(async queries => Promise.all(queries.map(([query, params]) => sql(query, params))));
+      const migrator = new Migrator(sql, { directory });
+
+      await migrator.up({ to: '002' });
+
+      expect(sql.transaction).toHaveBeenCalledTimes(2);
+      expect(sql.transaction.mock.calls[1][0]).toHaveLength(3);
+    });
+
+    test('should refuse a migration without an up file', () => {
+      fs.unlinkSync(path.join(directory, '002_create_b.up.sql'));
+
+      expect(() => new Migrator(jest.fn(), { directory }).listMigrations())
+        .toThrow('Migration 002_create_b has no .up.sql file');
+    });
+  });
+});
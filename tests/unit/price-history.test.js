@@ -0,0 +1,155 @@
+jest.mock('../../database/db-service.js', () => jest.fn());
+
+const DatabaseService = require('../../database/db-service.js');
+const { parseHistoryRequest, toDailyPoints, findGaps, summarize } = require('../../server/history/price-history');
+
+const NOW = new Date('2025-08-01T15:30:00Z');
+
+/**
+ * Build a daily aggregate row as the database returns it
+ */
+function row(day, price, count, inStock = true) {
+  const perDiaper = (price / count).toFixed(4);
+  return {
+    day,
+    min_price: inStock ? price.toFixed(2) : null,
+    max_price: inStock ? price.toFixed(2) : null,
+    avg_price: inStock ? price.toFixed(2) : null,
+    close_price: price.toFixed(2),
+    min_price_per_diaper: inStock ? perDiaper : null,
+    max_price_per_diaper: inStock ? perDiaper : null,
+    avg_price_per_diaper: inStock ? perDiaper : null,
+    close_price_per_diaper: perDiaper,
+    in_stock: inStock,
+    samples: '1'
+  };
+}
+
+describe('Price history', () => {
+  describe('parseHistoryRequest', () => {
+    test('should default to the last 30 days', () => {
+      expect(parseHistoryRequest({ id: '12' }, NOW)).toEqual({ id: 12, from: '2025-07-03', to: '2025-08-01' });
+    });
+
+    test('should accept an explicit range or a day count', () => {
+      expect(parseHistoryRequest({ id: '12', from: '2025-07-01', to: '2025-07-31' }, NOW))
+        .toEqual({ id: 12, from: '2025-07-01', to: '2025-07-31' });
+      expect(parseHistoryRequest({ id: '12', days: '7' }, NOW)).toMatchObject({ from: '2025-07-26' });
+    });
+
+    test.each([
+      [{}, 'id must be a positive integer'],
+      [{ id: '12; DROP TABLE diapers' }, 'id must be a positive integer'],
+      [{ id: '12', from: '2025-02-30' }, 'from must be a date in YYYY-MM-DD format'],
+      [{ id: '12', to: 'yesterday' }, 'to must be a date in YYYY-MM-DD format'],
+      [{ id: '12', days: '1000' }, 'days must be an integer between 1 and 366'],
+      [{ id: '12', from: '2025-08-02', to: '2025-08-01' }, 'from must not be after to'],
+      [{ id: '12', from: '2023-01-01', to: '2025-01-01' }, 'range must not exceed 366 days']
+    ])('should reject %p', (params, error) => {
+      expect(parseHistoryRequest(params, NOW)).toEqual({ error });
+    });
+  });
+
+  test('toDailyPoints should convert decimals and dates', () => {
+    expect(toDailyPoints([row(new Date('2025-07-01T00:00:00Z'), 64.99, 168)])).toEqual([{
+      date: '2025-07-01',
+      inStock: true,
+      samples: 1,
+      price: { min: 64.99, max: 64.99, avg: 64.99, close: 64.99 },
+      pricePerDiaper: { min: 0.3868, max: 0.3868, avg: 0.3868, close: 0.3868 },
+      regularPrice: null,
+      salePrice: null,
+      promoText: null,
+      promoEndsAt: null
+    }]);
+  });
+
+  test('toDailyPoints should keep the closing sample\'s promotion', () => {
+    const [point] = toDailyPoints([{
+      ...row('2025-07-01', 54.99, 168),
+      close_regular_price: '64.99',
+      close_sale_price: '54.99',
+      close_promo_text: 'Rollback',
+      close_promo_ends_at: '2025-07-14T23:59:59.000Z'
+    }]);
+
+    expect(point).toMatchObject({
+      price: { close: 54.99 },
+      regularPrice: 64.99,
+      salePrice: 54.99,
+      promoText: 'Rollback',
+      promoEndsAt: '2025-07-14T23:59:59.000Z'
+    });
+  });
+
+  test('findGaps should mark out-of-stock runs and days without data', () => {
+    const points = toDailyPoints([
+      row('2025-07-01', 64.99, 168),
+      row('2025-07-02', 64.99, 168, false),
+      row('2025-07-03', 64.99, 168, false),
+      row('2025-07-06', 59.99, 168),
+      row('2025-07-07', 59.99, 168, false)
+    ]);
+
+    expect(findGaps(points)).toEqual([
+      { from: '2025-07-02', to: '2025-07-03', reason: 'out-of-stock' },
+      { from: '2025-07-04', to: '2025-07-05', reason: 'no-data' },
+      { from: '2025-07-07', to: '2025-07-07', reason: 'out-of-stock' }
+    ]);
+  });
+
+  test('summarize should ignore out-of-stock days', () => {
+    const points = toDailyPoints([
+      row('2025-07-01', 64.99, 168),
+      row('2025-07-02', 39.99, 168, false),
+      row('2025-07-03', 59.99, 168)
+    ]);
+
+    expect(summarize(points)).toEqual({
+      lowestPrice: 59.99,
+      lowestPricePerDiaper: 0.3571,
+      lowestPricePerDiaperDate: '2025-07-03'
+    });
+  });
+
+  describe('get-price-history function', () => {
+    let db;
+    let handler;
+
+    beforeEach(() => {
+      db = {
+        getCatalogVersion: jest.fn().mockResolvedValue({ last_modified: '2025-07-31T12:00:00.000Z', offers: 5, missed_runs: 0 }),
+        getDiaperById: jest.fn().mockResolvedValue({ id: 12, brand: 'Pampers', type: 'Cruisers', size: '4', count: 168, retailer: 'Walmart.ca' }),
+        getDailyPriceHistory: jest.fn().mockResolvedValue([row('2025-07-01', 64.99, 168)])
+      };
+      DatabaseService.mockImplementation(() => db);
+      jest.isolateModules(() => {
+        ({ handler } = require('../../netlify/functions/get-price-history'));
+      });
+    });
+
+    test('should return daily points for a valid range', async () => {
+      const response = await handler({ queryStringParameters: { id: '12', from: '2025-07-01', to: '2025-07-31' } });
+      const body = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(db.getDailyPriceHistory).toHaveBeenCalledWith(12, '2025-07-01', '2025-07-31');
+      expect(body).toMatchObject({ diaper: { id: 12 }, points: [{ date: '2025-07-01' }], gaps: [] });
+    });
+
+    test('should reject bad parameters before querying', async () => {
+      const response = await handler({ queryStringParameters: { id: 'abc' } });
+
+      expect(response.statusCode).toBe(400);
+      expect(db.getDiaperById).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for an unknown diaper', async () => {
+      db.getDiaperById.mockResolvedValue(null);
+
+      const response = await handler({ queryStringParameters: { id: '99' } });
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+jest.mock('puppeteer-extra', () => ({ use: jest.fn(), launch: jest.fn() }), { virtual: true });
+jest.mock('puppeteer-extra-plugin-stealth', () => jest.fn(), { virtual: true });
+jest.mock('@antiadmin/anticaptchaofficial', () => ({ setAPIKey: jest.fn(), solveAntiGateTask: jest.fn() }), { virtual: true });
+
+const { productIdFromUrl, normalizeRecord, validateRecord, validateRecords } = require('../../server/scrapers/product-record');
+const scraperManager = require('../../server/scrapers');
+
+const costcoRecord = {
+  id: '100',
+  brand: 'Kirkland',
+  type: 'Signature',
+  size: '3',
+  count: 180,
+  retailer: 'Costco Canada',
+  price: 54.99,
+  pricePerDiaper: 0.31,
+  url: 'https://www.costco.ca/kirkland-signature-diapers-size-3.product.100.html',
+  countSource: 'pattern',
+  titleSource: 'listing',
+  confidence: 0.95,
+  lastUpdated: new Date()
+};
+
+// Shape emitted by the Canadian Tire, Shoppers and Superstore scrapers
+const shoppersRecord = {
+  name: 'Pampers Cruisers Diapers Size 4, 2 x 84 Count',
+  price: '$64.99',
+  retailer: 'Shoppers Drug Mart',
+  brand: 'Pampers',
+  size: 4,
+  count: '168',
+  link: 'https://www.shoppersdrugmart.ca/pampers-cruisers/p/123',
+  inStock: 'true',
+  countSource: 'multipack',
+  lastUpdated: '2025-08-01T12:00:00.000Z'
+};
+
+describe('Product Record Contract', () => {
+  describe('normalizeRecord', () => {
+    test('should map legacy field names and coerce types', () => {
+      const record = normalizeRecord(shoppersRecord);
+
+      expect(record).toMatchObject({
+        title: 'Pampers Cruisers Diapers Size 4, 2 x 84 Count',
+        type: 'Cruisers',
+        size: '4',
+        count: 168,
+        price: 64.99,
+        pricePerDiaper: 0.3868,
+        url: 'https://www.shoppersdrugmart.ca/pampers-cruisers/p/123',
+        inStock: true,
+        currency: 'CAD',
+        confidence: 0.9
+      });
+      expect(record.lastUpdated).toBeInstanceOf(Date);
+      expect(record).not.toHaveProperty('name');
+      expect(record).not.toHaveProperty('link');
+    });
+
+    test('should map vendor and quantity and derive brand and type from the title', () => {
+      const record = normalizeRecord({ title: 'Huggies Snug & Dry Size 4, 174 Ct', vendor: 'Walmart.ca', quantity: 174 });
+
+      expect(record).toMatchObject({ brand: 'Huggies', type: 'Snug & Dry', count: 174, retailer: 'Walmart.ca' });
+    });
+
+    test('should take the product id from the URL when the scraper has none', () => {
+      expect(normalizeRecord(shoppersRecord).id).toBe('123');
+      expect(normalizeRecord({ ...costcoRecord, id: undefined }).id).toBe('100');
+    });
+
+    test('should fill in the sale price during a sale', () => {
+      expect(normalizeRecord({ ...costcoRecord, regularPrice: 64.99 }).salePrice).toBe(54.99);
+      expect(normalizeRecord(costcoRecord)).not.toHaveProperty('salePrice');
+      expect(normalizeRecord({ ...costcoRecord, price: undefined, promoPrice: '49.99' }).price).toBe(49.99);
+    });
+
+    test('should read French-Canadian and thousands-separated prices', () => {
+      expect(normalizeRecord({ ...costcoRecord, price: '19,99 $' }).price).toBe(19.99);
+      expect(normalizeRecord({ ...costcoRecord, price: '$1,299.99' }).price).toBe(1299.99);
+      expect(normalizeRecord({ ...costcoRecord, price: '-5.00' }).price).toBe(-5);
+    });
+
+    test('should fall back to the defaults it is given', () => {
+      expect(normalizeRecord({ brand: 'Pampers' }, { retailer: 'Amazon.ca' }).retailer).toBe('Amazon.ca');
+    });
+  });
+
+  describe('productIdFromUrl', () => {
+    test.each([
+      ['https://www.amazon.ca/Pampers-Cruisers/dp/B08QY6HT97?th=1', 'B08QY6HT97'],
+      ['https://www.costco.ca/kirkland-signature-diapers-size-3.product.100506047.html', '100506047'],
+      ['https://www.walmart.ca/en/ip/pampers-cruisers-diapers-size-3/6000200832288', '6000200832288'],
+      ['https://well.ca/products/honest-club-box-diapers-size-3_134567.html', 'honest-club-box-diapers-size-3_134567'],
+      ['https://www.realcanadiansuperstore.ca/pampers-baby-dry/p/20978454_EA/', '20978454_EA']
+    ])('should read %s', (url, id) => {
+      expect(productIdFromUrl(url)).toBe(id);
+    });
+  });
+
+  describe('validateRecord', () => {
+    test('should accept a complete record', () => {
+      expect(validateRecord(costcoRecord)).toMatchObject({ valid: true, reasons: [] });
+    });
+
+    test.each([
+      [{ count: undefined }, 'count is missing'],
+      [{ count: 0 }, 'count 0 is outside 1-1000'],
+      [{ price: 'call for price' }, 'price is missing'],
+      [{ price: 5499 }, 'price 5499 is outside 0-1000'],
+      [{ pricePerDiaper: 0.05 }, 'pricePerDiaper 0.05 does not match price / count'],
+      [{ url: '/en-ca/product/100' }, 'url "/en-ca/product/100" is not absolute'],
+      [{ size: 'Newborn to size 7' }, 'size is longer than 10 characters'],
+      [{ id: undefined, url: undefined }, 'id is missing'],
+      [{ regularPrice: 49.99 }, 'regularPrice is lower than price'],
+      [{ regularPrice: 64.99, salePrice: 49.99 }, 'salePrice does not match price']
+    ])('should reject %p', (change, reason) => {
+      const { valid, reasons } = validateRecord({ ...costcoRecord, ...change });
+
+      expect(valid).toBe(false);
+      expect(reasons).toContain(reason);
+    });
+
+    test('should reject values that are not objects', () => {
+      expect(validateRecord(null)).toMatchObject({ valid: false, reasons: ['record is not an object'] });
+    });
+  });
+
+  test('validateRecords should split accepted and rejected records', () => {
+    const { accepted, rejected } = validateRecords([costcoRecord, { ...costcoRecord, url: null }]);
+
+    expect(accepted).toHaveLength(1);
+    expect(rejected).toEqual([expect.objectContaining({ reasons: ['url is missing'] })]);
+  });
+
+  describe('ScraperManager.runScrapingJob', () => {
+    let originalScrapers;
+
+    beforeEach(() => {
+      originalScrapers = scraperManager.scrapers;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      scraperManager.scrapers = originalScrapers;
+      console.error.mockRestore();
+    });
+
+    test('should return only valid records with a per-retailer report', async () => {
+      scraperManager.scrapers = [
+        { name: 'Costco Canada', searchDiapers: jest.fn().mockResolvedValue([costcoRecord, { ...costcoRecord, count: null }]) },
+        { name: 'Shoppers Drug Mart', searchDiapers: jest.fn().mockResolvedValue([shoppersRecord]) },
+        { name: 'Broken', searchDiapers: jest.fn().mockRejectedValue(new Error('blocked')) }
+      ];
+
+      const { records, report } = await scraperManager.runScrapingJob({ brands: ['Pampers'] });
+
+      expect(records.map(r => r.retailer)).toEqual(['Costco Canada', 'Shoppers Drug Mart']);
+      expect(report['Costco Canada']).toEqual({
+        startedAt: expect.any(Date),
+        finishedAt: expect.any(Date),
+        success: true,
+        found: 2,
+        accepted: 1,
+        rejected: 1,
+        rejections: [{ id: '100', title: null, reasons: ['count is missing'] }],
+        requestsMade: 0,
+        pagesBlocked: 0,
+        queries: [],
+        errors: [],
+        skipped: [],
+        error: null
+      });
+      expect(report['Shoppers Drug Mart']).toMatchObject({ found: 1, accepted: 1, rejected: 0 });
+      expect(report.Broken).toMatchObject({ found: 0, accepted: 0, error: 'blocked' });
+    });
+
+    test('should only run the retailers asked for', async () => {
+      const walmart = { name: 'Walmart.ca', searchDiapers: jest.fn().mockResolvedValue([]) };
+      const superstore = { name: 'Real Canadian Superstore', searchDiapers: jest.fn().mockResolvedValue([]) };
+      scraperManager.scrapers = [walmart, superstore];
+
+      const { report } = await scraperManager.runScrapingJob({ retailers: ['superstore'] });
+
+      expect(Object.keys(report)).toEqual(['Real Canadian Superstore']);
+      expect(walmart.searchDiapers).not.toHaveBeenCalled();
+    });
+
+    test('should log the job and one row per retailer when given a database', async () => {
+      const db = {
+        createScrapeJob: jest.fn().mockResolvedValue({ id: 42 }),
+        logRetailerRun: jest.fn().mockResolvedValue({ id: 1 }),
+        finishScrapeJob: jest.fn().mockResolvedValue({ id: 42 })
+      };
+      const costco = {
+        name: 'Costco Canada',
+        stats: { requestsMade: 3, pagesBlocked: 1, queries: ['https://www.costco.ca/s?q=pampers'], errors: [], skipped: [] },
+        resetStats: jest.fn(),
+        searchDiapers: jest.fn().mockResolvedValue([costcoRecord])
+      };
+      scraperManager.scrapers = [
+        costco,
+        { name: 'Broken', searchDiapers: jest.fn().mockRejectedValue(new Error('blocked')) }
+      ];
+
+      const { jobId } = await scraperManager.runScrapingJob({ brands: ['Pampers'] }, { db });
+
+      expect(jobId).toBe(42);
+      expect(costco.resetStats).toHaveBeenCalled();
+      expect(db.createScrapeJob).toHaveBeenCalledWith({ brands: ['Pampers'] });
+      expect(db.logRetailerRun).toHaveBeenCalledWith(42, 'Costco Canada', expect.objectContaining({
+        success: true,
+        found: 1,
+        requestsMade: 3,
+        pagesBlocked: 1,
+        queries: ['https://www.costco.ca/s?q=pampers']
+      }));
+      expect(db.logRetailerRun).toHaveBeenCalledWith(42, 'Broken', expect.objectContaining({ success: false, error: 'blocked' }));
+      expect(db.finishScrapeJob).toHaveBeenCalledWith(42, {
+        status: 'partial',
+        retailersRun: 2,
+        found: 1,
+        accepted: 1,
+        rejected: 0
+      });
+    });
+
+    test('should mark the job failed when a replay recording is missing', async () => {
+      const db = {
+        createScrapeJob: jest.fn().mockResolvedValue({ id: 7 }),
+        logRetailerRun: jest.fn(),
+        finishScrapeJob: jest.fn().mockResolvedValue({ id: 7 })
+      };
+      const miss = Object.assign(new Error('No recording'), { code: 'REPLAY_MISS' });
+      scraperManager.scrapers = [{ name: 'Costco Canada', searchDiapers: jest.fn().mockRejectedValue(miss) }];
+
+      await expect(scraperManager.runScrapingJob({}, { db })).rejects.toBe(miss);
+      expect(db.finishScrapeJob).toHaveBeenCalledWith(7, { status: 'failed', error: 'No recording' });
+    });
+
+    test('should log to a job the caller already claimed', async () => {
+      const db = {
+        createScrapeJob: jest.fn(),
+        logRetailerRun: jest.fn().mockResolvedValue({ id: 1 }),
+        finishScrapeJob: jest.fn().mockResolvedValue({ id: 9 })
+      };
+      scraperManager.scrapers = [{ name: 'Costco Canada', searchDiapers: jest.fn().mockResolvedValue([costcoRecord]) }];
+
+      const { jobId } = await scraperManager.runScrapingJob({}, { db, job: { id: 9 } });
+
+      expect(jobId).toBe(9);
+      expect(db.createScrapeJob).not.toHaveBeenCalled();
+      expect(db.finishScrapeJob).toHaveBeenCalledWith(9, expect.objectContaining({ status: 'succeeded' }));
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { extractCountDetails } = require('../../server/scrapers/diaper-title-parser');
+const {
+  scoreConfidence,
+  describeProvenance,
+  isLowConfidence,
+  LOW_CONFIDENCE_THRESHOLD
+} = require('../../server/scrapers/provenance');
+
+describe('Count provenance', () => {
+  describe('extractCountDetails', () => {
+    test.each([
+      ['Pampers Baby Dry Diapers Size 3, 198 Count', 198, 'pattern'],
+      ['Pampers Cruisers Diapers Size 4, 2 x 84 Count', 168, 'multipack'],
+      ['Pampers Baby Dry Size 3 - 104', 104, 'fallback-number'],
+      ['Pampers Baby Dry Mega Pack Size 3', 144, 'keyword-default'],
+      ['Pampers Baby Dry Diapers Size 3', null, null]
+    ])('%s', (title, count, countSource) => {
+      expect(extractCountDetails(title, { fallback: true })).toEqual({ count, countSource });
+    });
+
+    test('should not guess unless fallback is requested', () => {
+      expect(extractCountDetails('Pampers Baby Dry Mega Pack Size 3')).toEqual({ count: null, countSource: null });
+    });
+  });
+
+  describe('scoreConfidence', () => {
+    test('should trust stated counts on listing titles', () => {
+      expect(isLowConfidence(scoreConfidence('pattern', 'listing'))).toBe(false);
+      expect(isLowConfidence(scoreConfidence('multipack', 'listing'))).toBe(false);
+    });
+
+    test('should flag guessed counts and titles', () => {
+      expect(isLowConfidence(scoreConfidence('fallback-number', 'listing'))).toBe(true);
+      expect(isLowConfidence(scoreConfidence('keyword-default', 'listing'))).toBe(true);
+      expect(isLowConfidence(scoreConfidence('pattern', 'generated'))).toBe(true);
+    });
+
+    test('should use the weaker of the two sources', () => {
+      expect(scoreConfidence('pattern', 'text-pattern')).toBe(0.6);
+      expect(scoreConfidence('keyword-default', 'listing')).toBe(0.2);
+    });
+
+    test('should score unknown sources as zero', () => {
+      expect(scoreConfidence(null)).toBe(0);
+      expect(scoreConfidence('pattern', 'made-up')).toBe(0);
+    });
+  });
+
+  describe('describeProvenance', () => {
+    test('should default the title source to the listing', () => {
+      expect(describeProvenance('pattern')).toEqual({
+        countSource: 'pattern',
+        titleSource: 'listing',
+        confidence: 0.95
+      });
+    });
+
+    test('should treat missing confidence as low', () => {
+      expect(isLowConfidence(null)).toBe(true);
+      expect(isLowConfidence(undefined)).toBe(true);
+      expect(isLowConfidence(LOW_CONFIDENCE_THRESHOLD)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../../database/db-service.js', () => jest.fn());
+
+const DatabaseService = require('../../database/db-service.js');
+const { findOutlierReasons } = require('../../server/scrapers/outliers');
+const { screenRecords, storeRecords } = require('../../server/jobs/store-records');
+
+const record = {
+  id: '100506047',
+  brand: 'Kirkland',
+  type: 'Signature',
+  size: '3',
+  count: 192,
+  retailer: 'Costco Canada',
+  price: 49.99,
+  pricePerDiaper: 0.2604,
+  url: 'https://www.costco.ca/kirkland-signature-diapers-size-3.product.100506047.html'
+};
+
+// "49,99 $" read as 4999
+const misparsed = { ...record, price: 4999, pricePerDiaper: 26.0365 };
+
+const baselines = {
+  previous: [{ id: 7, retailer: 'Costco Canada', retailer_product_id: '100506047', count: 192, price_per_diaper: '0.2604' }],
+  peers: [{ size: '3', median: 0.3, count: 12 }]
+};
+
+describe('Price quarantine', () => {
+  describe('findOutlierReasons', () => {
+    test('should pass prices close to the offer and its peers', () => {
+      expect(findOutlierReasons(record, { previous: 0.28, peers: { median: 0.3, count: 12 } })).toEqual([]);
+    });
+
+    test('should flag a 5x jump against the published price', () => {
+      expect(findOutlierReasons({ ...record, pricePerDiaper: 1.5 }, { previous: 0.28 }))
+        .toEqual(['pricePerDiaper 1.5 changed 5.4x from 0.28']);
+    });
+
+    test('should flag prices far from the size median', () => {
+      expect(findOutlierReasons({ ...record, pricePerDiaper: 0.09 }, { peers: { median: 0.3, count: 12 } }))
+        .toEqual(['pricePerDiaper 0.09 is 3.3x away from the size 3 median of 0.3']);
+    });
+
+    test('should not trust a median from too few offers', () => {
+      expect(findOutlierReasons({ ...record, pricePerDiaper: 0.09 }, { peers: { median: 0.3, count: 2 } })).toEqual([]);
+    });
+  });
+
+  test('screenRecords should match records to their published offer', () => {
+    const [kept, held] = screenRecords([record, misparsed], baselines);
+
+    expect(kept).toMatchObject({ reasons: [], diaperId: 7, previous: 0.2604, peerMedian: 0.3 });
+    expect(held.reasons).toHaveLength(2);
+  });
+
+  test('storeRecords should upsert plausible records and quarantine the rest', async () => {
+    const db = {
+      getOutlierBaselines: jest.fn().mockResolvedValue(baselines),
+      batchUpsertDiapers: jest.fn().mockResolvedValue([{ id: 9, outcome: 'inserted' }]),
+      quarantineRecords: jest.fn().mockResolvedValue([{ id: 1 }])
+    };
+    const newOffer = { ...record, id: '100506048', count: 246, price: 64.99, pricePerDiaper: 0.2642 };
+
+    const stored = await storeRecords(db, [misparsed, newOffer], { jobId: 42 });
+
+    expect(db.batchUpsertDiapers).toHaveBeenCalledWith([newOffer]);
+    expect(db.quarantineRecords).toHaveBeenCalledWith(42, [expect.objectContaining({ record: misparsed, diaperId: 7 })]);
+    // A quarantined offer still counts as seen for reconciliation
+    expect(stored).toEqual({
+      results: [{ id: 7, outcome: 'quarantined' }, { id: 9, outcome: 'inserted' }],
+      published: 1,
+      quarantined: 1
+    });
+  });
+
+  describe('admin-quarantine function', () => {
+    let db;
+    let handler;
+    const auth = { authorization: 'Bearer s3cret' };
+
+    beforeEach(() => {
+      process.env.ADMIN_API_TOKEN = 's3cret';
+      db = {
+        getQuarantinedRecords: jest.fn().mockResolvedValue([{
+          id: 3, job_id: 42, diaper_id: 7, retailer: 'Costco Canada', retailer_product_id: '100506047', count: 192,
+          record: misparsed, reasons: ['pricePerDiaper 26.0365 changed 100.0x from 0.2604'],
+          previous_price_per_diaper: '0.2604', peer_median_price_per_diaper: null,
+          status: 'pending', created_at: '2025-08-01T12:00:00.000Z', resolved_at: null
+        }]),
+        releaseQuarantinedRecord: jest.fn().mockResolvedValue({ id: 3, result: { id: 7, outcome: 'updated' } }),
+        discardQuarantinedRecord: jest.fn().mockResolvedValue(false)
+      };
+      DatabaseService.mockImplementation(() => db);
+      jest.isolateModules(() => {
+        ({ handler } = require('../../netlify/functions/admin-quarantine'));
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_TOKEN;
+    });
+
+    test('should reject requests without the admin token', async () => {
+      const response = await handler({ httpMethod: 'GET', headers: {} });
+
+      expect(response.statusCode).toBe(401);
+      expect(JSON.parse(response.body)).toMatchObject({ code: 'UNAUTHORIZED' });
+      expect((await handler({ httpMethod: 'GET', headers: { authorization: 'Bearer wrong!' } })).statusCode).toBe(401);
+      expect(db.getQuarantinedRecords).not.toHaveBeenCalled();
+    });
+
+    test('should be disabled when no token is configured', async () => {
+      delete process.env.ADMIN_API_TOKEN;
+
+      const response = await handler({ httpMethod: 'GET', headers: auth });
+
+      expect(response.statusCode).toBe(503);
+      expect(JSON.parse(response.body)).toMatchObject({ code: 'NOT_CONFIGURED' });
+    });
+
+    test('should not leak database errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      db.getQuarantinedRecords.mockRejectedValue(new Error('password authentication failed for user "admin"'));
+
+      const response = await handler({ httpMethod: 'GET', headers: auth, queryStringParameters: {} });
+
+      expect(response.statusCode).toBe(500);
+      expect(JSON.parse(response.body)).toEqual({
+        error: 'Internal error',
+        code: 'INTERNAL_ERROR',
+        message: 'Quarantine request failed',
+        details: []
+      });
+      console.error.mockRestore();
+    });
+
+    test('should list pending records', async () => {
+      const response = await handler({ httpMethod: 'GET', headers: auth, queryStringParameters: {} });
+
+      expect(response.statusCode).toBe(200);
+      expect(db.getQuarantinedRecords).toHaveBeenCalledWith({ status: 'pending' });
+      expect(JSON.parse(response.body).records[0]).toMatchObject({ id: 3, diaperId: 7, previousPricePerDiaper: 0.2604 });
+    });
+
+    test('should release a record into diapers', async () => {
+      const response = await handler({ httpMethod: 'POST', headers: auth, body: JSON.stringify({ id: 3, action: 'release' }) });
+
+      expect(db.releaseQuarantinedRecord).toHaveBeenCalledWith(3);
+      expect(JSON.parse(response.body)).toEqual({ id: 3, status: 'released', diaperId: 7, outcome: 'updated' });
+    });
+
+    test('should report a release superseded by a newer scrape', async () => {
+      db.releaseQuarantinedRecord.mockResolvedValue({ id: 3, result: null });
+
+      const response = await handler({ httpMethod: 'POST', headers: auth, body: JSON.stringify({ id: 3, action: 'release' }) });
+
+      expect(JSON.parse(response.body)).toEqual({ id: 3, status: 'released', diaperId: null, outcome: 'superseded' });
+    });
+
+    test('should 404 when discarding a record that is not pending', async () => {
+      const response = await handler({ httpMethod: 'POST', headers: auth, body: JSON.stringify({ id: 3, action: 'discard' }) });
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('should validate the action', async () => {
+      const response = await handler({ httpMethod: 'POST', headers: auth, body: JSON.stringify({ id: 3, action: 'publish' }) });
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toBe('action must be one of release, discard');
+    });
+  });
+});
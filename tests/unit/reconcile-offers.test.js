@@ -0,0 +1,47 @@
+const { isCompleteRun, reconcileOffers, OFFER_UNAVAILABLE_AFTER_RUNS, OFFER_ARCHIVE_AFTER_RUNS } = require('../../server/jobs/reconcile-offers');
+
+const completeRun = { success: true, errors: [], pagesBlocked: 0 };
+
+describe('Offer reconciliation', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      reconcileRetailerOffers: jest.fn().mockResolvedValue({ missed: 1, marked_unavailable: 0, archived: 0 })
+    };
+  });
+
+  test('should only trust runs without errors or blocked pages', () => {
+    expect(isCompleteRun(completeRun)).toBe(true);
+    expect(isCompleteRun({ ...completeRun, success: false })).toBe(false);
+    expect(isCompleteRun({ ...completeRun, errors: [{ url: 'https://www.walmart.ca/search', message: 'timeout' }] })).toBe(false);
+    expect(isCompleteRun({ ...completeRun, pagesBlocked: 1 })).toBe(false);
+  });
+
+  test('should reconcile each complete retailer with the ids it returned', async () => {
+    const records = [{ retailer: 'Walmart' }, { retailer: 'Costco' }, { retailer: 'Walmart' }, { retailer: 'Walmart' }];
+    const results = [{ id: 4, outcome: 'updated' }, { id: 9, outcome: 'inserted' }, { outcome: 'duplicate' }, { id: 7, outcome: 'unchanged' }];
+    const report = { Walmart: completeRun, Costco: { ...completeRun, pagesBlocked: 2 } };
+
+    const summary = await reconcileOffers(db, report, records, results);
+
+    expect(db.reconcileRetailerOffers).toHaveBeenCalledTimes(1);
+    expect(db.reconcileRetailerOffers).toHaveBeenCalledWith('Walmart', [4, 7], {
+      unavailableAfter: OFFER_UNAVAILABLE_AFTER_RUNS,
+      archiveAfter: OFFER_ARCHIVE_AFTER_RUNS
+    });
+    expect(summary).toEqual({ Walmart: { missed: 1, marked_unavailable: 0, archived: 0 }, Costco: { skipped: true } });
+  });
+
+  test('should never retire a retailer whose records were not stored', async () => {
+    const summary = await reconcileOffers(db, { Walmart: completeRun }, [], []);
+
+    expect(db.reconcileRetailerOffers).not.toHaveBeenCalled();
+    expect(summary).toEqual({ Walmart: { skipped: true } });
+  });
+
+  test('should default to 3 runs before unavailable and 10 before archived', () => {
+    expect(OFFER_UNAVAILABLE_AFTER_RUNS).toBe(3);
+    expect(OFFER_ARCHIVE_AFTER_RUNS).toBe(10);
+  });
+});
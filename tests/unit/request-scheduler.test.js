@@ -0,0 +1,201 @@
+const { RequestScheduler, parseRobots, isPathAllowed } = require('../../server/scrapers/request-scheduler');
+const BaseScraper = require('../../server/scrapers/base-scraper');
+
+const ROBOTS_TXT = `
+# Example retailer
+User-agent: *
+Disallow: /checkout
+Disallow: /*?*sort=
+Allow: /checkout/help$
+Crawl-delay: 5
+
+User-agent: BadBot
+Disallow: /
+`;
+
+/**
+ * Build a scheduler with a fake clock so interval tests run instantly
+ */
+function createScheduler(options = {}) {
+  let clock = 0;
+  const sleeps = [];
+  const scheduler = new RequestScheduler({
+    minInterval: 1000,
+    jitter: 0,
+    now: () => clock,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      clock += ms;
+    },
+    fetchRobotsTxt: jest.fn().mockResolvedValue({ status: 200, text: '' }),
+    ...options
+  });
+  return { scheduler, sleeps, advance: (ms) => { clock += ms; } };
+}
+
+describe('RequestScheduler', () => {
+  describe('robots.txt parsing', () => {
+    test('should use the wildcard group when no group names us', () => {
+      const { rules, crawlDelay } = parseRobots(ROBOTS_TXT, 'DiaperPricesBot');
+
+      expect(rules).toHaveLength(3);
+      expect(crawlDelay).toBe(5000);
+    });
+
+    test('should prefer a group naming our user agent', () => {
+      expect(parseRobots(ROBOTS_TXT, 'BadBot/1.0').rules).toEqual([{ allow: false, pattern: '/' }]);
+    });
+
+    test.each([
+      ['/en/search?q=pampers', true],
+      ['/checkout/cart', false],
+      ['/checkout/help', true],
+      ['/checkout/help/faq', false],
+      ['/en/search?q=pampers&sort=price', false]
+    ])('should decide %s', (path, allowed) => {
+      expect(isPathAllowed(parseRobots(ROBOTS_TXT).rules, path)).toBe(allowed);
+    });
+  });
+
+  describe('robots.txt enforcement', () => {
+    test('should skip and log disallowed URLs without running the task', async () => {
+      const { scheduler } = createScheduler({
+        fetchRobotsTxt: jest.fn().mockResolvedValue({ status: 200, text: ROBOTS_TXT })
+      });
+      const task = jest.fn();
+
+      await expect(scheduler.schedule('Example', 'https://www.example.ca/checkout/cart', task))
+        .rejects.toMatchObject({ code: 'ROBOTS_DISALLOWED' });
+      expect(task).not.toHaveBeenCalled();
+      expect(scheduler.skipped).toEqual([
+        expect.objectContaining({ retailer: 'Example', url: 'https://www.example.ca/checkout/cart' })
+      ]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('disallowed by robots.txt'));
+    });
+
+    test('should fetch robots.txt once per origin', async () => {
+      const fetchRobotsTxt = jest.fn().mockResolvedValue({ status: 200, text: ROBOTS_TXT });
+      const { scheduler } = createScheduler({ fetchRobotsTxt });
+
+      await Promise.all([
+        scheduler.isAllowed('https://www.example.ca/a'),
+        scheduler.isAllowed('https://www.example.ca/b'),
+        scheduler.isAllowed('https://www.other.ca/a')
+      ]);
+
+      expect(fetchRobotsTxt.mock.calls).toEqual([['https://www.example.ca'], ['https://www.other.ca']]);
+    });
+
+    test('should allow everything when robots.txt is missing', async () => {
+      const { scheduler } = createScheduler({
+        fetchRobotsTxt: jest.fn().mockResolvedValue({ status: 404, text: 'Not found' })
+      });
+
+      expect(await scheduler.isAllowed('https://www.example.ca/checkout')).toBe(true);
+    });
+
+    test('should hold off while robots.txt is failing', async () => {
+      const { scheduler } = createScheduler({
+        fetchRobotsTxt: jest.fn().mockResolvedValue({ status: 503, text: '' })
+      });
+
+      expect(await scheduler.isAllowed('https://www.example.ca/en/search')).toBe(false);
+    });
+  });
+
+  describe('pacing', () => {
+    test('should space requests for a retailer by the minimum interval', async () => {
+      const { scheduler, sleeps } = createScheduler();
+      const task = jest.fn().mockResolvedValue('ok');
+
+      for (let i = 0; i < 3; i++) {
+        await scheduler.schedule('Example', `https://www.example.ca/p/${i}`, task);
+      }
+
+      expect(task).toHaveBeenCalledTimes(3);
+      expect(sleeps).toEqual([1000, 1000]);
+    });
+
+    test('should not wait when the interval has already passed', async () => {
+      const { scheduler, sleeps, advance } = createScheduler();
+
+      await scheduler.schedule('Example', 'https://www.example.ca/a', async () => {});
+      advance(5000);
+      await scheduler.schedule('Example', 'https://www.example.ca/b', async () => {});
+
+      expect(sleeps).toEqual([]);
+    });
+
+    test('should honour a longer Crawl-delay and per-retailer overrides', async () => {
+      const { scheduler, sleeps } = createScheduler({
+        fetchRobotsTxt: jest.fn().mockResolvedValue({ status: 200, text: ROBOTS_TXT })
+      });
+
+      await scheduler.schedule('Example', 'https://www.example.ca/a', async () => {});
+      await scheduler.schedule('Example', 'https://www.example.ca/b', async () => {});
+      await scheduler.schedule('Other', 'https://www.other.ca/a', async () => {}, { minInterval: 8000 });
+      await scheduler.schedule('Other', 'https://www.other.ca/b', async () => {}, { minInterval: 8000 });
+
+      expect(sleeps).toEqual([5000, 8000]);
+    });
+
+    test('should cap concurrent requests per host', async () => {
+      const { scheduler } = createScheduler({ minInterval: 0, maxConcurrentPerHost: 2 });
+      let active = 0;
+      let maxActive = 0;
+      const task = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setImmediate(resolve));
+        active--;
+      };
+
+      await Promise.all([1, 2, 3, 4, 5].map(i => scheduler.schedule(`Retailer ${i}`, `https://www.example.ca/${i}`, task)));
+
+      expect(maxActive).toBe(2);
+    });
+
+    test('should release the slot when a task fails', async () => {
+      const { scheduler } = createScheduler({ minInterval: 0 });
+
+      await expect(scheduler.schedule('Example', 'https://www.example.ca/a', async () => {
+        throw new Error('timeout');
+      })).rejects.toThrow('timeout');
+
+      await expect(scheduler.schedule('Example', 'https://www.example.ca/b', async () => 'ok')).resolves.toBe('ok');
+    });
+  });
+
+  test('BaseScraper should not retry requests disallowed by robots.txt', async () => {
+    const { scheduler } = createScheduler({
+      fetchRobotsTxt: jest.fn().mockResolvedValue({ status: 200, text: ROBOTS_TXT })
+    });
+    const scraper = new BaseScraper('Example', 'https://www.example.ca');
+    scraper.scheduler = scheduler;
+    scraper.axiosInstance.get = jest.fn();
+
+    await expect(scraper.makeRequest('https://www.example.ca/checkout/cart'))
+      .rejects.toMatchObject({ code: 'ROBOTS_DISALLOWED' });
+    expect(scraper.axiosInstance.get).not.toHaveBeenCalled();
+  });
+
+  test('BaseScraper should count requests and robots.txt skips for the run', async () => {
+    const { scheduler } = createScheduler({
+      fetchRobotsTxt: jest.fn().mockResolvedValue({ status: 200, text: ROBOTS_TXT })
+    });
+    const scraper = new BaseScraper('Example', 'https://www.example.ca');
+    scraper.scheduler = scheduler;
+
+    await scraper.schedule('https://www.example.ca/en/search?q=pampers', async () => 'ok');
+    await expect(scraper.schedule('https://www.example.ca/checkout/cart', async () => 'ok')).rejects.toThrow();
+
+    expect(scraper.stats).toMatchObject({
+      requestsMade: 1,
+      queries: ['https://www.example.ca/en/search?q=pampers'],
+      skipped: [{ url: 'https://www.example.ca/checkout/cart', reason: 'robots.txt' }]
+    });
+
+    scraper.resetStats();
+    expect(scraper.stats.requestsMade).toBe(0);
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ResponseCache = require('../../server/scrapers/response-cache');
+const BaseScraper = require('../../server/scrapers/base-scraper');
+
+describe('ResponseCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => new ResponseCache('sometimes', directory)).toThrow(/Unknown response cache mode/);
+  });
+
+  test('should key recordings by host and URL', () => {
+    const cache = new ResponseCache('record', directory);
+    const first = cache.keyFor('https://www.amazon.ca/s?k=pampers');
+    const second = cache.keyFor('https://www.amazon.ca/s?k=huggies');
+
+    expect(first).toMatch(/^amazon\.ca-[0-9a-f]{16}$/);
+    expect(first).not.toBe(second);
+    expect(cache.keyFor('https://www.amazon.ca/s?k=pampers')).toBe(first);
+  });
+
+  test('should replay what was recorded', () => {
+    const url = 'https://well.ca/en/search?q=pampers';
+    new ResponseCache('record', directory).save(url, '<html>recorded</html>', { status: 200, source: 'puppeteer' });
+
+    const response = new ResponseCache('replay', directory).load(url);
+
+    expect(response.data).toBe('<html>recorded</html>');
+    expect(response.status).toBe(200);
+    expect(response.fromCache).toBe(true);
+  });
+
+  test('should fail loudly on a cache miss', () => {
+    const cache = new ResponseCache('replay', directory);
+
+    expect(() => cache.load('https://www.costco.ca/missing')).toThrow(/Replay cache miss/);
+    try {
+      cache.load('https://www.costco.ca/missing');
+    } catch (error) {
+      expect(error.code).toBe('REPLAY_MISS');
+      expect(error.url).toBe('https://www.costco.ca/missing');
+    }
+  });
+});
+
+describe('BaseScraper replay mode', () => {
+  let directory;
+  let scraper;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    scraper = new BaseScraper('Test Retailer', 'https://example.ca');
+    scraper.useResponseCache('replay', directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should serve makeRequest from recordings without using axios', async () => {
+    const url = 'https://example.ca/search?q=diapers';
+    new ResponseCache('record', directory).save(url, '<html>diapers</html>');
+    scraper.axiosInstance.get = jest.fn();
+
+    const response = await scraper.makeRequest(url);
+
+    expect(response.data).toBe('<html>diapers</html>');
+    expect(scraper.axiosInstance.get).not.toHaveBeenCalled();
+  });
+
+  test('should not retry a replay cache miss', async () => {
+    scraper.axiosInstance.get = jest.fn();
+
+    await expect(scraper.makeRequest('https://example.ca/unknown')).rejects.toMatchObject({ code: 'REPLAY_MISS' });
+    expect(scraper.axiosInstance.get).not.toHaveBeenCalled();
+  });
+});
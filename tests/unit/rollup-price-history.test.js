@@ -0,0 +1,40 @@
+const { cutoffDay, runPriceHistoryRollup, RAW_RETENTION_DAYS, DAILY_RETENTION_DAYS } = require('../../server/jobs/rollup-price-history');
+
+const NOW = Date.parse('2025-08-01T12:00:00Z');
+
+describe('Price history rollup', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      rollupPriceHistory: jest.fn().mockResolvedValue({ raw_rows: 120, days: 40 }),
+      prunePriceHistoryDaily: jest.fn().mockResolvedValue({ days: 3 })
+    };
+  });
+
+  test('cutoffDay should keep the given number of days including today', () => {
+    expect(cutoffDay(NOW, 1)).toBe('2025-08-01');
+    expect(cutoffDay(NOW, 90)).toBe('2025-05-04');
+  });
+
+  test('should default to 90 raw days and keep rollups forever', () => {
+    expect(RAW_RETENTION_DAYS).toBe(90);
+    expect(DAILY_RETENTION_DAYS).toBe(0);
+  });
+
+  test('should compact raw rows and leave rollups alone by default', async () => {
+    const result = await runPriceHistoryRollup({ db, now: NOW });
+
+    expect(db.rollupPriceHistory).toHaveBeenCalledWith('2025-05-04');
+    expect(db.prunePriceHistoryDaily).not.toHaveBeenCalled();
+    expect(result).toEqual({ rawBefore: '2025-05-04', rawRows: 120, days: 40, dailyBefore: null, prunedDays: 0 });
+  });
+
+  test('should prune rollups past their retention but never inside the raw window', async () => {
+    await runPriceHistoryRollup({ db, now: NOW, rawDays: 30, dailyDays: 365 });
+    expect(db.prunePriceHistoryDaily).toHaveBeenCalledWith('2024-08-02');
+
+    await runPriceHistoryRollup({ db, now: NOW, rawDays: 30, dailyDays: 7 });
+    expect(db.prunePriceHistoryDaily).toHaveBeenLastCalledWith('2025-07-03');
+  });
+});
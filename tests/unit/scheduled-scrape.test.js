@@ -0,0 +1,152 @@
+const { SCRAPING_INTERVAL, getSkipReason, runScheduledScrape } = require('../../server/jobs/scheduled-scrape');
+
+const NOW = Date.parse('2025-08-01T12:00:00Z');
+const hoursAgo = hours => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+
+describe('Scheduled scrape', () => {
+  let db;
+  let scraperManager;
+
+  beforeEach(() => {
+    db = {
+      getLatestScrapeJob: jest.fn().mockResolvedValue(null),
+      claimScrapeJob: jest.fn().mockResolvedValue({ id: 3, started_at: hoursAgo(0) }),
+      getOutlierBaselines: jest.fn().mockResolvedValue({ previous: [], peers: [] }),
+      batchUpsertDiapers: jest.fn().mockResolvedValue([]),
+      quarantineRecords: jest.fn(),
+      reconcileRetailerOffers: jest.fn()
+    };
+    scraperManager = {
+      runScrapingJob: jest.fn().mockResolvedValue({ jobId: 3, records: [{ id: '100' }], report: {} })
+    };
+  });
+
+  describe('getSkipReason', () => {
+    test('should run when there is no previous job', () => {
+      expect(getSkipReason(null, NOW)).toBeNull();
+    });
+
+    test('should wait out the interval after a completed job', () => {
+      expect(getSkipReason({ id: 2, status: 'succeeded', started_at: hoursAgo(1) }, NOW)).toMatch('job 2 ran at');
+      expect(getSkipReason({ id: 2, status: 'partial', started_at: new Date(NOW - SCRAPING_INTERVAL) }, NOW)).toBeNull();
+    });
+
+    test('should not push a run back a whole tick when the schedule drifts', () => {
+      expect(getSkipReason({ id: 2, status: 'succeeded', started_at: new Date(NOW - SCRAPING_INTERVAL + 60 * 1000) }, NOW)).toBeNull();
+    });
+
+    test('should retry straight after a failed job', () => {
+      expect(getSkipReason({ id: 2, status: 'failed', started_at: hoursAgo(1) }, NOW)).toBeNull();
+    });
+
+    test('should not overlap a job that is still running', () => {
+      expect(getSkipReason({ id: 2, status: 'running', started_at: hoursAgo(1) }, NOW)).toBe('job 2 is still running');
+      expect(getSkipReason({ id: 2, status: 'running', started_at: hoursAgo(3) }, NOW)).toBeNull();
+    });
+  });
+
+  test('should run every scraper and store the accepted records', async () => {
+    const result = await runScheduledScrape({ db, scraperManager, now: NOW });
+
+    expect(db.claimScrapeJob).toHaveBeenCalledWith({}, { runningMs: 2 * 60 * 60 * 1000, intervalMs: SCRAPING_INTERVAL - 15 * 60 * 1000 });
+    expect(scraperManager.runScrapingJob).toHaveBeenCalledWith({}, { db, job: { id: 3, started_at: hoursAgo(0) } });
+    expect(db.batchUpsertDiapers).toHaveBeenCalledWith([{ id: '100' }]);
+    expect(result).toMatchObject({ skipped: false, jobId: 3, stored: 1 });
+  });
+
+  test('should retire offers missed by a complete run but not by a filtered one', async () => {
+    const report = { Walmart: { success: true, errors: [], pagesBlocked: 0 } };
+    scraperManager.runScrapingJob.mockResolvedValue({ jobId: 3, records: [{ retailer: 'Walmart' }], report });
+    db.batchUpsertDiapers.mockResolvedValue([{ id: 12, outcome: 'unchanged' }]);
+    db.reconcileRetailerOffers.mockResolvedValue({ missed: 2, marked_unavailable: 1, archived: 0 });
+
+    const result = await runScheduledScrape({ db, scraperManager, now: NOW });
+    expect(db.reconcileRetailerOffers).toHaveBeenCalledWith('Walmart', [12], expect.any(Object));
+    expect(result.reconciled).toEqual({ Walmart: { missed: 2, marked_unavailable: 1, archived: 0 } });
+
+    db.reconcileRetailerOffers.mockClear();
+    await runScheduledScrape({ db, scraperManager, options: { brands: ['Huggies'] }, now: NOW });
+    expect(db.reconcileRetailerOffers).not.toHaveBeenCalled();
+  });
+
+  test('should keep the stored records when reconciliation fails', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    scraperManager.runScrapingJob.mockResolvedValue({
+      jobId: 3, records: [{ retailer: 'Walmart' }], report: { Walmart: { success: true, errors: [], pagesBlocked: 0 } }
+    });
+    db.batchUpsertDiapers.mockResolvedValue([{ id: 12, outcome: 'unchanged' }]);
+    db.reconcileRetailerOffers.mockRejectedValue(new Error('connection reset'));
+
+    const result = await runScheduledScrape({ db, scraperManager, now: NOW });
+
+    expect(result).toMatchObject({ skipped: false, stored: 1, reconciled: null });
+    expect(consoleError).toHaveBeenCalledWith('Could not reconcile offers for scrape job 3:', 'connection reset');
+    consoleError.mockRestore();
+  });
+
+  test('should skip when the last run is recent unless forced', async () => {
+    db.getLatestScrapeJob.mockResolvedValue({ id: 2, status: 'succeeded', started_at: hoursAgo(1) });
+
+    expect(await runScheduledScrape({ db, scraperManager, now: NOW })).toMatchObject({ skipped: true });
+    expect(scraperManager.runScrapingJob).not.toHaveBeenCalled();
+
+    await runScheduledScrape({ db, scraperManager, now: NOW, force: true });
+    expect(db.claimScrapeJob).not.toHaveBeenCalled();
+    expect(scraperManager.runScrapingJob).toHaveBeenCalledWith({}, { db, job: null });
+  });
+
+  test('should back off when an overlapping invocation claimed the run first', async () => {
+    db.claimScrapeJob.mockResolvedValue(null);
+
+    const result = await runScheduledScrape({ db, scraperManager, now: NOW });
+
+    expect(result).toEqual({ skipped: true, reason: 'another run started first' });
+    expect(scraperManager.runScrapingJob).not.toHaveBeenCalled();
+  });
+
+  describe('Netlify functions', () => {
+    beforeEach(() => {
+      process.env.ADMIN_API_TOKEN = 's3cret';
+      process.env.URL = 'https://diapers.example';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_API_TOKEN;
+      delete process.env.URL;
+      delete global.fetch;
+      console.error.mockRestore();
+    });
+
+    test('should hand the run off to the background function', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ status: 202 });
+      const { handler } = require('../../netlify/functions/scheduled-scrape');
+
+      const response = await handler({});
+
+      expect(response.statusCode).toBe(200);
+      expect(global.fetch).toHaveBeenCalledWith('https://diapers.example/.netlify/functions/scrape-background', {
+        method: 'POST',
+        headers: { Authorization: 'Bearer s3cret' }
+      });
+
+      global.fetch.mockResolvedValue({ status: 404 });
+      expect((await handler({})).statusCode).toBe(500);
+    });
+
+    test('should only scrape in the background for a caller with the admin token', async () => {
+      let handler;
+      jest.isolateModules(() => {
+        jest.doMock('../../database/db-service.js', () => jest.fn(() => db));
+        jest.doMock('../../server/scrapers', () => scraperManager);
+        ({ handler } = require('../../netlify/functions/scrape-background'));
+      });
+
+      expect(await handler({ headers: { authorization: 'Bearer wrong' } })).toEqual({ statusCode: 401 });
+      expect(scraperManager.runScrapingJob).not.toHaveBeenCalled();
+
+      expect(await handler({ headers: { authorization: 'Bearer s3cret' } })).toEqual({ statusCode: 200 });
+      expect(scraperManager.runScrapingJob).toHaveBeenCalled();
+    });
+  });
+});
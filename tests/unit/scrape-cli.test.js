@@ -0,0 +1,118 @@
+const { parseArgs, formatSummary, main } = require('../../server/cli/scrape');
+
+const record = {
+  id: '100',
+  brand: 'Kirkland',
+  type: 'Signature',
+  size: '3',
+  count: 180,
+  retailer: 'Costco Canada',
+  price: 54.99,
+  pricePerDiaper: 0.3055,
+  confidence: 0.95,
+  url: 'https://www.costco.ca/kirkland-signature-diapers-size-3.product.100.html'
+};
+
+const report = {
+  'Costco Canada': {
+    startedAt: new Date('2025-08-01T12:00:00Z'),
+    finishedAt: new Date('2025-08-01T12:00:04Z'),
+    found: 2,
+    accepted: 1,
+    rejected: 1,
+    requestsMade: 3,
+    pagesBlocked: 0,
+    error: null
+  }
+};
+
+/**
+ * Build a fake ScraperManager that returns one Costco record
+ */
+function createManager() {
+  return {
+    getScrapers: jest.fn(retailers => (retailers.includes('nowhere') ? [] : [{ name: 'Costco Canada' }])),
+    getRetailers: jest.fn(() => ['Costco Canada']),
+    useResponseCache: jest.fn(),
+    runScrapingJob: jest.fn().mockResolvedValue({ jobId: 9, records: [record], report })
+  };
+}
+
+describe('Scrape CLI', () => {
+  describe('parseArgs', () => {
+    test('should collect repeated and comma-separated values', () => {
+      expect(parseArgs(['--retailer', 'walmart', '--brand', 'Pampers,Huggies', '--size=3', '--size', '4', '--dry-run']))
+        .toMatchObject({ retailers: ['walmart'], brands: ['Pampers', 'Huggies'], sizes: ['3', '4'], dryRun: true, output: 'table' });
+    });
+
+    test.each([
+      [['--output', 'csv'], '--output must be json or table, got "csv"'],
+      [['--brand'], '--brand needs a value'],
+      [['--replay-dir', '--dry-run'], '--replay-dir needs a value'],
+      [['--verbose'], 'Unknown option --verbose']
+    ])('should reject %p', (argv, message) => {
+      expect(() => parseArgs(argv)).toThrow(message);
+    });
+  });
+
+  test('formatSummary should show one row per retailer', () => {
+    const lines = formatSummary(report).split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toMatch(/^Costco Canada\s+2\s+1\s+1\s+3\s+0\s+4\.0$/);
+  });
+
+  describe('main', () => {
+    let manager;
+    let output;
+    let db;
+
+    beforeEach(() => {
+      manager = createManager();
+      output = [];
+      db = {
+        getOutlierBaselines: jest.fn().mockResolvedValue({ previous: [], peers: [] }),
+        batchUpsertDiapers: jest.fn().mockResolvedValue([])
+      };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    const run = argv => main(argv, { scraperManager: manager, createDb: () => db, write: text => output.push(text) });
+
+    test('should not touch the database on a dry run', async () => {
+      const createDb = jest.fn();
+
+      const code = await main(['--retailer', 'costco', '--dry-run', '--replay-dir', '/tmp/recordings'], {
+        scraperManager: manager, createDb, write: text => output.push(text)
+      });
+
+      expect(code).toBe(0);
+      expect(createDb).not.toHaveBeenCalled();
+      expect(manager.useResponseCache).toHaveBeenCalledWith('replay', '/tmp/recordings');
+      expect(manager.runScrapingJob).toHaveBeenCalledWith({ retailers: ['costco'] }, { db: null });
+      expect(output.join('\n')).toContain('Dry run: 1 records not saved.');
+    });
+
+    test('should log the job and save records without --dry-run', async () => {
+      await run(['--brand', 'Kirkland']);
+
+      expect(manager.runScrapingJob).toHaveBeenCalledWith({ brands: ['Kirkland'] }, { db });
+      expect(db.batchUpsertDiapers).toHaveBeenCalledWith([record]);
+    });
+
+    test('should print records and the report as JSON', async () => {
+      await run(['--dry-run', '--output', 'json']);
+
+      expect(JSON.parse(output[0])).toMatchObject({ dryRun: true, records: [{ id: '100' }], report: { 'Costco Canada': { found: 2 } } });
+    });
+
+    test('should fail when no retailer matches', async () => {
+      expect(await run(['--retailer', 'nowhere'])).toBe(2);
+      expect(manager.runScrapingJob).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const {
+  extractStructuredProducts,
+  fromJsonLd,
+  fromMicrodata,
+  fromOpenGraph,
+  parsePrice
+} = require('../../server/scrapers/structured-data');
+const cheerio = require('cheerio');
+const BaseScraper = require('../../server/scrapers/base-scraper');
+
+const jsonLdPage = (data) => `<html><head>
+  <script type="application/ld+json">${JSON.stringify(data)}</script>
+</head><body></body></html>`;
+
+const SEARCH_PAGE_JSON_LD = jsonLdPage({
+  '@context': 'https://schema.org',
+  '@type': 'ItemList',
+  itemListElement: [
+    {
+      '@type': 'ListItem',
+      position: 1,
+      item: {
+        '@type': 'Product',
+        name: 'Pampers Baby Dry Diapers Size 3, 198 Count',
+        brand: { '@type': 'Brand', name: 'Pampers' },
+        sku: '10293847',
+        gtin13: '0037000862888',
+        url: '/en/ip/pampers-baby-dry-size-3/10293847',
+        offers: {
+          '@type': 'Offer',
+          price: '49.97',
+          priceCurrency: 'CAD',
+          availability: 'https://schema.org/InStock',
+          priceValidUntil: '2025-08-31',
+          priceSpecification: {
+            '@type': 'UnitPriceSpecification',
+            priceType: 'https://schema.org/StrikethroughPrice',
+            price: 59.97
+          }
+        }
+      }
+    },
+    {
+      '@type': 'ListItem',
+      position: 2,
+      item: {
+        '@type': 'Product',
+        name: 'Pampers Baby Dry Diapers Size 4, 174 Count',
+        brand: 'Pampers',
+        url: 'https://www.example.ca/en/ip/pampers-baby-dry-size-4/5566',
+        offers: { '@type': 'Offer', price: 49.97, priceCurrency: 'CAD', availability: 'https://schema.org/OutOfStock' }
+      }
+    },
+    {
+      '@type': 'ListItem',
+      position: 3,
+      item: {
+        '@type': 'Product',
+        name: 'Pampers Sensitive Baby Wipes, 12 Pop-Top Packs',
+        brand: 'Pampers',
+        offers: { '@type': 'Offer', price: 29.97 }
+      }
+    }
+  ]
+});
+
+const MICRODATA_PAGE = `<html><body>
+  <div itemscope itemtype="https://schema.org/Product">
+    <h2 itemprop="name">Huggies Little Movers Diapers, Size 4, 120 Count</h2>
+    <meta itemprop="gtin12" content="036000451390">
+    <span itemprop="brand" itemscope itemtype="https://schema.org/Brand"><span itemprop="name">Huggies</span></span>
+    <a itemprop="url" href="/huggies-little-movers-size-4.html">View</a>
+    <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+      <span itemprop="price" content="44.99">$44.99</span>
+      <meta itemprop="priceCurrency" content="CAD">
+      <link itemprop="availability" href="https://schema.org/InStock">
+    </div>
+  </div>
+</body></html>`;
+
+const OPEN_GRAPH_PAGE = `<html><head>
+  <meta property="og:type" content="product">
+  <meta property="og:title" content="Kirkland Signature Diapers Size 3, 180-count">
+  <meta property="og:url" content="https://www.costco.ca/kirkland-signature-diapers-size-3.product.100.html">
+  <meta property="product:price:amount" content="54,99">
+  <meta property="product:sale_price:amount" content="44,99">
+  <meta property="product:sale_price_dates:end" content="2025-08-15T23:59:59-04:00">
+  <meta property="product:price:currency" content="CAD">
+  <meta property="product:availability" content="in stock">
+</head><body></body></html>`;
+
+describe('Structured Data Extraction', () => {
+  describe('JSON-LD', () => {
+    test('should read products nested in an ItemList', () => {
+      const products = fromJsonLd(cheerio.load(SEARCH_PAGE_JSON_LD));
+
+      expect(products).toHaveLength(3);
+      expect(products[0]).toMatchObject({
+        name: 'Pampers Baby Dry Diapers Size 3, 198 Count',
+        brand: 'Pampers',
+        sku: '10293847',
+        gtin: '0037000862888',
+        price: 49.97,
+        regularPrice: 59.97,
+        promoEndsAt: '2025-08-31',
+        priceCurrency: 'CAD',
+        availability: 'InStock',
+        inStock: true,
+        source: 'json-ld'
+      });
+      expect(products[1]).toMatchObject({ availability: 'OutOfStock', inStock: false, regularPrice: null, promoEndsAt: null });
+    });
+
+    test('should read @graph, AggregateOffer and ProductGroup variants', () => {
+      const html = jsonLdPage({
+        '@graph': [
+          { '@type': 'BreadcrumbList', itemListElement: [] },
+          {
+            '@type': 'ProductGroup',
+            brand: 'Huggies',
+            hasVariant: [
+              { '@type': 'Product', name: 'Huggies Snug & Dry Size 4, 174 Ct', offers: { '@type': 'AggregateOffer', lowPrice: '39.99', highPrice: '45.99' } },
+              { '@type': 'Product', name: 'Huggies Snug & Dry Size 5, 150 Ct', offers: [{ price: '44.99' }, { price: '41.49' }] }
+            ]
+          }
+        ]
+      });
+
+      const products = fromJsonLd(cheerio.load(html));
+
+      expect(products.map(p => [p.brand, p.price])).toEqual([['Huggies', 39.99], ['Huggies', 41.49]]);
+    });
+
+    test('should skip malformed blocks and products without prices', () => {
+      const html = `<script type="application/ld+json">{ not json</script>
+        <script type="application/ld+json">{"@type":"Product","name":"Pampers Cruisers Size 5, 66 Count"}</script>`;
+
+      expect(fromJsonLd(cheerio.load(html))).toEqual([]);
+    });
+  });
+
+  test('should read microdata without mixing in nested scopes', () => {
+    const [product] = fromMicrodata(cheerio.load(MICRODATA_PAGE));
+
+    expect(product).toMatchObject({
+      name: 'Huggies Little Movers Diapers, Size 4, 120 Count',
+      brand: 'Huggies',
+      gtin: '036000451390',
+      url: '/huggies-little-movers-size-4.html',
+      price: 44.99,
+      priceCurrency: 'CAD',
+      inStock: true,
+      source: 'microdata'
+    });
+  });
+
+  test('should read Open Graph product tags with a sale price', () => {
+    const [product] = fromOpenGraph(cheerio.load(OPEN_GRAPH_PAGE));
+
+    expect(product).toMatchObject({
+      name: 'Kirkland Signature Diapers Size 3, 180-count',
+      price: 44.99,
+      regularPrice: 54.99,
+      promoEndsAt: '2025-08-15T23:59:59-04:00',
+      availability: 'InStock',
+      source: 'open-graph'
+    });
+  });
+
+  test('should prefer JSON-LD over other sources', () => {
+    const html = SEARCH_PAGE_JSON_LD.replace('</head>', OPEN_GRAPH_PAGE.match(/<meta[\s\S]*<\/head>/)[0]);
+
+    expect(extractStructuredProducts(html).every(p => p.source === 'json-ld')).toBe(true);
+    expect(extractStructuredProducts('<html><body><h1>Diapers</h1></body></html>')).toEqual([]);
+  });
+
+  test.each([
+    ['$19.99', 19.99],
+    ['19,99 $', 19.99],
+    ['1,299.99', 1299.99],
+    [42, 42],
+    ['0', null],
+    ['', null]
+  ])('should parse price %p', (value, expected) => {
+    expect(parsePrice(value)).toBe(expected);
+  });
+
+  describe('BaseScraper.extractStructuredRecords', () => {
+    test('should build standard records for matching diapers only', () => {
+      const scraper = new BaseScraper('Example', 'https://www.example.ca');
+
+      const records = scraper.extractStructuredRecords(SEARCH_PAGE_JSON_LD, { brand: 'Pampers', size: '3' });
+
+      expect(records).toHaveLength(1);
+      expect(records[0]).toMatchObject({
+        id: '10293847',
+        brand: 'Pampers',
+        type: 'Baby Dry',
+        size: '3',
+        count: 198,
+        retailer: 'Example',
+        price: 49.97,
+        regularPrice: 59.97,
+        pricePerDiaper: 0.25,
+        url: 'https://www.example.ca/en/ip/pampers-baby-dry-size-3/10293847',
+        gtin: '0037000862888',
+        inStock: true,
+        countSource: 'pattern',
+        titleSource: 'structured-data'
+      });
+    });
+
+    test('should respect the record limit', () => {
+      const scraper = new BaseScraper('Example', 'https://www.example.ca');
+
+      expect(scraper.extractStructuredRecords(SEARCH_PAGE_JSON_LD, { brand: 'Pampers', limit: 1 })).toHaveLength(1);
+    });
+  });
+});
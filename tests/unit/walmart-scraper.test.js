@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('puppeteer-extra', () => ({ use: jest.fn(), launch: jest.fn() }), { virtual: true });
+jest.mock('puppeteer-extra-plugin-stealth', () => jest.fn(), { virtual: true });
+jest.mock('@antiadmin/anticaptchaofficial', () => ({ setAPIKey: jest.fn(), solveAntiGateTask: jest.fn() }), { virtual: true });
+
+const puppeteer = require('puppeteer-extra');
+const WalmartScraper = require('../../server/scrapers/walmart-scraper');
+const ResponseCache = require('../../server/scrapers/response-cache');
+
+// Search results page saved from walmart.ca/en/search?q=Huggies+diapers+size+1
+const SEARCH_PAGE = fs.readFileSync(path.join(__dirname, '../../walmart.html'), 'utf8');
+
+describe('WalmartScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new WalmartScraper();
+  });
+
+  test('should build search URLs from the query', () => {
+    expect(scraper.getSearchUrl('Huggies diapers size 1'))
+      .toBe('https://www.walmart.ca/en/search?q=Huggies+diapers+size+1');
+  });
+
+  test('should read every product from the embedded page state', () => {
+    const products = scraper.extractPageStateProducts(scraper.extractNextData(SEARCH_PAGE));
+
+    expect(products.length).toBeGreaterThan(30);
+    expect(products.find(p => p.sku === '6000208798725')).toMatchObject({
+      price: 44.07,
+      regularPrice: 48.97,
+      promoText: 'Rollback',
+      url: '/en/ip/HUGGIES-Little-Snugglers-Baby-Diapers-Econo-Pack-Size-1-6-Count-108-198/6000208798725',
+      inStock: true
+    });
+  });
+
+  test('should emit standard records for the searched brand and size', () => {
+    const records = scraper.parseSearchResults(SEARCH_PAGE, { brand: 'Huggies', size: '1', limit: 10 });
+
+    expect(records).toEqual([
+      expect.objectContaining({
+        id: '4U934R03CCG4',
+        brand: 'Huggies',
+        type: 'Little Snugglers Plus',
+        size: '1',
+        count: 192,
+        retailer: 'Walmart.ca',
+        price: 79.99,
+        regularPrice: 89.99,
+        promoText: 'Reduced price',
+        pricePerDiaper: 0.42,
+        url: 'https://www.walmart.ca/en/ip/Huggies-Little-Snugglers-Plus-Size-1-192-pack/4U934R03CCG4',
+        inStock: true,
+        countSource: 'pattern',
+        titleSource: 'listing'
+      })
+    ]);
+  });
+
+  test('should skip other brands and multi-size variant listings', () => {
+    const records = scraper.parseSearchResults(SEARCH_PAGE, { brand: 'Rascals', size: '1' });
+
+    expect(records.map(r => r.id)).toEqual(['6000199717035']);
+    expect(records[0].count).toBe(168);
+  });
+
+  test('should fall back to structured data without page state', () => {
+    const html = `<script type="application/ld+json">${JSON.stringify({
+      '@type': 'Product',
+      name: 'Pampers Baby Dry Diapers Size 3, 198 Count',
+      sku: '6000200832288',
+      offers: { '@type': 'Offer', price: '52.97', priceCurrency: 'CAD' }
+    })}</script>`;
+
+    const records = scraper.parseSearchResults(html, { brand: 'Pampers', size: '3' });
+
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ id: '6000200832288', count: 198, titleSource: 'structured-data' });
+  });
+
+  describe('replay mode', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+      scraper.useResponseCache('replay', directory);
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should search recorded pages without launching a browser', async () => {
+      new ResponseCache('record', directory).save(scraper.getSearchUrl('Huggies diapers size 1'), SEARCH_PAGE);
+
+      const results = await scraper.searchDiapers({ brands: ['Huggies'], sizes: ['1'] });
+
+      expect(results.map(r => r.id)).toEqual(['4U934R03CCG4']);
+      expect(puppeteer.launch).not.toHaveBeenCalled();
+    });
+  });
+});